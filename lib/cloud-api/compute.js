@@ -0,0 +1,375 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { callWithRetry } from './helpers.js';
+import { logAndProgress } from '../util/helpers.js';
+
+// Global external Application Load Balancers use the Envoy-based scheme.
+const LOAD_BALANCING_SCHEME = 'EXTERNAL_MANAGED';
+
+/**
+ * Gets a Compute Engine resource, creating it first if it does not exist.
+ *
+ * @async
+ * @param {string} description - The kind and name of the resource, for logging (e.g. 'URL map my-service-url-map').
+ * @param {function(): Promise<Array>} get - Gets the resource.
+ * @param {function(): Promise<Array>} insert - Starts the creation of the resource.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{resource: object, created: boolean}>} A promise that resolves with the resource and whether it was created.
+ * @throws {Error} If there's an error checking or creating the resource.
+ */
+async function ensureResource(description, get, insert, progressCallback) {
+  try {
+    try {
+      const [resource] = await callWithRetry(get, `get ${description}`);
+      await logAndProgress(`${description} already exists.`, progressCallback);
+      return { resource, created: false };
+    } catch (error) {
+      if (error.code !== 5) {
+        throw error;
+      }
+    }
+
+    await logAndProgress(`Creating ${description}...`, progressCallback);
+    const [operation] = await callWithRetry(insert, `insert ${description}`);
+    await operation.promise();
+    const [resource] = await callWithRetry(get, `get ${description}`);
+    await logAndProgress(
+      `${description} created successfully.`,
+      progressCallback
+    );
+    return { resource, created: true };
+  } catch (error) {
+    const errorMessage = `Error checking/creating ${description}: ${error.message}`;
+    console.error(`Error checking/creating ${description}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Ensures that a serverless network endpoint group pointing to a Cloud Run service exists in a region.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The region of the Cloud Run service.
+ * @param {string} name - The name of the network endpoint group.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the network endpoint group.
+ */
+export async function ensureServerlessNeg(
+  context,
+  projectId,
+  region,
+  name,
+  serviceId,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `Serverless network endpoint group ${name} in ${region}`,
+    () =>
+      context.networkEndpointGroupsClient.get({
+        project: projectId,
+        region,
+        networkEndpointGroup: name,
+      }),
+    () =>
+      context.networkEndpointGroupsClient.insert({
+        project: projectId,
+        region,
+        networkEndpointGroupResource: {
+          name,
+          networkEndpointType: 'SERVERLESS',
+          cloudRun: { service: serviceId },
+        },
+      }),
+    progressCallback
+  );
+  return resource;
+}
+
+/**
+ * Ensures that a global backend service exists with the given network endpoint groups as backends.
+ * An existing backend service keeps its backends, the missing ones are added, and Cloud CDN is turned on or off.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the backend service.
+ * @param {string[]} negSelfLinks - The self links of the network endpoint groups.
+ * @param {boolean} enableCdn - Whether to serve cacheable responses with Cloud CDN.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the backend service.
+ */
+export async function ensureBackendService(
+  context,
+  projectId,
+  name,
+  negSelfLinks,
+  enableCdn,
+  progressCallback
+) {
+  const cdnSettings = enableCdn
+    ? { enableCDN: true, cdnPolicy: { cacheMode: 'CACHE_ALL_STATIC' } }
+    : { enableCDN: false };
+  const get = () =>
+    context.backendServicesClient.get({
+      project: projectId,
+      backendService: name,
+    });
+  const { resource, created } = await ensureResource(
+    `Backend service ${name}`,
+    get,
+    () =>
+      context.backendServicesClient.insert({
+        project: projectId,
+        backendServiceResource: {
+          name,
+          loadBalancingScheme: LOAD_BALANCING_SCHEME,
+          protocol: 'HTTPS',
+          backends: negSelfLinks.map((group) => ({ group })),
+          ...cdnSettings,
+        },
+      }),
+    progressCallback
+  );
+  if (created) {
+    return resource;
+  }
+
+  const groups = (resource.backends || []).map((backend) => backend.group);
+  const missingGroups = negSelfLinks.filter((link) => !groups.includes(link));
+  if (missingGroups.length === 0 && Boolean(resource.enableCDN) === enableCdn) {
+    return resource;
+  }
+  try {
+    await logAndProgress(
+      `Updating backend service ${name}...`,
+      progressCallback
+    );
+    const [operation] = await callWithRetry(
+      () =>
+        context.backendServicesClient.patch({
+          project: projectId,
+          backendService: name,
+          backendServiceResource: {
+            backends: [
+              ...(resource.backends || []),
+              ...missingGroups.map((group) => ({ group })),
+            ],
+            ...cdnSettings,
+          },
+        }),
+      `patch Backend service ${name}`
+    );
+    await operation.promise();
+    const [updated] = await callWithRetry(get, `get Backend service ${name}`);
+    return updated;
+  } catch (error) {
+    const errorMessage = `Error updating backend service ${name}: ${error.message}`;
+    console.error(`Error updating backend service ${name}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Ensures that a URL map sending all requests to a backend service exists.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the URL map.
+ * @param {string} backendServiceSelfLink - The self link of the backend service.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the URL map.
+ */
+export async function ensureUrlMap(
+  context,
+  projectId,
+  name,
+  backendServiceSelfLink,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `URL map ${name}`,
+    () => context.urlMapsClient.get({ project: projectId, urlMap: name }),
+    () =>
+      context.urlMapsClient.insert({
+        project: projectId,
+        urlMapResource: { name, defaultService: backendServiceSelfLink },
+      }),
+    progressCallback
+  );
+  return resource;
+}
+
+/**
+ * Ensures that a Google-managed SSL certificate exists.
+ * The domains of an existing certificate cannot be changed, it is returned as is.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the certificate.
+ * @param {string[]} domains - The domains covered by the certificate.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the certificate.
+ */
+export async function ensureManagedSslCertificate(
+  context,
+  projectId,
+  name,
+  domains,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `Managed SSL certificate ${name}`,
+    () =>
+      context.sslCertificatesClient.get({
+        project: projectId,
+        sslCertificate: name,
+      }),
+    () =>
+      context.sslCertificatesClient.insert({
+        project: projectId,
+        sslCertificateResource: { name, type: 'MANAGED', managed: { domains } },
+      }),
+    progressCallback
+  );
+  return resource;
+}
+
+/**
+ * Ensures that a target HTTPS proxy exists for a URL map and a certificate.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the target HTTPS proxy.
+ * @param {string} urlMapSelfLink - The self link of the URL map.
+ * @param {string} certificateSelfLink - The self link of the SSL certificate.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the target HTTPS proxy.
+ */
+export async function ensureTargetHttpsProxy(
+  context,
+  projectId,
+  name,
+  urlMapSelfLink,
+  certificateSelfLink,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `Target HTTPS proxy ${name}`,
+    () =>
+      context.targetHttpsProxiesClient.get({
+        project: projectId,
+        targetHttpsProxy: name,
+      }),
+    () =>
+      context.targetHttpsProxiesClient.insert({
+        project: projectId,
+        targetHttpsProxyResource: {
+          name,
+          urlMap: urlMapSelfLink,
+          sslCertificates: [certificateSelfLink],
+        },
+      }),
+    progressCallback
+  );
+  return resource;
+}
+
+/**
+ * Ensures that a global external IPv4 address is reserved.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the address.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the address.
+ */
+export async function ensureGlobalAddress(
+  context,
+  projectId,
+  name,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `Global IP address ${name}`,
+    () =>
+      context.globalAddressesClient.get({ project: projectId, address: name }),
+    () =>
+      context.globalAddressesClient.insert({
+        project: projectId,
+        addressResource: {
+          name,
+          addressType: 'EXTERNAL',
+          ipVersion: 'IPV4',
+        },
+      }),
+    progressCallback
+  );
+  return resource;
+}
+
+/**
+ * Ensures that a global forwarding rule sends HTTPS traffic on an address to a target HTTPS proxy.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} name - The name of the forwarding rule.
+ * @param {string} ipAddress - The reserved IP address.
+ * @param {string} targetSelfLink - The self link of the target HTTPS proxy.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the forwarding rule.
+ */
+export async function ensureGlobalForwardingRule(
+  context,
+  projectId,
+  name,
+  ipAddress,
+  targetSelfLink,
+  progressCallback
+) {
+  const { resource } = await ensureResource(
+    `Forwarding rule ${name}`,
+    () =>
+      context.globalForwardingRulesClient.get({
+        project: projectId,
+        forwardingRule: name,
+      }),
+    () =>
+      context.globalForwardingRulesClient.insert({
+        project: projectId,
+        forwardingRuleResource: {
+          name,
+          IPAddress: ipAddress,
+          IPProtocol: 'TCP',
+          portRange: '443',
+          target: targetSelfLink,
+          loadBalancingScheme: LOAD_BALANCING_SCHEME,
+        },
+      }),
+    progressCallback
+  );
+  return resource;
+}
@@ -0,0 +1,277 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { GoogleAuth } from 'google-auth-library';
+import { callWithRetry } from './helpers.js';
+import { getService } from './run.js';
+
+// Domain mappings are only part of the Cloud Run Admin API v1, which has no generated Node.js client.
+// It is called over REST on the regional endpoint.
+const DOMAIN_MAPPING_API_VERSION = 'domains.cloudrun.com/v1';
+const RESOURCE_RECORDS_ATTEMPTS = 5;
+const RESOURCE_RECORDS_DELAY_MS = 2000;
+
+let authClient;
+
+/**
+ * Initializes the authenticated HTTP client if needed.
+ * @returns {GoogleAuth} - The client used to call the Cloud Run Admin API v1.
+ */
+function ensureAuthClient() {
+  if (!authClient) {
+    authClient = new GoogleAuth({
+      scopes: 'https://www.googleapis.com/auth/cloud-platform',
+    });
+  }
+  return authClient;
+}
+
+/**
+ * Returns the URL of the domain mappings of a project, or of a single domain mapping.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} [domain] - The domain name.
+ * @returns {string} - The URL.
+ */
+function domainMappingsUrl(projectId, location, domain) {
+  const url = `https://${location}-run.googleapis.com/apis/${DOMAIN_MAPPING_API_VERSION}/namespaces/${projectId}/domainmappings`;
+  return domain ? `${url}/${domain}` : url;
+}
+
+/**
+ * Returns the most useful message of a failed REST call: the message of the API error if any.
+ * @param {Error} error - The error thrown by the HTTP client.
+ * @returns {string} - The error message.
+ */
+function getApiErrorMessage(error) {
+  return error.response?.data?.error?.message || error.message;
+}
+
+/**
+ * Gets a domain mapping.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} domain - The domain name (e.g., 'www.example.com').
+ * @returns {Promise<object|null>} - A promise that resolves to the domain mapping, or null if the domain is not mapped.
+ */
+export async function getDomainMapping(projectId, location, domain) {
+  const client = ensureAuthClient();
+  try {
+    const response = await callWithRetry(
+      () =>
+        client.request({
+          url: domainMappingsUrl(projectId, location, domain),
+          method: 'GET',
+        }),
+      `getDomainMapping ${domain}`
+    );
+    return response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      console.log(`Domain mapping ${domain} not found.`);
+      return null;
+    }
+    console.error(`Error getting domain mapping ${domain}:`, error);
+    throw new Error(getApiErrorMessage(error));
+  }
+}
+
+/**
+ * Waits until the DNS records of a new domain mapping are available, which usually takes a few seconds.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {object} mapping - The domain mapping returned on creation.
+ * @returns {Promise<object>} - A promise that resolves to the latest state of the domain mapping.
+ */
+async function waitForResourceRecords(projectId, location, mapping) {
+  const domain = mapping.metadata.name;
+  let latest = mapping;
+  for (
+    let attempt = 1;
+    attempt <= RESOURCE_RECORDS_ATTEMPTS &&
+    !latest.status?.resourceRecords?.length;
+    attempt++
+  ) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, RESOURCE_RECORDS_DELAY_MS)
+    );
+    latest = (await getDomainMapping(projectId, location, domain)) || latest;
+  }
+  return latest;
+}
+
+/**
+ * Maps a custom domain to a Cloud Run service, with a managed certificate.
+ * If the domain is already mapped to the same service, the existing mapping is returned.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} domain - The domain name (e.g., 'www.example.com').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @returns {Promise<object>} - A promise that resolves to the domain mapping, with its DNS records if they are available.
+ * @throws {Error} If the service does not exist, the domain is mapped to another service or the mapping fails.
+ */
+export async function createDomainMapping(
+  projectId,
+  location,
+  domain,
+  serviceId
+) {
+  if (!(await getService(projectId, location, serviceId))) {
+    throw new Error(
+      `Service ${serviceId} does not exist in project ${projectId} (region ${location}).`
+    );
+  }
+  const client = ensureAuthClient();
+  let mapping;
+  try {
+    console.log(
+      `Mapping domain ${domain} to Cloud Run service ${serviceId} in project ${projectId}, location ${location}...`
+    );
+    const response = await callWithRetry(
+      () =>
+        client.request({
+          url: domainMappingsUrl(projectId, location),
+          method: 'POST',
+          data: {
+            apiVersion: DOMAIN_MAPPING_API_VERSION,
+            kind: 'DomainMapping',
+            metadata: { name: domain, namespace: projectId },
+            spec: { routeName: serviceId, certificateMode: 'AUTOMATIC' },
+          },
+        }),
+      `createDomainMapping ${domain}`
+    );
+    mapping = response.data;
+  } catch (error) {
+    if (error.response?.status !== 409) {
+      console.error(`Error mapping domain ${domain}:`, error);
+      throw new Error(getApiErrorMessage(error));
+    }
+    mapping = await getDomainMapping(projectId, location, domain);
+    if (!mapping) {
+      throw new Error(getApiErrorMessage(error));
+    }
+    if (mapping.spec?.routeName !== serviceId) {
+      throw new Error(
+        `Domain ${domain} is already mapped to service ${mapping.spec?.routeName}. Delete that mapping first.`
+      );
+    }
+    console.log(`Domain ${domain} is already mapped to service ${serviceId}.`);
+  }
+  return waitForResourceRecords(projectId, location, mapping);
+}
+
+/**
+ * Lists the domain mappings of a project in a location.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} [serviceId] - Only list the domains mapped to this Cloud Run service.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the list of domain mappings.
+ */
+export async function listDomainMappings(projectId, location, serviceId) {
+  const client = ensureAuthClient();
+  try {
+    console.log(
+      `Listing domain mappings in project ${projectId}, location ${location}...`
+    );
+    const response = await callWithRetry(
+      () =>
+        client.request({
+          url: domainMappingsUrl(projectId, location),
+          method: 'GET',
+        }),
+      'listDomainMappings'
+    );
+    return (response.data.items || []).filter(
+      (mapping) => !serviceId || mapping.spec?.routeName === serviceId
+    );
+  } catch (error) {
+    console.error(`Error listing domain mappings:`, error);
+    throw new Error(getApiErrorMessage(error));
+  }
+}
+
+/**
+ * Deletes a domain mapping. The service is not changed and stays reachable on its run.app URL.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} domain - The domain name (e.g., 'www.example.com').
+ * @returns {Promise<object>} - A promise that resolves to the deleted domain mapping.
+ * @throws {Error} If the domain is not mapped or the deletion fails.
+ */
+export async function deleteDomainMapping(projectId, location, domain) {
+  const mapping = await getDomainMapping(projectId, location, domain);
+  if (!mapping) {
+    throw new Error(
+      `Domain ${domain} is not mapped in project ${projectId} (region ${location}).`
+    );
+  }
+  const client = ensureAuthClient();
+  try {
+    console.log(
+      `Deleting domain mapping ${domain} in project ${projectId}, location ${location}...`
+    );
+    await callWithRetry(
+      () =>
+        client.request({
+          url: domainMappingsUrl(projectId, location, domain),
+          method: 'DELETE',
+        }),
+      `deleteDomainMapping ${domain}`
+    );
+    return mapping;
+  } catch (error) {
+    console.error(`Error deleting domain mapping ${domain}:`, error);
+    throw new Error(getApiErrorMessage(error));
+  }
+}
+
+/**
+ * Describes the state of a condition of a domain mapping.
+ * @param {object} [condition] - The condition, from the status of the domain mapping.
+ * @returns {string} - 'ready', 'pending' or 'failed', followed by the message of the condition if any.
+ */
+function describeCondition(condition) {
+  const state =
+    condition?.status === 'True'
+      ? 'ready'
+      : condition?.status === 'False'
+        ? 'failed'
+        : 'pending';
+  return condition?.message ? `${state} (${condition.message})` : state;
+}
+
+/**
+ * Summarizes a domain mapping: the DNS records to create and the provisioning status.
+ * @param {object} mapping - The domain mapping.
+ * @returns {{domain: string, service: string, status: string, certificate: string, dnsRecords: Array<{type: string, name: string, value: string}>}} - The summary.
+ */
+export function describeDomainMapping(mapping) {
+  const conditions = mapping.status?.conditions || [];
+  const findCondition = (type) =>
+    conditions.find((condition) => condition.type === type);
+  return {
+    domain: mapping.metadata.name,
+    service: mapping.spec?.routeName,
+    status: describeCondition(findCondition('Ready')),
+    certificate: describeCondition(findCondition('CertificateProvisioned')),
+    dnsRecords: (mapping.status?.resourceRecords || []).map((record) => ({
+      type: record.type,
+      name: record.name || '@',
+      value: record.rrdata,
+    })),
+  };
+}
@@ -145,3 +145,29 @@ export async function ensureApisEnabled(
   console.log(successMsg);
   if (progressCallback) progressCallback({ level: 'info', data: successMsg });
 }
+
+/**
+ * Lists the Google Cloud APIs that are not enabled for the given project, without enabling them.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} apis - An array of API identifiers to check (e.g., 'run.googleapis.com').
+ * @returns {Promise<string[]>} A promise that resolves with the APIs that are not enabled.
+ */
+export async function findDisabledApis(context, projectId, apis) {
+  const disabledApis = [];
+  for (const api of apis) {
+    const [service] = await callWithRetry(
+      () =>
+        context.serviceUsageClient.getService({
+          name: `projects/${projectId}/services/${api}`,
+        }),
+      `getService ${api}`
+    );
+    if (service.state !== 'ENABLED') {
+      disabledApis.push(api);
+    }
+  }
+  return disabledApis;
+}
@@ -0,0 +1,166 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { callWithRetry } from './helpers.js';
+import { logAndProgress } from '../util/helpers.js';
+
+// There is no generated Node.js client for the IAM service accounts API, it is called over REST.
+const IAM_API_URL = 'https://iam.googleapis.com/v1';
+const ACT_AS_PERMISSION = 'iam.serviceAccounts.actAs';
+
+/**
+ * Returns the email of a service account.
+ *
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} serviceAccount - A service account email, or an account ID in the project (e.g. 'my-service-sa').
+ * @returns {string} The service account email.
+ */
+export function getServiceAccountEmail(projectId, serviceAccount) {
+  return serviceAccount.includes('@')
+    ? serviceAccount
+    : `${serviceAccount}@${projectId}.iam.gserviceaccount.com`;
+}
+
+/**
+ * Returns the ID of the dedicated service account of a Cloud Run service (`<service>-sa`).
+ * Service account IDs are limited to 30 characters, so long service names are truncated.
+ *
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @returns {string} The service account ID.
+ */
+export function getDedicatedServiceAccountId(serviceId) {
+  return `${serviceId.slice(0, 27).replace(/-+$/, '')}-sa`;
+}
+
+/**
+ * Ensures that a service account exists in a project.
+ * If the service account does not exist, it is created.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} serviceAccountEmail - The email of the service account.
+ * @param {string} displayName - The display name to use if the service account is created.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<string>} A promise that resolves with the service account email.
+ * @throws {Error} If there's an error checking or creating the service account.
+ */
+export async function ensureServiceAccountExists(
+  context,
+  projectId,
+  serviceAccountEmail,
+  displayName,
+  progressCallback
+) {
+  const accountId = serviceAccountEmail.split('@')[0];
+  try {
+    try {
+      await callWithRetry(
+        () =>
+          context.authClient.request({
+            url: `${IAM_API_URL}/projects/${projectId}/serviceAccounts/${serviceAccountEmail}`,
+            method: 'GET',
+          }),
+        `iam.getServiceAccount ${serviceAccountEmail}`
+      );
+      await logAndProgress(
+        `Service account ${serviceAccountEmail} already exists.`,
+        progressCallback
+      );
+      return serviceAccountEmail;
+    } catch (error) {
+      if (error.response?.status !== 404) {
+        throw error;
+      }
+    }
+
+    await logAndProgress(
+      `Service account ${serviceAccountEmail} does not exist. Creating...`,
+      progressCallback
+    );
+    const response = await callWithRetry(
+      () =>
+        context.authClient.request({
+          url: `${IAM_API_URL}/projects/${projectId}/serviceAccounts`,
+          method: 'POST',
+          data: { accountId, serviceAccount: { displayName } },
+        }),
+      `iam.createServiceAccount ${accountId}`
+    );
+    await logAndProgress(
+      `Service account ${response.data.email} created successfully.`,
+      progressCallback
+    );
+    return response.data.email;
+  } catch (error) {
+    const errorMessage = `Error checking/creating service account ${serviceAccountEmail}: ${error.message}`;
+    console.error(
+      `Error checking/creating service account ${serviceAccountEmail}:`,
+      error
+    );
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Checks that the caller can act as a service account, which is required to deploy a service running as it.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} serviceAccountEmail - The email of the service account.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves if the caller has the `iam.serviceAccounts.actAs` permission.
+ * @throws {Error} If the caller does not have the permission or the check fails.
+ */
+export async function checkActAsPermission(
+  context,
+  serviceAccountEmail,
+  progressCallback
+) {
+  let permissions;
+  try {
+    const response = await callWithRetry(
+      () =>
+        context.authClient.request({
+          url: `${IAM_API_URL}/projects/-/serviceAccounts/${serviceAccountEmail}:testIamPermissions`,
+          method: 'POST',
+          data: { permissions: [ACT_AS_PERMISSION] },
+        }),
+      `iam.testIamPermissions ${serviceAccountEmail}`
+    );
+    permissions = response.data.permissions || [];
+  } catch (error) {
+    const errorMessage = `Error checking permissions on service account ${serviceAccountEmail}: ${error.message}`;
+    console.error(
+      `Error checking permissions on service account ${serviceAccountEmail}:`,
+      error
+    );
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+
+  if (!permissions.includes(ACT_AS_PERMISSION)) {
+    const errorMessage = `You do not have the ${ACT_AS_PERMISSION} permission on service account ${serviceAccountEmail}. Ask a project administrator to grant you the Service Account User role (roles/iam.serviceAccountUser) on it.`;
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+  await logAndProgress(
+    `Confirmed permission to deploy as ${serviceAccountEmail}.`,
+    progressCallback,
+    'debug'
+  );
+}
@@ -18,6 +18,7 @@ import {
   listBillingAccounts,
   attachProjectToBillingAccount,
 } from './billing.js';
+import { logAndProgress } from '../util/helpers.js';
 
 /**
  * Lists all accessible Google Cloud Platform projects.
@@ -39,6 +40,79 @@ export async function listProjects() {
   }
 }
 
+/**
+ * Gets the project number of a Google Cloud Platform project.
+ * @async
+ * @function getProjectNumber
+ * @param {string} projectId - The ID of the project.
+ * @returns {Promise<string>} A promise that resolves to the project number (e.g. '123456789012').
+ * @throws {Error} If the project cannot be retrieved.
+ */
+export async function getProjectNumber(projectId) {
+  const { ProjectsClient } = await import('@google-cloud/resource-manager');
+  const client = new ProjectsClient();
+  const [project] = await client.getProject({ name: `projects/${projectId}` });
+  // The project resource name has the format projects/PROJECT_NUMBER
+  return project.name.split('/').pop();
+}
+
+/**
+ * Ensures that a member has a role on a Google Cloud Platform project, granting it if needed.
+ * @async
+ * @function ensureProjectIamBinding
+ * @param {string} projectId - The ID of the project.
+ * @param {string} role - The role to grant (e.g. 'roles/cloudsql.client').
+ * @param {string} member - The IAM member (e.g. 'serviceAccount:sa@project.iam.gserviceaccount.com').
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves when the member has the role.
+ * @throws {Error} If the project IAM policy cannot be read or updated.
+ */
+export async function ensureProjectIamBinding(
+  projectId,
+  role,
+  member,
+  progressCallback
+) {
+  const { ProjectsClient } = await import('@google-cloud/resource-manager');
+  const client = new ProjectsClient();
+  const resource = `projects/${projectId}`;
+  try {
+    const [policy] = await client.getIamPolicy({
+      resource,
+      options: { requestedPolicyVersion: 3 },
+    });
+    const bindings = policy.bindings || [];
+    const binding = bindings.find((b) => b.role === role && !b.condition);
+    if (binding && binding.members.includes(member)) {
+      await logAndProgress(
+        `${member} already has ${role} on project ${projectId}.`,
+        progressCallback,
+        'debug'
+      );
+      return;
+    }
+
+    await logAndProgress(
+      `Granting ${role} on project ${projectId} to ${member}...`,
+      progressCallback
+    );
+    if (binding) {
+      binding.members.push(member);
+    } else {
+      bindings.push({ role, members: [member] });
+    }
+    await client.setIamPolicy({
+      resource,
+      policy: { ...policy, bindings, version: 3 },
+    });
+  } catch (error) {
+    const errorMessage = `Error granting ${role} on project ${projectId} to ${member}: ${error.message}`;
+    console.error(errorMessage, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
+
 /**
  * Creates a new Google Cloud Platform project.
  * @async
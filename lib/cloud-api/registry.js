@@ -96,3 +96,62 @@ export async function ensureArtifactRegistryRepoExists(
     }
   }
 }
+
+/**
+ * Deletes a package, with all of its versions and tags, from an Artifact Registry repository.
+ * A package that does not exist is not treated as an error.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the repository.
+ * @param {string} repositoryId - The ID of the Artifact Registry repository.
+ * @param {string} packageId - The name of the package (for Docker repositories, the image name).
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<boolean>} A promise that resolves to true if the package was deleted, or false if it did not exist.
+ * @throws {Error} If there's an error deleting the package.
+ */
+export async function deleteArtifactRegistryPackage(
+  context,
+  projectId,
+  location,
+  repositoryId,
+  packageId,
+  progressCallback
+) {
+  const packagePath = context.artifactRegistryClient.packagePath(
+    projectId,
+    location,
+    repositoryId,
+    packageId
+  );
+
+  try {
+    await logAndProgress(
+      `Deleting image ${packageId} from repository ${repositoryId}...`,
+      progressCallback
+    );
+    const [operation] = await callWithRetry(
+      () => context.artifactRegistryClient.deletePackage({ name: packagePath }),
+      `artifactRegistry.deletePackage ${packageId}`
+    );
+    await operation.promise();
+    await logAndProgress(
+      `Image ${packageId} deleted from repository ${repositoryId}.`,
+      progressCallback
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 5) {
+      await logAndProgress(
+        `Image ${packageId} not found in repository ${repositoryId}. Nothing to delete.`,
+        progressCallback
+      );
+      return false;
+    }
+    const errorMessage = `Error deleting image ${packageId} from repository ${repositoryId}: ${error.message}`;
+    console.error(errorMessage, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
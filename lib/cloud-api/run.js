@@ -19,6 +19,8 @@ import { callWithRetry, ensureApisEnabled } from './helpers.js';
 import { logAndProgress } from '../util/helpers.js';
 
 let runClient;
+let revisionsClient;
+let jobsClient;
 let serviceUsageClient;
 let loggingClient;
 
@@ -124,6 +126,385 @@ export async function getService(projectId, location, serviceId) {
   }
 }
 
+const INVOKER_ROLE = 'roles/run.invoker';
+
+/**
+ * Initializes the Cloud Run services client if needed.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<object>} - A promise that resolves to the Cloud Run services client.
+ */
+async function ensureRunClient(projectId) {
+  if (!runClient) {
+    const { v2 } = await import('@google-cloud/run');
+    const { ServicesClient } = v2;
+    runClient = new ServicesClient({ projectId });
+  }
+  return runClient;
+}
+
+/**
+ * Updates a Cloud Run service and waits for the update to complete.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} service - The service object to send, without output-only fields.
+ * @returns {Promise<object>} - A promise that resolves to the updated service object.
+ */
+export async function updateService(projectId, location, serviceId, service) {
+  const client = await ensureRunClient(projectId);
+  const servicePath = client.servicePath(projectId, location, serviceId);
+  try {
+    console.log(
+      `Updating Cloud Run service ${serviceId} in project ${projectId}, location ${location}...`
+    );
+    const [operation] = await callWithRetry(
+      () =>
+        client.updateService({ service: { ...service, name: servicePath } }),
+      `updateService ${serviceId}`
+    );
+    const [response] = await operation.promise();
+    return response;
+  } catch (error) {
+    console.error(`Error updating Cloud Run service ${serviceId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Deletes a Cloud Run service, including all of its revisions, and waits for the deletion to complete.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @returns {Promise<object>} - A promise that resolves to the deleted service object.
+ */
+export async function deleteService(projectId, location, serviceId) {
+  const client = await ensureRunClient(projectId);
+  const servicePath = client.servicePath(projectId, location, serviceId);
+  try {
+    console.log(
+      `Deleting Cloud Run service ${serviceId} in project ${projectId}, location ${location}...`
+    );
+    const [operation] = await callWithRetry(
+      () => client.deleteService({ name: servicePath }),
+      `deleteService ${serviceId}`
+    );
+    const [response] = await operation.promise();
+    return response;
+  } catch (error) {
+    console.error(`Error deleting Cloud Run service ${serviceId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Initializes the Cloud Run revisions client if needed.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<object>} - A promise that resolves to the Cloud Run revisions client.
+ */
+async function ensureRevisionsClient(projectId) {
+  if (!revisionsClient) {
+    const { v2 } = await import('@google-cloud/run');
+    const { RevisionsClient } = v2;
+    revisionsClient = new RevisionsClient({ projectId });
+  }
+  return revisionsClient;
+}
+
+/**
+ * Lists all Cloud Run jobs in a given project.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<object>} - A promise that resolves to an object mapping region to list of job objects in that region.
+ */
+export async function listJobs(projectId) {
+  await ensureRunClient(projectId);
+  if (!jobsClient) {
+    const { v2 } = await import('@google-cloud/run');
+    const { JobsClient } = v2;
+    jobsClient = new JobsClient({ projectId });
+  }
+  const locations = await listCloudRunLocations(projectId);
+
+  const allJobs = {};
+  for (const location of locations) {
+    const parent = jobsClient.locationPath(projectId, location);
+    try {
+      console.log(
+        `Listing Cloud Run jobs in project ${projectId}, location ${location}...`
+      );
+      const [jobs] = await callWithRetry(
+        () => jobsClient.listJobs({ parent }),
+        'listJobs'
+      );
+      allJobs[location] = jobs;
+    } catch (error) {
+      console.error(`Error listing Cloud Run jobs:`, error);
+      throw error;
+    }
+  }
+  return allJobs;
+}
+
+/**
+ * Lists the revisions of a Cloud Run service, newest first.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @returns {Promise<Array<object>>} - A promise that resolves to the list of revision objects.
+ */
+export async function listRevisions(projectId, location, serviceId) {
+  const client = await ensureRevisionsClient(projectId);
+  const parent = client.servicePath(projectId, location, serviceId);
+  try {
+    console.log(
+      `Listing revisions of Cloud Run service ${serviceId} in project ${projectId}, location ${location}...`
+    );
+    const [revisions] = await callWithRetry(
+      () => client.listRevisions({ parent }),
+      `listRevisions ${serviceId}`
+    );
+    return revisions.sort(
+      (a, b) =>
+        Number(b.createTime?.seconds || 0) - Number(a.createTime?.seconds || 0)
+    );
+  } catch (error) {
+    console.error(
+      `Error listing revisions of Cloud Run service ${serviceId}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Gets details for a specific revision of a Cloud Run service.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string} revisionId - The name of the revision (e.g. 'my-service-00001-abc').
+ * @returns {Promise<object|null>} - A promise that resolves to the revision object, or null if it does not exist.
+ */
+export async function getRevision(projectId, location, serviceId, revisionId) {
+  const client = await ensureRevisionsClient(projectId);
+  const revisionPath = client.revisionPath(
+    projectId,
+    location,
+    serviceId,
+    revisionId
+  );
+  try {
+    const [revision] = await callWithRetry(
+      () => client.getRevision({ name: revisionPath }),
+      `getRevision ${revisionId}`
+    );
+    return revision;
+  } catch (error) {
+    if (error.code === 5) {
+      console.log(`Cloud Run revision ${revisionId} not found.`);
+      return null;
+    }
+    console.error(`Error getting Cloud Run revision ${revisionId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Returns the percentage of traffic each revision of a service currently receives.
+ * Traffic sent to the latest revision is attributed to the latest ready revision.
+ * @param {object} service - The Cloud Run service object.
+ * @returns {Object<string, number>} - A map of revision names to traffic percentages.
+ */
+export function getTrafficByRevision(service) {
+  const traffic = {};
+  for (const status of service?.trafficStatuses || []) {
+    const revision =
+      status.revision ||
+      (status.type === 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST'
+        ? service.latestReadyRevision?.split('/').pop()
+        : undefined);
+    if (revision && status.percent) {
+      traffic[revision] = (traffic[revision] || 0) + status.percent;
+    }
+  }
+  return traffic;
+}
+
+/**
+ * Gets the IAM policy of a Cloud Run service.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @returns {Promise<object>} - A promise that resolves to the IAM policy object.
+ */
+export async function getServiceIamPolicy(projectId, location, serviceId) {
+  const client = await ensureRunClient(projectId);
+  const servicePath = client.servicePath(projectId, location, serviceId);
+  try {
+    const [policy] = await callWithRetry(
+      () => client.getIamPolicy({ resource: servicePath }),
+      `getIamPolicy ${serviceId}`
+    );
+    return policy;
+  } catch (error) {
+    console.error(
+      `Error getting IAM policy for Cloud Run service ${serviceId}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Adds and removes members of the Cloud Run Invoker role (roles/run.invoker) on a Cloud Run service.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} changes - The members to add and remove.
+ * @param {string[]} [changes.add=[]] - IAM members to grant the invoker role to (e.g. 'user:jane@example.com').
+ * @param {string[]} [changes.remove=[]] - IAM members to remove from the invoker role.
+ * @returns {Promise<object>} - A promise that resolves to the updated IAM policy object.
+ */
+export async function updateServiceInvokers(
+  projectId,
+  location,
+  serviceId,
+  { add = [], remove = [] }
+) {
+  const client = await ensureRunClient(projectId);
+  const servicePath = client.servicePath(projectId, location, serviceId);
+  try {
+    const [policy] = await callWithRetry(
+      () => client.getIamPolicy({ resource: servicePath }),
+      `getIamPolicy ${serviceId}`
+    );
+    const bindings = (policy.bindings || []).map((binding) => ({
+      ...binding,
+      members: [...binding.members],
+    }));
+    let binding = bindings.find((b) => b.role === INVOKER_ROLE && !b.condition);
+    if (!binding) {
+      binding = { role: INVOKER_ROLE, members: [] };
+      bindings.push(binding);
+    }
+    binding.members = [
+      ...new Set(
+        [...binding.members, ...add].filter((m) => !remove.includes(m))
+      ),
+    ];
+
+    console.log(
+      `Updating invokers of Cloud Run service ${serviceId}: adding [${add.join(', ')}], removing [${remove.join(', ')}]`
+    );
+    const [updatedPolicy] = await callWithRetry(
+      () =>
+        client.setIamPolicy({
+          resource: servicePath,
+          policy: {
+            ...policy,
+            bindings: bindings.filter((b) => b.members.length > 0),
+          },
+        }),
+      `setIamPolicy ${serviceId}`
+    );
+    return updatedPolicy;
+  } catch (error) {
+    console.error(
+      `Error updating IAM policy for Cloud Run service ${serviceId}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Builds the Cloud Logging filter selecting the logs of a Cloud Run service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {object} [options] - Additional conditions.
+ * @param {string} [options.severity='DEFAULT'] - The minimum severity of the log entries.
+ * @param {string} [options.revision] - Only select the logs of this revision.
+ * @param {Date} [options.since] - Only select the logs written after this time.
+ * @returns {string} - The log filter.
+ */
+function buildServiceLogFilter(
+  serviceId,
+  location,
+  { severity = 'DEFAULT', revision, since } = {}
+) {
+  const conditions = [
+    'resource.type="cloud_run_revision"',
+    `resource.labels.service_name="${serviceId}"`,
+    `resource.labels.location="${location}"`,
+    `severity>=${severity}`,
+  ];
+  if (revision) {
+    conditions.push(`resource.labels.revision_name="${revision}"`);
+  }
+  if (since) {
+    conditions.push(`timestamp>="${since.toISOString()}"`);
+  }
+  return conditions.join('\n');
+}
+
+/**
+ * Counts the requests, 5xx responses and error logs of a Cloud Run revision since a given time.
+ * At most 1000 entries are counted for each query.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud location (e.g., 'europe-west1').
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string} revision - The name of the revision.
+ * @param {Date} since - The start of the time window.
+ * @returns {Promise<{requests: number, serverErrors: number, errors: number}>} - A promise that resolves to the counts.
+ */
+export async function countRevisionErrors(
+  projectId,
+  location,
+  serviceId,
+  revision,
+  since
+) {
+  if (!loggingClient) {
+    const { Logging } = await import('@google-cloud/logging');
+    loggingClient = new Logging({ projectId });
+  }
+  const MAX_ENTRIES = 1000;
+  const getEntries = (severity, condition) =>
+    callWithRetry(
+      () =>
+        loggingClient.getEntries({
+          filter: [
+            buildServiceLogFilter(serviceId, location, {
+              severity,
+              revision,
+              since,
+            }),
+            condition,
+          ]
+            .filter(Boolean)
+            .join('\n'),
+          pageSize: MAX_ENTRIES,
+          autoPaginate: false,
+        }),
+      `getEntries for revision ${revision}`
+    );
+
+  try {
+    const [[requests], [errors]] = await Promise.all([
+      getEntries('DEFAULT', 'httpRequest.status>0'),
+      getEntries('ERROR', ''),
+    ]);
+    return {
+      requests: requests.length,
+      serverErrors: requests.filter(
+        (entry) => entry.metadata.httpRequest.status >= 500
+      ).length,
+      errors: errors.filter((entry) => !entry.metadata.httpRequest).length,
+    };
+  } catch (error) {
+    console.error(`Error counting errors of revision ${revision}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Fetches a paginated list of logs for a specific Cloud Run service.
  * @param {string} projectId - The Google Cloud project ID.
@@ -147,10 +528,9 @@ export async function getServiceLogs(
     const LOG_SEVERITY = 'DEFAULT'; // e.g., 'DEFAULT', 'INFO', 'WARNING', 'ERROR'
     const PAGE_SIZE = 100; // Number of log entries to retrieve per page
 
-    const filter = `resource.type="cloud_run_revision"
-                    resource.labels.service_name="${serviceId}"
-                    resource.labels.location="${location}"
-                    severity>=${LOG_SEVERITY}`;
+    const filter = buildServiceLogFilter(serviceId, location, {
+      severity: LOG_SEVERITY,
+    });
 
     console.log(
       `Fetching logs for Cloud Run service ${serviceId} in project ${projectId}, location ${location}...`
@@ -225,7 +605,7 @@ function formatLogEntry(entry) {
 }
 
 /**
- * Checks if a Cloud Run service already exists.
+ * Fetches a Cloud Run service if it exists.
  *
  * @async
  * @param {object} context - The context object containing clients and other parameters.
@@ -233,24 +613,23 @@ function formatLogEntry(entry) {
  * @param {string} location - The Google Cloud region where the service is located.
  * @param {string} serviceId - The ID of the Cloud Run service.
  * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
- * @returns {Promise<boolean>} A promise that resolves to true if the service exists, false otherwise.
- * @throws {Error} If there's an error checking the service (other than not found).
+ * @returns {Promise<object|null>} A promise that resolves to the service object, or null if the service does not exist.
+ * @throws {Error} If there's an error fetching the service (other than not found).
  */
-export async function checkCloudRunServiceExists(
+export async function fetchCloudRunService(
   context,
   projectId,
   location,
   serviceId,
   progressCallback
 ) {
-  const parent = context.runClient.locationPath(projectId, location);
   const servicePath = context.runClient.servicePath(
     projectId,
     location,
     serviceId
   );
   try {
-    await callWithRetry(
+    const [service] = await callWithRetry(
       () => context.runClient.getService({ name: servicePath }),
       `getService ${serviceId}`
     );
@@ -258,14 +637,14 @@ export async function checkCloudRunServiceExists(
       `Cloud Run service ${serviceId} already exists.`,
       progressCallback
     );
-    return true;
+    return service;
   } catch (error) {
     if (error.code === 5) {
       await logAndProgress(
         `Cloud Run service ${serviceId} does not exist.`,
         progressCallback
       );
-      return false;
+      return null;
     }
     const errorMessage = `Error checking Cloud Run service ${serviceId}: ${error.message}`;
     console.error(`Error checking Cloud Run service ${serviceId}:`, error);
@@ -273,3 +652,74 @@ export async function checkCloudRunServiceExists(
     throw error;
   }
 }
+
+/**
+ * Checks if a Cloud Run service already exists.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region where the service is located.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<boolean>} A promise that resolves to true if the service exists, false otherwise.
+ * @throws {Error} If there's an error checking the service (other than not found).
+ */
+export async function checkCloudRunServiceExists(
+  context,
+  projectId,
+  location,
+  serviceId,
+  progressCallback
+) {
+  const service = await fetchCloudRunService(
+    context,
+    projectId,
+    location,
+    serviceId,
+    progressCallback
+  );
+  return service !== null;
+}
+
+/**
+ * Fetches the most recent log lines written by the containers of a Cloud Run revision.
+ * Errors are not thrown, an empty list is returned instead since logs are only used to enrich error messages.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} location - The Google Cloud region where the revision is located.
+ * @param {string} revisionName - The name of the revision.
+ * @param {number} [limit=50] - The maximum number of log lines to fetch.
+ * @returns {Promise<string[]>} A promise that resolves with the log lines, oldest first.
+ */
+export async function fetchRevisionLogs(
+  context,
+  location,
+  revisionName,
+  limit = 50
+) {
+  const filter = `resource.type="cloud_run_revision" AND resource.labels.revision_name="${revisionName}" AND resource.labels.location="${location}"`;
+  try {
+    const [entries] = await callWithRetry(
+      () =>
+        context.loggingClient.getEntries({
+          filter,
+          orderBy: 'timestamp desc',
+          pageSize: limit,
+          autoPaginate: false,
+        }),
+      `logging.getEntries for revision ${revisionName}`
+    );
+    return entries
+      .reverse()
+      .map((entry) =>
+        typeof entry.data === 'string'
+          ? entry.data
+          : JSON.stringify(entry.data || '')
+      );
+  } catch (error) {
+    console.error(`Error fetching logs for revision ${revisionName}:`, error);
+    return [];
+  }
+}
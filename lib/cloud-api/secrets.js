@@ -0,0 +1,205 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { callWithRetry } from './helpers.js';
+import { logAndProgress } from '../util/helpers.js';
+
+const SECRET_ACCESSOR_ROLE = 'roles/secretmanager.secretAccessor';
+
+/**
+ * Parses a Secret Manager secret reference.
+ * Accepted formats are `projects/PROJECT/secrets/NAME:VERSION`, `projects/PROJECT/secrets/NAME/versions/VERSION`,
+ * `NAME:VERSION` and `NAME`. The version defaults to `latest`.
+ *
+ * @param {string} reference - The secret reference.
+ * @returns {{secret: string, version: string}} The secret (as referenced, name or full resource name) and its version.
+ * @throws {Error} If the reference is empty or malformed.
+ */
+export function parseSecretReference(reference) {
+  const match =
+    typeof reference === 'string' &&
+    reference
+      .trim()
+      .match(
+        /^((?:projects\/[^/:]+\/secrets\/)?[^/:]+)(?::([^/:]+)|\/versions\/([^/:]+))?$/
+      );
+  if (!match) {
+    throw new Error(
+      `Invalid secret reference "${reference}". Expected "projects/PROJECT/secrets/NAME:VERSION" or "NAME:VERSION".`
+    );
+  }
+  return { secret: match[1], version: match[2] || match[3] || 'latest' };
+}
+
+/**
+ * Returns the full resource name of a secret.
+ *
+ * @param {string} projectId - The Google Cloud project ID used when the secret is referenced by name only.
+ * @param {string} secret - The secret name or full resource name.
+ * @returns {string} The full resource name of the secret (e.g. `projects/my-project/secrets/db-pass`).
+ */
+export function getSecretResourceName(projectId, secret) {
+  return secret.startsWith('projects/')
+    ? secret
+    : `projects/${projectId}/secrets/${secret}`;
+}
+
+/**
+ * Creates a secret if it does not exist and adds a new version with the given value.
+ * The value is never logged or sent in progress notifications.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} secretId - The ID of the secret.
+ * @param {string} value - The secret value.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the created secret version.
+ * @throws {Error} If the secret or its version cannot be created.
+ */
+export async function createSecretVersion(
+  context,
+  projectId,
+  secretId,
+  value,
+  progressCallback
+) {
+  const secretName = getSecretResourceName(projectId, secretId);
+  try {
+    try {
+      await callWithRetry(
+        () => context.secretManagerClient.getSecret({ name: secretName }),
+        `secretManager.getSecret ${secretId}`
+      );
+    } catch (error) {
+      if (error.code !== 5) {
+        throw error;
+      }
+      await logAndProgress(
+        `Secret ${secretId} does not exist. Creating...`,
+        progressCallback
+      );
+      await callWithRetry(
+        () =>
+          context.secretManagerClient.createSecret({
+            parent: `projects/${projectId}`,
+            secretId: secretId,
+            secret: { replication: { automatic: {} } },
+          }),
+        `secretManager.createSecret ${secretId}`
+      );
+    }
+
+    const [version] = await callWithRetry(
+      () =>
+        context.secretManagerClient.addSecretVersion({
+          parent: secretName,
+          payload: { data: Buffer.from(value, 'utf8') },
+        }),
+      `secretManager.addSecretVersion ${secretId}`
+    );
+    await logAndProgress(
+      `Added new version to secret ${secretId}: ${version.name}`,
+      progressCallback
+    );
+    return version;
+  } catch (error) {
+    const errorMessage = `Error creating secret ${secretId}: ${error.message}`;
+    console.error(`Error creating secret ${secretId}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
+
+/**
+ * Ensures that a secret exists and that a member can access it.
+ * If the member does not have the Secret Manager Secret Accessor role on the secret, it is granted.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} secretName - The full resource name of the secret.
+ * @param {string} member - The IAM member that needs access (e.g. `serviceAccount:sa@project.iam.gserviceaccount.com`).
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves when the member can access the secret.
+ * @throws {Error} If the secret does not exist or access cannot be granted.
+ */
+export async function ensureSecretAccess(
+  context,
+  secretName,
+  member,
+  progressCallback
+) {
+  try {
+    await callWithRetry(
+      () => context.secretManagerClient.getSecret({ name: secretName }),
+      `secretManager.getSecret ${secretName}`
+    );
+  } catch (error) {
+    const errorMessage =
+      error.code === 5
+        ? `Secret ${secretName} does not exist. Create it first or check the secret reference.`
+        : `Error checking secret ${secretName}: ${error.message}`;
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+
+  try {
+    const [policy] = await callWithRetry(
+      () =>
+        context.secretManagerClient.getIamPolicy({
+          resource: secretName,
+          options: { requestedPolicyVersion: 3 },
+        }),
+      `secretManager.getIamPolicy ${secretName}`
+    );
+    const bindings = policy.bindings || [];
+    let binding = bindings.find(
+      (b) => b.role === SECRET_ACCESSOR_ROLE && !b.condition
+    );
+    if (binding && binding.members.includes(member)) {
+      await logAndProgress(
+        `${member} can already access secret ${secretName}.`,
+        progressCallback,
+        'debug'
+      );
+      return;
+    }
+
+    await logAndProgress(
+      `Granting ${SECRET_ACCESSOR_ROLE} on secret ${secretName} to ${member}...`,
+      progressCallback
+    );
+    if (binding) {
+      binding.members.push(member);
+    } else {
+      binding = { role: SECRET_ACCESSOR_ROLE, members: [member] };
+      bindings.push(binding);
+    }
+    await callWithRetry(
+      () =>
+        context.secretManagerClient.setIamPolicy({
+          resource: secretName,
+          policy: { ...policy, bindings, version: 3 },
+        }),
+      `secretManager.setIamPolicy ${secretName}`
+    );
+  } catch (error) {
+    const errorMessage = `Error granting access to secret ${secretName}: ${error.message}`;
+    console.error(`Error granting access to secret ${secretName}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
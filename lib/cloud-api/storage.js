@@ -121,3 +121,93 @@ export async function uploadToStorageBucket(
     throw error;
   }
 }
+
+// Bucket roles that allow reading objects, and the subset that also allows writing them.
+const BUCKET_READ_ROLES = [
+  'roles/storage.objectViewer',
+  'roles/storage.objectUser',
+  'roles/storage.objectAdmin',
+  'roles/storage.admin',
+];
+const BUCKET_WRITE_ROLES = [
+  'roles/storage.objectUser',
+  'roles/storage.objectAdmin',
+  'roles/storage.admin',
+];
+
+/**
+ * Ensures that a Google Cloud Storage bucket exists and that a member can access its objects.
+ * If the bucket policy does not give the member a suitable role, Storage Object Viewer (read-only)
+ * or Storage Object User (read-write) is granted on the bucket.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} bucketName - The name of the storage bucket.
+ * @param {string} member - The IAM member that needs access (e.g. `serviceAccount:sa@project.iam.gserviceaccount.com`).
+ * @param {boolean} readOnly - Whether the member only needs to read objects.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves when the member can access the bucket.
+ * @throws {Error} If the bucket does not exist or access cannot be granted.
+ */
+export async function ensureBucketAccess(
+  context,
+  bucketName,
+  member,
+  readOnly,
+  progressCallback
+) {
+  const bucket = context.storage.bucket(bucketName);
+  const [exists] = await callWithRetry(
+    () => bucket.exists(),
+    `storage.bucket.exists ${bucketName}`
+  );
+  if (!exists) {
+    const errorMessage = `Bucket ${bucketName} does not exist. Create it first or check the bucket name.`;
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+
+  try {
+    const [policy] = await callWithRetry(
+      () => bucket.iam.getPolicy({ requestedPolicyVersion: 3 }),
+      `storage.bucket.iam.getPolicy ${bucketName}`
+    );
+    const bindings = policy.bindings || [];
+    const acceptedRoles = readOnly ? BUCKET_READ_ROLES : BUCKET_WRITE_ROLES;
+    const hasAccess = bindings.some(
+      (b) =>
+        acceptedRoles.includes(b.role) &&
+        !b.condition &&
+        (b.members || []).includes(member)
+    );
+    if (hasAccess) {
+      await logAndProgress(
+        `${member} can already access bucket ${bucketName}.`,
+        progressCallback,
+        'debug'
+      );
+      return;
+    }
+
+    const role = acceptedRoles[0];
+    await logAndProgress(
+      `Granting ${role} on bucket ${bucketName} to ${member}...`,
+      progressCallback
+    );
+    const binding = bindings.find((b) => b.role === role && !b.condition);
+    if (binding) {
+      binding.members.push(member);
+    } else {
+      bindings.push({ role, members: [member] });
+    }
+    await callWithRetry(
+      () => bucket.iam.setPolicy({ ...policy, bindings }),
+      `storage.bucket.iam.setPolicy ${bucketName}`
+    );
+  } catch (error) {
+    const errorMessage = `Error granting access to bucket ${bucketName}: ${error.message}`;
+    console.error(`Error granting access to bucket ${bucketName}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw new Error(errorMessage);
+  }
+}
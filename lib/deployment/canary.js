@@ -0,0 +1,276 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { countRevisionErrors, getService } from '../cloud-api/run.js';
+import { logAndProgress } from '../util/helpers.js';
+import { deploy, deployImage } from './deployer.js';
+import {
+  applyTrafficChanges,
+  getCanaryTraffic,
+  promotePreview,
+  restoreTraffic,
+  sendsTrafficToLatest,
+  setTraffic,
+} from './traffic.js';
+
+const DEFAULT_CANARY_TAG = 'canary';
+
+/**
+ * Returns why a canary step is rejected, or null if the canary revision is healthy.
+ * A step without requests is rejected, since the health of the revision could not be checked.
+ *
+ * @param {{requests: number, serverErrors: number, errors: number}} counts - The counts of the step.
+ * @param {number} maxErrors - The maximum number of error logs allowed.
+ * @param {number} maxServerErrorPercent - The maximum share of 5xx responses allowed, in percent.
+ * @returns {string|null} The reason of the rejection, or null.
+ */
+function getRejectionReason(counts, maxErrors, maxServerErrorPercent) {
+  if (counts.requests === 0) {
+    return 'it received no requests, so its health could not be checked';
+  }
+  const serverErrorPercent = (counts.serverErrors * 100) / counts.requests;
+  if (serverErrorPercent > maxServerErrorPercent) {
+    return `${serverErrorPercent.toFixed(1)}% of its responses were 5xx errors, above ${maxServerErrorPercent}%`;
+  }
+  if (counts.errors > maxErrors) {
+    return `it wrote ${counts.errors} error logs, above ${maxErrors}`;
+  }
+  return null;
+}
+
+/**
+ * Stops sending traffic to a rejected canary revision and restores the traffic split of the service
+ * before the rollout. The pinned split is restored first, so that the canary revision stops serving at once.
+ * If the latest revision received traffic before the rollout, the previous revision template is then
+ * deployed again, so that the split follows `LATEST` again and later deployments receive traffic.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The Google Cloud region of the service.
+ * @param {string} serviceName - The name of the Cloud Run service.
+ * @param {string} tag - The tag of the canary revision.
+ * @param {object|null} previousService - The service before the rollout.
+ * @param {object[]} pinnedTraffic - The traffic split before the rollout, pinned to revisions.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the updated service.
+ * @throws {Error} If the traffic split cannot be restored.
+ */
+async function rollBackCanary(
+  projectId,
+  region,
+  serviceName,
+  tag,
+  previousService,
+  pinnedTraffic,
+  progressCallback
+) {
+  const service = await restoreTraffic(
+    projectId,
+    region,
+    serviceName,
+    pinnedTraffic
+  );
+  if (!sendsTrafficToLatest(previousService?.traffic)) {
+    return service;
+  }
+  await logAndProgress(
+    'Deploying the previous settings again so that new deployments receive traffic...',
+    progressCallback
+  );
+  const previousTraffic = applyTrafficChanges(
+    { traffic: previousService.traffic },
+    { removeTags: [tag] }
+  ).traffic;
+  return restoreTraffic(
+    projectId,
+    region,
+    serviceName,
+    previousTraffic,
+    previousService.template
+  );
+}
+
+/**
+ * Deploys a new revision of a Cloud Run service as a canary.
+ * The revision is first deployed without traffic, then receives an increasing share of the traffic.
+ * After each step, the 5xx responses and error logs of the revision are counted: if a threshold is
+ * crossed, or if the revision received no requests, the previous traffic split is restored. Otherwise the
+ * revision finally gets 100% of the traffic.
+ *
+ * @async
+ * @param {object} config - The canary deployment configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} config.serviceName - The name of an existing Cloud Run service.
+ * @param {string} config.region - The Google Cloud region of the service.
+ * @param {string} [config.imageUrl] - The container image to deploy. Either `imageUrl` or `files` must be set.
+ * @param {Array<string|{filename: string, content: Buffer|string}>} [config.files] - The files to build and deploy.
+ * @param {number[]} [config.steps=[10, 50]] - The percentages of traffic sent to the canary revision, in order.
+ * @param {number} [config.stepDurationSeconds=60] - How long each step is watched before moving on.
+ * @param {number} [config.maxErrors=0] - The maximum number of error logs allowed at each step.
+ * @param {number} [config.maxServerErrorPercent=1] - The maximum share of 5xx responses allowed at each step, in percent.
+ * @param {string} [config.tag='canary'] - The tag of the canary revision during the rollout.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [config.skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {boolean} [config.plan=false] - Whether to only plan the deployment of the canary revision, without deploying it.
+ * @returns {Promise<{promoted: boolean, revision: string, reason?: string, steps: object[], service: object}|import('./deployer.js').DeploymentPlan>} A promise that resolves with the outcome of the rollout, the reason of a rejection and the counts of each step,
+ *   or with the plan of the deployment when `plan` is set.
+ * @throws {Error} If the deployment fails or the steps are invalid.
+ */
+export async function canaryDeploy({
+  projectId,
+  serviceName,
+  region,
+  imageUrl,
+  files,
+  steps = [10, 50],
+  stepDurationSeconds = 60,
+  maxErrors = 0,
+  maxServerErrorPercent = 1,
+  tag = DEFAULT_CANARY_TAG,
+  progressCallback,
+  skipIamCheck,
+  plan,
+  ...serviceConfig
+}) {
+  if (!imageUrl === !files) {
+    throw new Error('Either imageUrl or files must be provided.');
+  }
+  steps.forEach((percent, index) => {
+    if (percent <= 0 || percent >= 100 || percent <= (steps[index - 1] || 0)) {
+      throw new Error(
+        'Canary steps must be increasing percentages between 1 and 99.'
+      );
+    }
+  });
+
+  // The service before the rollout, to restore its traffic split and settings if the canary is rejected.
+  const previousService = plan
+    ? null
+    : await getService(projectId, region, serviceName);
+
+  const deployConfig = {
+    projectId,
+    serviceName,
+    region,
+    progressCallback,
+    skipIamCheck,
+    plan,
+    ...serviceConfig,
+    previewTag: tag,
+  };
+  const deployedService = imageUrl
+    ? await deployImage({ ...deployConfig, imageUrl })
+    : await deploy({ ...deployConfig, files });
+  if (plan) {
+    deployedService.actions.push(
+      `Send ${steps.join('%, ')}% of traffic to the canary revision for ${stepDurationSeconds} seconds each, then 100% if it stays within the error thresholds.`
+    );
+    return deployedService;
+  }
+
+  const canaryTarget = deployedService.traffic.find((t) => t.tag === tag);
+  const revision = canaryTarget.revision;
+  // The traffic split during the rollout, with the latest revision pinned by the preview deployment.
+  const pinnedTraffic = applyTrafficChanges(
+    { traffic: deployedService.traffic },
+    { removeTags: [tag] }
+  ).traffic;
+  const baseTargets = pinnedTraffic.filter((t) => t.percent > 0);
+  const rollBack = () =>
+    rollBackCanary(
+      projectId,
+      region,
+      serviceName,
+      tag,
+      previousService,
+      pinnedTraffic,
+      progressCallback
+    );
+
+  const results = [];
+  let rejection = null;
+  try {
+    for (const percent of steps) {
+      await setTraffic(projectId, region, serviceName, {
+        traffic: getCanaryTraffic(baseTargets, revision, percent),
+      });
+      await logAndProgress(
+        `Sent ${percent}% of traffic to canary revision ${revision}. Watching it for ${stepDurationSeconds} seconds...`,
+        progressCallback
+      );
+      const since = new Date();
+      await new Promise((resolve) =>
+        setTimeout(resolve, stepDurationSeconds * 1000)
+      );
+
+      const counts = await countRevisionErrors(
+        projectId,
+        region,
+        serviceName,
+        revision,
+        since
+      );
+      results.push({ percent, ...counts });
+      await logAndProgress(
+        `Canary at ${percent}%: ${counts.requests} requests, ${counts.serverErrors} 5xx responses, ${counts.errors} error logs.`,
+        progressCallback
+      );
+
+      rejection = getRejectionReason(counts, maxErrors, maxServerErrorPercent);
+      if (rejection) {
+        break;
+      }
+    }
+  } catch (error) {
+    await logAndProgress(
+      `Canary rollout of revision ${revision} failed: ${error.message}. Restoring the previous traffic split...`,
+      progressCallback,
+      'error'
+    );
+    try {
+      await rollBack();
+    } catch (restoreError) {
+      throw new Error(
+        `Canary rollout of revision ${revision} failed: ${error.message}. Restoring the previous traffic split also failed: ${restoreError.message}`,
+        { cause: error }
+      );
+    }
+    throw error;
+  }
+
+  if (rejection) {
+    await logAndProgress(
+      `Canary revision ${revision} is rejected: ${rejection}. Restoring the previous traffic split...`,
+      progressCallback,
+      'warn'
+    );
+    const service = await rollBack();
+    return {
+      promoted: false,
+      revision,
+      reason: rejection,
+      steps: results,
+      service,
+    };
+  }
+
+  await logAndProgress(
+    `Canary revision ${revision} is healthy. Sending it 100% of traffic...`,
+    progressCallback
+  );
+  const { service } = await promotePreview(projectId, region, serviceName, tag);
+  return { promoted: true, revision, steps: results, service };
+}
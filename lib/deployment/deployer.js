@@ -14,21 +14,70 @@ See the License for the specific language governing permissions and
 limitations under the License.
 */
 
-import { callWithRetry, ensureApisEnabled } from '../cloud-api/helpers.js';
+import {
+  callWithRetry,
+  ensureApisEnabled,
+  findDisabledApis,
+} from '../cloud-api/helpers.js';
 import { zipFiles } from '../util/archive.js';
 import {
+  ensureBucketAccess,
   ensureStorageBucketExists,
   uploadToStorageBucket,
 } from '../cloud-api/storage.js';
-import { ensureArtifactRegistryRepoExists } from '../cloud-api/registry.js';
+import {
+  deleteArtifactRegistryPackage,
+  ensureArtifactRegistryRepoExists,
+} from '../cloud-api/registry.js';
 import { triggerCloudBuild } from '../cloud-api/build.js';
 import { logAndProgress } from '../util/helpers.js';
-import { checkCloudRunServiceExists } from '../cloud-api/run.js';
+import {
+  deleteService,
+  fetchCloudRunService,
+  fetchRevisionLogs,
+  getService,
+  listJobs,
+  listRevisions,
+  listServices,
+} from '../cloud-api/run.js';
+import {
+  createSecretVersion,
+  ensureSecretAccess,
+  getSecretResourceName,
+} from '../cloud-api/secrets.js';
+import {
+  ensureProjectIamBinding,
+  getProjectNumber,
+} from '../cloud-api/projects.js';
+import {
+  checkActAsPermission,
+  ensureServiceAccountExists,
+  getDedicatedServiceAccountId,
+  getServiceAccountEmail,
+} from '../cloud-api/iam.js';
+import { ENV_FILE_NAME, loadEnvFile } from '../util/env.js';
+import { findExposedPort } from '../util/dockerfile.js';
+import {
+  LATEST,
+  applyTrafficChanges,
+  isTrafficPinned,
+  preparePreviewTraffic,
+} from './traffic.js';
+import {
+  applyServiceConfig,
+  getConfiguredBuckets,
+  getConfiguredSecrets,
+  getMainContainer,
+  prepareServiceUpdate,
+} from './template.js';
 
 // Configuration
 const REPO_NAME = 'mcp-cloud-run-deployments';
 const ZIP_FILE_NAME = 'source.zip';
 const IMAGE_TAG = 'latest';
+const DEFAULT_CONTAINER_PORT = 8080;
+// Public sample image used to validate the settings of a deployment before its image is built.
+const PLACEHOLDER_IMAGE = 'us-docker.pkg.dev/cloudrun/container/hello';
 
 // APIs required for deploying from source code.
 const REQUIRED_APIS_FOR_SOURCE_DEPLOY = [
@@ -43,28 +92,306 @@ const REQUIRED_APIS_FOR_SOURCE_DEPLOY = [
 const REQUIRED_APIS_FOR_IMAGE_DEPLOY = ['run.googleapis.com'];
 
 /**
- * Deploys or updates a Cloud Run service with the specified container image.
- * If the service exists, it's updated; otherwise, a new service is created.
- * The service is configured to be publicly accessible.
+ * Returns the APIs required for a deployment, including the APIs needed by optional service settings.
+ *
+ * @param {string[]} requiredApis - The APIs always required by the deployment method.
+ * @param {object} [serviceConfig={}] - The service settings of the deployment.
+ * @returns {string[]} The list of APIs to enable.
+ */
+function getRequiredApis(requiredApis, serviceConfig = {}) {
+  const apis = [...requiredApis];
+  if (
+    serviceConfig.secrets ||
+    serviceConfig.secretVolumes ||
+    serviceConfig.secretValues
+  ) {
+    apis.push('secretmanager.googleapis.com');
+  }
+  if (serviceConfig.cloudSqlInstances?.length > 0) {
+    apis.push('sqladmin.googleapis.com');
+  }
+  if (
+    getConfiguredBuckets(serviceConfig).length > 0 &&
+    !apis.includes('storage.googleapis.com')
+  ) {
+    apis.push('storage.googleapis.com');
+  }
+  if (
+    (serviceConfig.serviceAccount || serviceConfig.createServiceAccount) &&
+    !apis.includes('iam.googleapis.com')
+  ) {
+    apis.push('iam.googleapis.com');
+  }
+  return apis;
+}
+
+/**
+ * Returns the email of the service account the revisions of a service run as.
+ * Defaults to the Compute Engine default service account when the service does not set one.
+ *
+ * @async
+ * @param {object} service - The Cloud Run service object.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {Promise<string>} A promise that resolves with the service account email.
+ */
+async function getRuntimeServiceAccount(service, projectId) {
+  if (service.template.serviceAccount) {
+    return service.template.serviceAccount;
+  }
+  const projectNumber = await getProjectNumber(projectId);
+  return `${projectNumber}-compute@developer.gserviceaccount.com`;
+}
+
+/**
+ * Returns a hint to add to a dry run error message when the error is likely caused by a service setting.
+ *
+ * @param {Error} error - The dry run error.
+ * @param {object} [serviceConfig={}] - The service settings of the deployment.
+ * @returns {string} A hint, or an empty string if there is none.
+ */
+function getDryRunErrorHint(error, serviceConfig = {}) {
+  const message = (error.message || '').toLowerCase();
+  const hasVpcSettings =
+    serviceConfig.network ||
+    serviceConfig.subnet ||
+    serviceConfig.vpcConnector ||
+    serviceConfig.vpcEgress;
+  if (hasVpcSettings && /vpc|network|subnet|connector|egress/.test(message)) {
+    const settings = ['network', 'subnet', 'vpcConnector', 'vpcEgress']
+      .filter((key) => serviceConfig[key])
+      .map((key) => `${key}=${serviceConfig[key]}`)
+      .join(', ');
+    return `\nThe VPC settings (${settings}) were rejected. Check that the network, subnet or connector exist in the same region as the service, and that the Cloud Run service agent can use them.`;
+  }
+  return '';
+}
+
+/**
+ * Detects which probe caused a revision to fail, from the error returned by the Cloud Run API.
+ * A container that does not listen on its port fails the default startup probe.
+ *
+ * @param {Error} error - The error of the deployment operation.
+ * @returns {'startup'|'liveness'|null} The probe that failed, or null if the error is not a probe failure.
+ */
+function getFailedProbe(error) {
+  const message = (error.message || '').toLowerCase();
+  if (message.includes('liveness probe')) {
+    return 'liveness';
+  }
+  if (
+    message.includes('startup probe') ||
+    message.includes('failed to start and listen on the port')
+  ) {
+    return 'startup';
+  }
+  return null;
+}
+
+/**
+ * Waits for a deployment operation to complete. When the new revision fails its startup or
+ * liveness probe, the error names the probe and includes the last log lines of the revision.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {object} operation - The long-running operation returned by `createService` or `updateService`.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} revisionName - The name of the deployed revision.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the deployed service.
+ * @throws {Error} If the operation fails.
+ */
+async function waitForDeployment(
+  context,
+  operation,
+  location,
+  revisionName,
+  progressCallback
+) {
+  try {
+    const [response] = await operation.promise();
+    return response;
+  } catch (error) {
+    const failedProbe = getFailedProbe(error);
+    if (!failedProbe || !context.loggingClient) {
+      throw error;
+    }
+    await logAndProgress(
+      `Revision ${revisionName} failed its ${failedProbe} probe. Fetching container logs...`,
+      progressCallback,
+      'warn'
+    );
+    const logLines = await fetchRevisionLogs(context, location, revisionName);
+    const logsSnippet =
+      logLines.length > 0
+        ? `\n\nLast ${logLines.length} log lines from revision ${revisionName}:\n${logLines.join('\n')}`
+        : `\n\nNo logs were found for revision ${revisionName}.`;
+    const probeError = new Error(
+      `Revision ${revisionName} failed its ${failedProbe} probe: ${error.message}${logsSnippet}`
+    );
+    probeError.code = error.code;
+    throw probeError;
+  }
+}
+
+/**
+ * Resolves the runtime service account requested in the deployment settings.
+ * When `createServiceAccount` is set, the service account (by default `<service>-sa`) is created if needed.
+ * The caller must be able to act as the service account, this is checked before deploying.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} serviceConfig - The service settings of the deployment.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<string|undefined>} A promise that resolves with the service account email, or undefined if none was requested.
+ */
+async function prepareServiceAccount(
+  context,
+  projectId,
+  serviceId,
+  serviceConfig,
+  progressCallback
+) {
+  if (!serviceConfig.serviceAccount && !serviceConfig.createServiceAccount) {
+    return undefined;
+  }
+  let serviceAccount = getServiceAccountEmail(
+    projectId,
+    serviceConfig.serviceAccount || getDedicatedServiceAccountId(serviceId)
+  );
+  if (serviceConfig.createServiceAccount) {
+    serviceAccount = await ensureServiceAccountExists(
+      context,
+      projectId,
+      serviceAccount,
+      `Cloud Run service ${serviceId}`,
+      progressCallback
+    );
+  }
+  await checkActAsPermission(context, serviceAccount, progressCallback);
+  return serviceAccount;
+}
+
+/**
+ * Stores the secret values passed in the deployment settings as new versions of their secrets,
+ * creating the secrets if needed.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {object} serviceConfig - The service settings of the deployment.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves when all secret values are stored.
+ */
+async function storeSecretValues(
+  context,
+  projectId,
+  serviceConfig,
+  progressCallback
+) {
+  for (const [secretId, value] of Object.entries(
+    serviceConfig.secretValues || {}
+  )) {
+    await createSecretVersion(
+      context,
+      projectId,
+      secretId,
+      value,
+      progressCallback
+    );
+  }
+}
+
+/**
+ * Checks whether the deployment settings use secrets, buckets or Cloud SQL instances,
+ * which the runtime service account must be granted access to.
+ *
+ * @param {object} serviceConfig - The service settings of the deployment.
+ * @returns {boolean} True if the runtime service account needs access to other resources.
+ */
+function needsResourceAccess(serviceConfig) {
+  return (
+    getConfiguredSecrets(serviceConfig).length > 0 ||
+    getConfiguredBuckets(serviceConfig).length > 0 ||
+    serviceConfig.cloudSqlInstances?.length > 0
+  );
+}
+
+/**
+ * Grants a member access to the secrets, buckets and Cloud SQL instances used by the deployment settings.
+ * Each grant updates an IAM policy, so grants to the same resources must not run in parallel.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} member - The IAM member, e.g. `serviceAccount:<email>`.
+ * @param {object} serviceConfig - The service settings of the deployment.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<void>} A promise that resolves when the member can access every resource.
+ */
+async function grantResourceAccess(
+  context,
+  projectId,
+  member,
+  serviceConfig,
+  progressCallback
+) {
+  for (const secret of getConfiguredSecrets(serviceConfig)) {
+    await ensureSecretAccess(
+      context,
+      getSecretResourceName(projectId, secret),
+      member,
+      progressCallback
+    );
+  }
+  for (const { bucket, readOnly } of getConfiguredBuckets(serviceConfig)) {
+    await ensureBucketAccess(
+      context,
+      bucket,
+      member,
+      readOnly,
+      progressCallback
+    );
+  }
+  if (serviceConfig.cloudSqlInstances?.length > 0) {
+    await ensureProjectIamBinding(
+      projectId,
+      'roles/cloudsql.client',
+      member,
+      progressCallback
+    );
+  }
+}
+
+/**
+ * Validates a service object with a dry run of the create or update request.
+ * When the dry run of a new service rejects `invokerIamDisabled` set by `skipIamCheck`,
+ * the setting is removed from the service so the deployment can go ahead without it.
  *
  * @async
  * @param {object} context - The context object containing clients and other parameters.
  * @param {string} projectId - The Google Cloud project ID.
  * @param {string} location - The Google Cloud region for the deployment.
  * @param {string} serviceId - The ID for the Cloud Run service.
- * @param {string} imgUrl - The URL of the container image to deploy.
+ * @param {object} service - The service object to validate.
+ * @param {boolean} exists - Whether the service already exists.
  * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
- * @returns {Promise<object>} A promise that resolves with the Cloud Run service object upon successful deployment or update.
- * @throws {Error} If the deployment or update process fails.
+ * @param {boolean} [skipIamCheck] - Whether the invoker IAM check was disabled on the service.
+ * @param {object} [serviceConfig={}] - The service settings of the deployment, used in error hints.
+ * @returns {Promise<void>} A promise that resolves when the dry run succeeds.
+ * @throws {Error} If the dry run rejects the service.
  */
-async function deployToCloudRun(
+async function dryRunService(
   context,
   projectId,
   location,
   serviceId,
-  imgUrl,
+  service,
+  exists,
   progressCallback,
-  skipIamCheck
+  skipIamCheck,
+  serviceConfig = {}
 ) {
   const parent = context.runClient.locationPath(projectId, location);
   const servicePath = context.runClient.servicePath(
@@ -72,141 +399,1213 @@ async function deployToCloudRun(
     location,
     serviceId
   );
-  const revisionName = `${serviceId}-${Date.now()}`; // Generate a unique revision name
-
-  const service = {
-    template: {
-      revision: revisionName,
-      containers: [{ image: imgUrl }],
-    },
-    labels: {
-      'created-by': 'cloud-run-mcp',
-    },
-  };
-
-  // Conditionally set invokerIamDisabled based on the skipIamCheck flag
-  if (skipIamCheck) {
-    service.invokerIamDisabled = true;
-  }
 
+  // Always perform a dry run first for general validation
   try {
-    const exists = await checkCloudRunServiceExists(
-      context,
-      projectId,
-      location,
-      serviceId,
-      progressCallback
+    await logAndProgress(
+      `Performing dry run for service ${serviceId}...`,
+      progressCallback,
+      'debug'
     );
+    const dryRunServiceConfig = JSON.parse(JSON.stringify(service)); // Deep copy for dry run
 
-    // Always perform a dry run first for general validation
-    try {
-      await logAndProgress(
-        `Performing dry run for service ${serviceId}...`,
-        progressCallback,
-        'debug'
-      );
-      const dryRunServiceConfig = JSON.parse(JSON.stringify(service)); // Deep copy for dry run
-
-      if (exists) {
-        dryRunServiceConfig.name = servicePath;
-        await callWithRetry(
-          () =>
-            context.runClient.updateService({
-              service: dryRunServiceConfig,
-              validateOnly: true,
-            }),
-          `updateService (dry run) ${serviceId}`
-        );
-      } else {
-        await callWithRetry(
-          () =>
-            context.runClient.createService({
-              parent: parent,
-              service: dryRunServiceConfig,
-              serviceId: serviceId,
-              validateOnly: true,
-            }),
-          `createService (dry run) ${serviceId}`
-        );
-      }
-      await logAndProgress(
-        `Dry run successful for ${serviceId} with current configuration.`,
-        progressCallback,
-        'debug'
-      );
-    } catch (dryRunError) {
-      await logAndProgress(
-        `Dry run for ${serviceId} failed: ${dryRunError.message}`,
-        progressCallback,
-        'warn'
-      );
-
-      // Check if the error is related to invokerIamDisabled (this is a heuristic)
-      if (
-        skipIamCheck &&
-        dryRunError.message &&
-        (dryRunError.message.toLowerCase().includes('invokeriamdisabled') ||
-          dryRunError.message.toLowerCase().includes('iam policy violation') ||
-          dryRunError.code === 3) /* INVALID_ARGUMENT */
-      ) {
-        await logAndProgress(
-          `Dry run suggests 'invokerIamDisabled' is not allowed or invalid. Attempting deployment without it.`,
-          progressCallback,
-          'warn'
-        );
-        delete service.invokerIamDisabled; // Modify the main service object for actual deployment
-      } else {
-        // For any other validation errors, rethrow to stop the deployment
-        const errorMessage = `Dry run validation failed for service ${serviceId}: ${dryRunError.message}`;
-        await logAndProgress(errorMessage, progressCallback, 'error');
-        throw new Error(errorMessage);
-      }
-    }
-
-    let operation;
     if (exists) {
-      await logAndProgress(
-        `Updating existing service ${serviceId}...`,
-        progressCallback
-      );
-      service.name = servicePath;
-      [operation] = await callWithRetry(
-        () => context.runClient.updateService({ service }),
-        `updateService ${serviceId}`
+      dryRunServiceConfig.name = servicePath;
+      await callWithRetry(
+        () =>
+          context.runClient.updateService({
+            service: dryRunServiceConfig,
+            validateOnly: true,
+          }),
+        `updateService (dry run) ${serviceId}`
       );
     } else {
-      await logAndProgress(
-        `Creating new service ${serviceId}...`,
-        progressCallback
-      );
-      [operation] = await callWithRetry(
+      await callWithRetry(
         () =>
           context.runClient.createService({
             parent: parent,
-            service: service, // 'service' object might have invokerIamDisabled removed
+            service: dryRunServiceConfig,
             serviceId: serviceId,
+            validateOnly: true,
           }),
-        `createService ${serviceId}`
+        `createService (dry run) ${serviceId}`
+      );
+    }
+    await logAndProgress(
+      `Dry run successful for ${serviceId} with current configuration.`,
+      progressCallback,
+      'debug'
+    );
+  } catch (dryRunError) {
+    await logAndProgress(
+      `Dry run for ${serviceId} failed: ${dryRunError.message}`,
+      progressCallback,
+      'warn'
+    );
+
+    // Check if the error is related to invokerIamDisabled (this is a heuristic)
+    if (
+      !exists &&
+      skipIamCheck &&
+      serviceConfig.allowUnauthenticated === undefined &&
+      dryRunError.message &&
+      (dryRunError.message.toLowerCase().includes('invokeriamdisabled') ||
+        dryRunError.message.toLowerCase().includes('iam policy violation') ||
+        dryRunError.code === 3) /* INVALID_ARGUMENT */
+    ) {
+      await logAndProgress(
+        `Dry run suggests 'invokerIamDisabled' is not allowed or invalid. Attempting deployment without it.`,
+        progressCallback,
+        'warn'
       );
+      delete service.invokerIamDisabled; // Modify the main service object for actual deployment
+    } else {
+      // For any other validation errors, rethrow to stop the deployment
+      const errorMessage = `Dry run validation failed for service ${serviceId}: ${dryRunError.message}${getDryRunErrorHint(dryRunError, serviceConfig)}`;
+      await logAndProgress(errorMessage, progressCallback, 'error');
+      throw new Error(errorMessage);
     }
+  }
+}
+
+/**
+ * Sends the create or update request of a validated service and waits for its new revision to be ready.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {object} service - The service object to send.
+ * @param {boolean} exists - Whether the service already exists.
+ * @param {string} revisionName - The name of the new revision, used to fetch its logs if it fails.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the deployed Cloud Run service object.
+ */
+async function createOrUpdateService(
+  context,
+  projectId,
+  location,
+  serviceId,
+  service,
+  exists,
+  revisionName,
+  progressCallback
+) {
+  const parent = context.runClient.locationPath(projectId, location);
+  const servicePath = context.runClient.servicePath(
+    projectId,
+    location,
+    serviceId
+  );
 
+  let operation;
+  if (exists) {
+    await logAndProgress(
+      `Updating existing service ${serviceId}...`,
+      progressCallback
+    );
+    service.name = servicePath;
+    [operation] = await callWithRetry(
+      () => context.runClient.updateService({ service }),
+      `updateService ${serviceId}`
+    );
+  } else {
     await logAndProgress(
-      `Deploying ${serviceId} to Cloud Run...`,
+      `Creating new service ${serviceId}...`,
       progressCallback
     );
-    const [response] = await operation.promise();
+    [operation] = await callWithRetry(
+      () =>
+        context.runClient.createService({
+          parent: parent,
+          service: service, // 'service' object might have invokerIamDisabled removed
+          serviceId: serviceId,
+        }),
+      `createService ${serviceId}`
+    );
+  }
+
+  await logAndProgress(
+    `Deploying ${serviceId} to Cloud Run...`,
+    progressCallback
+  );
+  return waitForDeployment(
+    context,
+    operation,
+    location,
+    revisionName,
+    progressCallback
+  );
+}
+
+/**
+ * Builds the service object of a deployment from the existing service, if any, and the deployment settings.
+ * New services are labeled as created by this server, and are made public when `skipIamCheck` is set.
+ *
+ * @param {object|null} existingService - The existing service object, or null if the service does not exist.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image to deploy.
+ * @param {string} revisionName - The name of the new revision.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on a new service.
+ * @param {object} serviceConfig - Additional service settings applied to the revision template.
+ * @param {string} [serviceAccount] - Email of the runtime service account requested in the settings.
+ * @returns {object} The service object to send in the create or update request.
+ * @throws {Error} If the settings are invalid, or a preview is requested for a new service.
+ */
+function buildService(
+  existingService,
+  serviceId,
+  imgUrl,
+  revisionName,
+  skipIamCheck,
+  serviceConfig,
+  serviceAccount
+) {
+  let service;
+  if (existingService) {
+    service = prepareServiceUpdate(existingService, imgUrl, revisionName);
+  } else {
+    service = {
+      template: {
+        revision: revisionName,
+        containers: [{ image: imgUrl }],
+      },
+      labels: {
+        'created-by': 'cloud-run-mcp',
+      },
+    };
+
+    // Conditionally set invokerIamDisabled based on the skipIamCheck flag.
+    // Existing services keep their current setting, and an explicit allowUnauthenticated setting takes precedence.
+    if (skipIamCheck) {
+      service.invokerIamDisabled = true;
+    }
+  }
+  applyServiceConfig(service, { ...serviceConfig, serviceAccount });
+  if (serviceConfig.previewTag) {
+    if (!existingService) {
+      throw new Error(
+        `Preview deployments need an existing service. Deploy ${serviceId} without previewTag first.`
+      );
+    }
+    preparePreviewTraffic(
+      service,
+      existingService.latestReadyRevision,
+      revisionName,
+      serviceConfig.previewTag
+    );
+  } else if (existingService && isTrafficPinned(existingService.traffic)) {
+    // The new revision of a regular deployment serves all traffic, even if a rollback, a canary or
+    // set_traffic pinned it to other revisions. Tags are kept.
+    applyTrafficChanges(service, {
+      traffic: [{ revision: LATEST, percent: 100 }],
+    });
+  }
+  return service;
+}
+
+/**
+ * Builds the service object of a deployment and validates it with a dry run.
+ * If the service exists, its configuration is kept and only the image and the settings
+ * explicitly passed in `serviceConfig` are changed. The runtime service account, secrets
+ * and IAM bindings required by the settings are set up before the dry run.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image to deploy.
+ * @param {string} revisionName - The name of the new revision.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings applied to the revision template.
+ * @param {boolean} [grantAccess=true] - Whether to grant the runtime service account access to the secrets, buckets
+ *   and Cloud SQL instances of the settings. Multi-region deployments grant it once, before deploying the regions.
+ * @returns {Promise<{service: object, exists: boolean}>} A promise that resolves with the validated service object and whether the service already exists.
+ * @throws {Error} If the dry run rejects the service.
+ */
+async function prepareService(
+  context,
+  projectId,
+  location,
+  serviceId,
+  imgUrl,
+  revisionName,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {},
+  grantAccess = true
+) {
+  const existingService = await fetchCloudRunService(
+    context,
+    projectId,
+    location,
+    serviceId,
+    progressCallback
+  );
+  const exists = existingService !== null;
+
+  const serviceAccount = await prepareServiceAccount(
+    context,
+    projectId,
+    serviceId,
+    serviceConfig,
+    progressCallback
+  );
+  const service = buildService(
+    existingService,
+    serviceId,
+    imgUrl,
+    revisionName,
+    skipIamCheck,
+    serviceConfig,
+    serviceAccount
+  );
+  if (serviceConfig.previewTag) {
+    await logAndProgress(
+      `Deploying revision ${revisionName} as preview ${serviceConfig.previewTag}, without traffic.`,
+      progressCallback
+    );
+  } else if (exists && isTrafficPinned(existingService.traffic)) {
+    await logAndProgress(
+      `Traffic of service ${serviceId} is pinned to specific revisions. The new revision ${revisionName} will receive 100% of the traffic instead.`,
+      progressCallback,
+      'warn'
+    );
+  }
+  await storeSecretValues(context, projectId, serviceConfig, progressCallback);
+  if (grantAccess && needsResourceAccess(serviceConfig)) {
+    await grantResourceAccess(
+      context,
+      projectId,
+      `serviceAccount:${await getRuntimeServiceAccount(service, projectId)}`,
+      serviceConfig,
+      progressCallback
+    );
+  }
+
+  await dryRunService(
+    context,
+    projectId,
+    location,
+    serviceId,
+    service,
+    exists,
+    progressCallback,
+    skipIamCheck,
+    serviceConfig
+  );
+
+  return { service, exists };
+}
+
+/**
+ * Validates the settings of a deployment before the container image is built, using a dry run
+ * with a placeholder image. This rejects invalid settings without waiting for the build.
+ * Nothing is changed: the service account, secret versions and IAM bindings required by the
+ * settings are only set up when the service is deployed. A service account that the deployment
+ * creates may not exist yet, so the dry run keeps the current one.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings applied to the revision template.
+ * @returns {Promise<void>} A promise that resolves when the settings are valid.
+ * @throws {Error} If the dry run rejects the settings.
+ */
+export async function validateDeployment(
+  context,
+  projectId,
+  location,
+  serviceId,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {}
+) {
+  await logAndProgress(
+    `Validating the settings of service ${serviceId} before building...`,
+    progressCallback
+  );
+  const existingService = await fetchCloudRunService(
+    context,
+    projectId,
+    location,
+    serviceId,
+    progressCallback
+  );
+  let serviceAccount;
+  if (serviceConfig.serviceAccount && !serviceConfig.createServiceAccount) {
+    serviceAccount = getServiceAccountEmail(
+      projectId,
+      serviceConfig.serviceAccount
+    );
+    await checkActAsPermission(context, serviceAccount, progressCallback);
+  }
+  const service = buildService(
+    existingService,
+    serviceId,
+    PLACEHOLDER_IMAGE,
+    `${serviceId}-${Date.now()}`,
+    skipIamCheck,
+    serviceConfig,
+    serviceAccount
+  );
+  await dryRunService(
+    context,
+    projectId,
+    location,
+    serviceId,
+    service,
+    existingService !== null,
+    progressCallback,
+    skipIamCheck,
+    serviceConfig
+  );
+}
+
+/**
+ * Deploys or updates a Cloud Run service with the specified container image.
+ * If the service exists, it's updated; otherwise, a new service is created.
+ * On update, the existing service configuration is kept and only the image and the
+ * settings explicitly passed in `serviceConfig` are changed.
+ * New services are configured to be publicly accessible when `skipIamCheck` is set.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image to deploy.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings, such as `env`, applied to the revision template.
+ * @param {boolean} [grantAccess=true] - Whether to grant the runtime service account access to the resources of the settings.
+ * @returns {Promise<object>} A promise that resolves with the Cloud Run service object upon successful deployment or update.
+ * @throws {Error} If the deployment or update process fails.
+ */
+export async function deployToCloudRun(
+  context,
+  projectId,
+  location,
+  serviceId,
+  imgUrl,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {},
+  grantAccess = true
+) {
+  const revisionName = `${serviceId}-${Date.now()}`; // Generate a unique revision name
+
+  try {
+    const { service, exists } = await prepareService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      imgUrl,
+      revisionName,
+      progressCallback,
+      skipIamCheck,
+      serviceConfig,
+      grantAccess
+    );
+
+    const response = await createOrUpdateService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      service,
+      exists,
+      revisionName,
+      progressCallback
+    );
+
+    await logAndProgress(
+      `Service deployed/updated successfully: ${response.uri}`,
+      progressCallback
+    );
+    return response;
+  } catch (error) {
+    const errorMessage = `Error deploying/updating service ${serviceId}: ${error.message}`;
+    console.error(`Error deploying/updating service ${serviceId}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Suggests setting `containerPort` when the Dockerfile exposes another port than the one the service sends requests to.
+ * Cloud Run sends requests to port 8080 unless a container port is set, and existing services keep their port on update.
+ *
+ * @param {number|null} exposedPort - The port exposed by the Dockerfile, or null if it exposes none.
+ * @param {object|null} existingService - The existing service object, or null if the service does not exist.
+ * @returns {string} The suggestion, or an empty string if the ports match.
+ */
+function getPortSuggestion(exposedPort, existingService) {
+  if (!exposedPort) {
+    return '';
+  }
+  const servicePort =
+    (existingService &&
+      getMainContainer(existingService).ports?.[0]?.containerPort) ||
+    DEFAULT_CONTAINER_PORT;
+  if (exposedPort === servicePort) {
+    return '';
+  }
+  return `The Dockerfile exposes port ${exposedPort}, but the service receives requests on port ${servicePort}. If the app listens on port ${exposedPort}, deploy again with containerPort set to ${exposedPort}.`;
+}
+
+/**
+ * Returns the regions of a deployment. A list of regions takes precedence over the single region.
+ * Duplicates are removed and the order is kept, since the first region hosts the build of source deployments.
+ *
+ * @param {string} region - The region of a single-region deployment.
+ * @param {string[]} [regions] - The regions of a multi-region deployment.
+ * @returns {string[]} The regions to deploy to.
+ */
+function getDeployRegions(region, regions) {
+  return regions?.length > 0 ? [...new Set(regions)] : [region];
+}
+
+/**
+ * Prefixes the progress updates of a deployment with its region, so that parallel deployments can be told apart.
+ *
+ * @param {string} region - The region of the deployment.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {function(object): void|undefined} The callback for the deployment in the region.
+ */
+function withRegionPrefix(region, progressCallback) {
+  if (!progressCallback) {
+    return undefined;
+  }
+  return (progress) =>
+    progressCallback({ ...progress, data: `[${region}] ${progress.data}` });
+}
+
+/**
+ * Validates the settings of a deployment in several regions in parallel, before anything is built or deployed.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} regions - The Google Cloud regions of the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings applied to the revision template.
+ * @returns {Promise<void>} A promise that resolves when the settings are valid in every region.
+ * @throws {Error} If the dry run rejects the settings in any region.
+ */
+export async function validateDeploymentInRegions(
+  context,
+  projectId,
+  regions,
+  serviceId,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {}
+) {
+  const validate = async (region) => {
+    try {
+      await validateDeployment(
+        context,
+        projectId,
+        region,
+        serviceId,
+        withRegionPrefix(region, progressCallback),
+        skipIamCheck,
+        serviceConfig
+      );
+    } catch (error) {
+      throw new Error(
+        `Invalid settings in region ${region}, nothing was deployed: ${error.message}`
+      );
+    }
+  };
+  await Promise.all(regions.map(validate));
+}
+
+/**
+ * Creates the resources shared by all regions of a deployment once, before the regions are deployed in parallel:
+ * the service account created for the service, the secret versions of the given secret values, and the IAM bindings
+ * that give the runtime service account of each region access to the secrets, buckets and Cloud SQL instances.
+ * Parallel updates of the same IAM policy would conflict.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} regions - The Google Cloud regions of the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {object} serviceConfig - The service settings of the deployment.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the settings to deploy in each region: the created service account
+ *   is set as `serviceAccount` so the regions do not create it again, and the stored secret values are removed.
+ */
+async function prepareSharedResources(
+  context,
+  projectId,
+  regions,
+  serviceId,
+  serviceConfig,
+  progressCallback
+) {
+  const regionServiceConfig = { ...serviceConfig, secretValues: undefined };
+  if (serviceConfig.createServiceAccount) {
+    regionServiceConfig.serviceAccount = await ensureServiceAccountExists(
+      context,
+      projectId,
+      getServiceAccountEmail(
+        projectId,
+        serviceConfig.serviceAccount || getDedicatedServiceAccountId(serviceId)
+      ),
+      `Cloud Run service ${serviceId}`,
+      progressCallback
+    );
+    regionServiceConfig.createServiceAccount = undefined;
+  }
+  await storeSecretValues(context, projectId, serviceConfig, progressCallback);
+
+  if (needsResourceAccess(serviceConfig)) {
+    // Without a service account in the settings, each region keeps the one of its existing service.
+    const serviceAccounts = regionServiceConfig.serviceAccount
+      ? [getServiceAccountEmail(projectId, regionServiceConfig.serviceAccount)]
+      : await Promise.all(
+          regions.map(async (region) => {
+            const existingService = await fetchCloudRunService(
+              context,
+              projectId,
+              region,
+              serviceId,
+              withRegionPrefix(region, progressCallback)
+            );
+            return getRuntimeServiceAccount(
+              existingService || { template: {} },
+              projectId
+            );
+          })
+        );
+    for (const serviceAccount of new Set(serviceAccounts)) {
+      await grantResourceAccess(
+        context,
+        projectId,
+        `serviceAccount:${serviceAccount}`,
+        serviceConfig,
+        progressCallback
+      );
+    }
+  }
+  return regionServiceConfig;
+}
+
+/**
+ * Deploys the same container image to a Cloud Run service in several regions in parallel.
+ * A failure in one region does not stop the deployments in the other regions.
+ * The service account, secret versions and IAM bindings shared by the regions are created once beforehand.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} regions - The Google Cloud regions to deploy to.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image to deploy.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings applied to the revision template.
+ * @returns {Promise<Array<{region: string, service?: object, error?: string}>>} A promise that resolves with
+ *   the deployed service, or the error message, of each region.
+ */
+export async function deployToRegions(
+  context,
+  projectId,
+  regions,
+  serviceId,
+  imgUrl,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {}
+) {
+  const regionServiceConfig = await prepareSharedResources(
+    context,
+    projectId,
+    regions,
+    serviceId,
+    serviceConfig,
+    progressCallback
+  );
+  const results = await Promise.allSettled(
+    regions.map((region) =>
+      deployToCloudRun(
+        context,
+        projectId,
+        region,
+        serviceId,
+        imgUrl,
+        withRegionPrefix(region, progressCallback),
+        skipIamCheck,
+        regionServiceConfig,
+        false
+      )
+    )
+  );
+  const deployments = results.map((result, index) =>
+    result.status === 'fulfilled'
+      ? { region: regions[index], service: result.value }
+      : { region: regions[index], error: result.reason.message }
+  );
+  const failed = deployments.filter((deployment) => deployment.error);
+  if (failed.length > 0) {
+    await logAndProgress(
+      `Deployment failed in ${failed.length} of ${regions.length} regions: ${failed.map((deployment) => deployment.region).join(', ')}`,
+      progressCallback,
+      'warn'
+    );
+  } else {
+    await logAndProgress(
+      `Service ${serviceId} deployed to ${regions.length} regions.`,
+      progressCallback
+    );
+  }
+  return deployments;
+}
+
+/**
+ * Creates or updates a Cloud Run service from a complete service definition, such as one read from a YAML file.
+ * Unlike `deployToCloudRun`, the existing configuration of the service is not kept: the definition replaces it.
+ * The definition is validated with a dry run before it is applied.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} definition - The Cloud Run v2 service object to apply.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the Cloud Run service object once its revision is ready.
+ * @throws {Error} If the dry run rejects the definition or the deployment fails.
+ */
+export async function applyServiceDefinition(
+  context,
+  projectId,
+  location,
+  serviceId,
+  definition,
+  progressCallback
+) {
+  const service = JSON.parse(JSON.stringify(definition));
+  service.template = service.template || {};
+  const revisionName =
+    service.template.revision || `${serviceId}-${Date.now()}`;
+  service.template.revision = revisionName;
+
+  try {
+    const existingService = await fetchCloudRunService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      progressCallback
+    );
+    const exists = existingService !== null;
+
+    await dryRunService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      service,
+      exists,
+      progressCallback
+    );
+
+    const response = await createOrUpdateService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      service,
+      exists,
+      revisionName,
+      progressCallback
+    );
+
+    await logAndProgress(
+      `Service definition applied successfully: ${response.uri}`,
+      progressCallback
+    );
+    return response;
+  } catch (error) {
+    const errorMessage = `Error applying the definition of service ${serviceId}: ${error.message}`;
+    console.error(
+      `Error applying the definition of service ${serviceId}:`,
+      error
+    );
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Runs the read-only checks shared by all plans: which required APIs are not enabled, and whether the service exists.
+ * A service cannot exist while the Cloud Run API is not enabled, so it is only looked up once the API is enabled.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string[]} requiredApis - The APIs the deployment needs.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{disabledApis: string[], runApiEnabled: boolean, existingService: object|null}>} The results of the checks.
+ */
+async function checkPlanPrerequisites(
+  context,
+  projectId,
+  location,
+  serviceId,
+  requiredApis,
+  progressCallback
+) {
+  await logAndProgress(
+    'Checking required APIs without enabling them...',
+    progressCallback
+  );
+  const disabledApis = await findDisabledApis(context, projectId, requiredApis);
+  const runApiEnabled = !disabledApis.includes('run.googleapis.com');
+  const existingService = runApiEnabled
+    ? await fetchCloudRunService(
+        context,
+        projectId,
+        location,
+        serviceId,
+        progressCallback
+      )
+    : null;
+  return { disabledApis, runApiEnabled, existingService };
+}
+
+/**
+ * Validates a planned service with a dry run. Failures are returned rather than thrown, so they can be shown in the plan.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} service - The service object to validate.
+ * @param {boolean} exists - Whether the service already exists.
+ * @param {boolean} runApiEnabled - Whether the Cloud Run API is enabled. The dry run is skipped otherwise.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether the invoker IAM check was disabled on the service.
+ * @param {object} [serviceConfig={}] - The service settings of the deployment, used in error hints.
+ * @returns {Promise<{status: 'passed'|'failed'|'skipped', message?: string}>} The result of the dry run.
+ */
+async function dryRunPlan(
+  context,
+  projectId,
+  location,
+  serviceId,
+  service,
+  exists,
+  runApiEnabled,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {}
+) {
+  if (!runApiEnabled) {
+    return {
+      status: 'skipped',
+      message: 'The Cloud Run API is not enabled yet.',
+    };
+  }
+  try {
+    await dryRunService(
+      context,
+      projectId,
+      location,
+      serviceId,
+      service,
+      exists,
+      progressCallback,
+      skipIamCheck,
+      serviceConfig
+    );
+    return { status: 'passed' };
+  } catch (error) {
+    return { status: 'failed', message: error.message };
+  }
+}
+
+/**
+ * @typedef {object} DeploymentPlan
+ * @property {string} projectId - The Google Cloud project ID.
+ * @property {string} region - The Google Cloud region of the service.
+ * @property {string} serviceName - The name of the Cloud Run service.
+ * @property {boolean} exists - Whether the service already exists.
+ * @property {object|null} currentService - The current service object, or null if the service does not exist.
+ * @property {object} service - The service object that would be sent in the create or update request.
+ * @property {string[]} disabledApis - The required APIs that would be enabled.
+ * @property {string[]} actions - Other changes the deployment would make, such as IAM bindings.
+ * @property {{status: 'passed'|'failed'|'skipped', message?: string}} dryRun - The result of the dry run.
+ */
+
+/**
+ * Plans a deployment without changing anything: checks the required APIs without enabling them,
+ * looks up the service, builds the service object that would be deployed and validates it with a dry run.
+ * Service accounts, secrets and IAM bindings that the deployment would create are listed instead of created.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region for the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image that would be deployed.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} [serviceConfig={}] - Additional service settings applied to the revision template.
+ * @param {string[]} [requiredApis] - The APIs the deployment needs. Defaults to the APIs of an image deployment.
+ * @param {string} [validationImage] - The image used in the dry run, for images that are not built yet. Defaults to `imgUrl`.
+ * @returns {Promise<DeploymentPlan>} A promise that resolves with the plan.
+ * @throws {Error} If the settings are invalid.
+ */
+export async function planDeployment(
+  context,
+  projectId,
+  location,
+  serviceId,
+  imgUrl,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig = {},
+  requiredApis = REQUIRED_APIS_FOR_IMAGE_DEPLOY,
+  validationImage = imgUrl
+) {
+  const { disabledApis, runApiEnabled, existingService } =
+    await checkPlanPrerequisites(
+      context,
+      projectId,
+      location,
+      serviceId,
+      requiredApis,
+      progressCallback
+    );
+
+  const actions = [];
+  let serviceAccount;
+  if (serviceConfig.serviceAccount || serviceConfig.createServiceAccount) {
+    serviceAccount = getServiceAccountEmail(
+      projectId,
+      serviceConfig.serviceAccount || getDedicatedServiceAccountId(serviceId)
+    );
+    if (serviceConfig.createServiceAccount) {
+      actions.push(
+        `Create service account ${serviceAccount} if it does not exist.`
+      );
+    }
+  }
+  const service = buildService(
+    existingService,
+    serviceId,
+    imgUrl,
+    `${serviceId}-${Date.now()}`,
+    skipIamCheck,
+    serviceConfig,
+    serviceAccount
+  );
+
+  for (const secretId of Object.keys(serviceConfig.secretValues || {})) {
+    actions.push(
+      `Store the given value as a new version of secret ${secretId}.`
+    );
+  }
+  const secrets = getConfiguredSecrets(serviceConfig);
+  const buckets = getConfiguredBuckets(serviceConfig);
+  const hasCloudSql = serviceConfig.cloudSqlInstances?.length > 0;
+  if (secrets.length > 0 || buckets.length > 0 || hasCloudSql) {
+    const member = `serviceAccount:${await getRuntimeServiceAccount(service, projectId)}`;
+    for (const secret of secrets) {
+      actions.push(`Grant ${member} access to secret ${secret}.`);
+    }
+    for (const { bucket, readOnly } of buckets) {
+      actions.push(
+        `Grant ${member} ${readOnly ? 'read' : 'read and write'} access to bucket ${bucket}.`
+      );
+    }
+    if (hasCloudSql) {
+      actions.push(
+        `Grant ${member} the roles/cloudsql.client role on project ${projectId}.`
+      );
+    }
+  }
+
+  const validationService = JSON.parse(JSON.stringify(service));
+  getMainContainer(validationService).image = validationImage;
+  const dryRun = await dryRunPlan(
+    context,
+    projectId,
+    location,
+    serviceId,
+    validationService,
+    existingService !== null,
+    runApiEnabled,
+    progressCallback,
+    skipIamCheck,
+    serviceConfig
+  );
+  // The dry run drops invokerIamDisabled from new services when the organization does not allow it.
+  if (service.invokerIamDisabled && !validationService.invokerIamDisabled) {
+    delete service.invokerIamDisabled;
+  }
+
+  return {
+    projectId,
+    region: location,
+    serviceName: serviceId,
+    exists: existingService !== null,
+    currentService: existingService,
+    service,
+    disabledApis,
+    actions,
+    dryRun,
+  };
+}
+
+/**
+ * Plans the application of a complete service definition without changing anything.
+ * See `planDeployment` for the checks that are run.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} definition - The Cloud Run v2 service object that would be applied.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<DeploymentPlan>} A promise that resolves with the plan.
+ */
+export async function planServiceDefinition(
+  context,
+  projectId,
+  location,
+  serviceId,
+  definition,
+  progressCallback
+) {
+  const { disabledApis, runApiEnabled, existingService } =
+    await checkPlanPrerequisites(
+      context,
+      projectId,
+      location,
+      serviceId,
+      REQUIRED_APIS_FOR_IMAGE_DEPLOY,
+      progressCallback
+    );
+  const service = JSON.parse(JSON.stringify(definition));
+  service.template = service.template || {};
+  service.template.revision =
+    service.template.revision || `${serviceId}-${Date.now()}`;
+
+  const dryRun = await dryRunPlan(
+    context,
+    projectId,
+    location,
+    serviceId,
+    service,
+    existingService !== null,
+    runApiEnabled,
+    progressCallback
+  );
+
+  return {
+    projectId,
+    region: location,
+    serviceName: serviceId,
+    exists: existingService !== null,
+    currentService: existingService,
+    service,
+    disabledApis,
+    actions: [],
+    dryRun,
+  };
+}
+
+/**
+ * Plans a deployment in each of its regions, one after the other.
+ * Secret values are only stored once, so the action is only planned in the first region.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string[]} regions - The Google Cloud regions of the deployment.
+ * @param {string} serviceId - The ID for the Cloud Run service.
+ * @param {string} imgUrl - The URL of the container image that would be deployed.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [skipIamCheck] - Whether to disable the invoker IAM check on the service.
+ * @param {object} serviceConfig - Additional service settings applied to the revision template.
+ * @param {string[]} requiredApis - The APIs required by the deployment.
+ * @param {string} [validationImage=imgUrl] - The image used in the dry run.
+ * @returns {Promise<DeploymentPlan[]>} A promise that resolves with the plan of each region.
+ */
+async function planRegions(
+  context,
+  projectId,
+  regions,
+  serviceId,
+  imgUrl,
+  progressCallback,
+  skipIamCheck,
+  serviceConfig,
+  requiredApis,
+  validationImage = imgUrl
+) {
+  const plans = [];
+  for (const [index, region] of regions.entries()) {
+    plans.push(
+      await planDeployment(
+        context,
+        projectId,
+        region,
+        serviceId,
+        imgUrl,
+        regions.length > 1
+          ? withRegionPrefix(region, progressCallback)
+          : progressCallback,
+        skipIamCheck,
+        index === 0
+          ? serviceConfig
+          : { ...serviceConfig, secretValues: undefined },
+        requiredApis,
+        validationImage
+      )
+    );
+  }
+  return plans;
+}
 
-    await logAndProgress(
-      `Service deployed/updated successfully: ${response.uri}`,
-      progressCallback
+/**
+ * Checks whether the deployed files contain a Dockerfile, in which case Cloud Build builds the image from it
+ * instead of using buildpacks.
+ *
+ * @async
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - The file paths or file objects to deploy.
+ * @returns {Promise<boolean>} A promise that resolves with true if a Dockerfile is found.
+ */
+export async function detectDockerfile(files) {
+  const path = await import('path');
+  const fs = await import('fs');
+  if (
+    files.length === 1 &&
+    typeof files[0] === 'string' &&
+    fs.statSync(files[0]).isDirectory()
+  ) {
+    // Handle folder deployment: check for Dockerfile inside the folder
+    return (
+      fs.existsSync(path.join(files[0], 'Dockerfile')) ||
+      fs.existsSync(path.join(files[0], 'dockerfile'))
     );
-    return response;
-  } catch (error) {
-    const errorMessage = `Error deploying/updating service ${serviceId}: ${error.message}`;
-    console.error(`Error deploying/updating service ${serviceId}:`, error);
-    await logAndProgress(errorMessage, progressCallback, 'error');
-    throw error;
   }
+  // Handle file list deployment or file content deployment
+  return files.some((file) => {
+    const filename = typeof file === 'string' ? file : file?.filename;
+    return (
+      Boolean(filename) &&
+      path.basename(filename).toLowerCase() === 'dockerfile'
+    );
+  });
+}
+
+/**
+ * Uploads source code to the source bucket of the project and builds a container image from it with Cloud Build.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The region of the bucket, Artifact Registry repository and build.
+ * @param {string} imageUrl - The URL of the image to build.
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - The file paths or file objects to build.
+ * @param {boolean} hasDockerfile - Whether to build from the Dockerfile instead of using buildpacks.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {string[]} [excludedNames=[]] - Paths within the source code of files that are not uploaded.
+ * @returns {Promise<string>} A promise that resolves with the URL of the built image.
+ * @throws {Error} If the upload or the build fails.
+ */
+export async function buildImageFromSource(
+  context,
+  projectId,
+  region,
+  imageUrl,
+  files,
+  hasDockerfile,
+  progressCallback,
+  excludedNames = []
+) {
+  const bucketName = getSourceBucketName(projectId);
+  const bucket = await ensureStorageBucketExists(
+    context,
+    bucketName,
+    region,
+    progressCallback
+  );
+
+  const zipBuffer = await zipFiles(files, progressCallback, excludedNames);
+  await uploadToStorageBucket(
+    context,
+    bucket,
+    zipBuffer,
+    ZIP_FILE_NAME,
+    progressCallback
+  );
+  await logAndProgress('Source code uploaded successfully', progressCallback);
+
+  await ensureArtifactRegistryRepoExists(
+    context,
+    projectId,
+    region,
+    REPO_NAME,
+    'DOCKER',
+    progressCallback
+  );
+
+  const buildResult = await triggerCloudBuild(
+    context,
+    projectId,
+    region,
+    bucketName,
+    ZIP_FILE_NAME,
+    REPO_NAME,
+    imageUrl,
+    hasDockerfile,
+    progressCallback
+  );
+  return buildResult.results.images[0].name;
+}
+
+/**
+ * Returns the URL of the image built from the source code of a service or job.
+ *
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The region of the Artifact Registry repository.
+ * @param {string} name - The name of the image in the repository, e.g. the name of the service.
+ * @returns {string} The image URL.
+ */
+export function getSourceImageUrl(projectId, region, name) {
+  return `${region}-docker.pkg.dev/${projectId}/${REPO_NAME}/${name}:${IMAGE_TAG}`;
+}
+
+/**
+ * Returns the name of the bucket where source code is uploaded before it is built.
+ *
+ * @param {string} projectId - The Google Cloud project ID.
+ * @returns {string} The bucket name.
+ */
+function getSourceBucketName(projectId) {
+  return `${projectId}-source-bucket`;
 }
 
 /**
@@ -215,18 +1614,28 @@ async function deployToCloudRun(
  * @param {string} config.projectId - The Google Cloud project ID.
  * @param {string} [config.serviceName='app'] - The name of the Cloud Run service. Defaults to 'app'.
  * @param {string} [config.region='europe-west1'] - The Google Cloud region for deployment. Defaults to 'europe-west1'.
+ * @param {string[]} [config.regions] - Regions to deploy to in parallel, instead of `region`. The source is built once, in the first region.
  * @param {Array<string|{filename: string, content: Buffer|string}>} config.files - An array of file paths or file objects (with `filename` and `content`) to deploy.
  * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
- * @returns {Promise<object>} A promise that resolves with the deployed Cloud Run service object.
+ * @param {Object<string, string>} [config.env] - Environment variables to set on the service. Takes precedence over values from the `.env` file.
+ * @param {boolean} [config.useEnvFile=false] - Whether to load environment variables from a `.env` file found in the deployed files.
+ *   The `.env` file is then left out of the uploaded source code.
+ * @param {boolean} [config.plan=false] - Whether to only plan the deployment with read-only checks, without building or deploying.
+ * @returns {Promise<object|DeploymentPlan|DeploymentPlan[]>} A promise that resolves with the deployed Cloud Run service object, or with the plan when `plan` is set.
+ *   When `regions` is set, it resolves with the built image and the result of each region (`{imageUrl, deployments}`), or with the plan of each region.
  * @throws {Error} If deployment fails or required configuration is missing.
  */
 export async function deploy({
   projectId,
   serviceName,
   region,
+  regions,
   files,
   progressCallback,
   skipIamCheck,
+  useEnvFile,
+  plan,
+  ...serviceConfig
 }) {
   if (!projectId) {
     const errorMsg =
@@ -253,8 +1662,6 @@ export async function deploy({
     }
   }
 
-  const path = await import('path');
-  const fs = await import('fs');
   const { Storage } = await import('@google-cloud/storage');
   const { CloudBuildClient } = await import('@google-cloud/cloudbuild');
   const { ArtifactRegistryClient } = await import(
@@ -264,6 +1671,10 @@ export async function deploy({
   const { ServicesClient } = CloudRunV2Module;
   const { ServiceUsageClient } = await import('@google-cloud/service-usage');
   const { Logging } = await import('@google-cloud/logging');
+  const { SecretManagerServiceClient } = await import(
+    '@google-cloud/secret-manager'
+  );
+  const { GoogleAuth } = await import('google-auth-library');
 
   try {
     const context = {
@@ -273,105 +1684,180 @@ export async function deploy({
       runClient: new ServicesClient({ projectId }),
       serviceUsageClient: new ServiceUsageClient({ projectId }),
       loggingClient: new Logging({ projectId }),
+      secretManagerClient: new SecretManagerServiceClient({ projectId }),
+      authClient: new GoogleAuth({
+        scopes: 'https://www.googleapis.com/auth/cloud-platform',
+      }),
     };
 
-    await ensureApisEnabled(
-      context,
-      projectId,
+    const requiredApis = getRequiredApis(
       REQUIRED_APIS_FOR_SOURCE_DEPLOY,
-      progressCallback
+      serviceConfig
     );
+    if (!plan) {
+      await ensureApisEnabled(
+        context,
+        projectId,
+        requiredApis,
+        progressCallback
+      );
+    }
 
-    const bucketName = `${projectId}-source-bucket`;
-    const imageUrl = `${region}-docker.pkg.dev/${projectId}/${REPO_NAME}/${serviceName}:${IMAGE_TAG}`;
+    const multiRegion = regions?.length > 0;
+    const deployRegions = getDeployRegions(region, regions);
+    // The image is built once, next to the first region, and pulled from there by every region.
+    const buildRegion = deployRegions[0];
+    const bucketName = getSourceBucketName(projectId);
+    const imageUrl = getSourceImageUrl(projectId, buildRegion, serviceName);
 
     await logAndProgress(`Project: ${projectId}`, progressCallback);
-    await logAndProgress(`Region: ${region}`, progressCallback);
+    await logAndProgress(
+      `${multiRegion ? 'Regions' : 'Region'}: ${deployRegions.join(', ')}`,
+      progressCallback
+    );
     await logAndProgress(`Service Name: ${serviceName}`, progressCallback);
     await logAndProgress(`Files to deploy: ${files.length}`, progressCallback);
 
-    let hasDockerfile = false;
-    if (
-      files.length === 1 &&
-      typeof files[0] === 'string' &&
-      fs.statSync(files[0]).isDirectory()
-    ) {
-      // Handle folder deployment: check for Dockerfile inside the folder
-      const dockerfilePath = path.join(files[0], 'Dockerfile');
-      const dockerfilePathLowerCase = path.join(files[0], 'dockerfile');
-      if (
-        fs.existsSync(dockerfilePath) ||
-        fs.existsSync(dockerfilePathLowerCase)
-      ) {
-        hasDockerfile = true;
-      }
-    } else {
-      // Handle file list deployment or file content deployment
-      for (const file of files) {
-        if (typeof file === 'string') {
-          if (path.basename(file).toLowerCase() === 'dockerfile') {
-            hasDockerfile = true;
-            break;
-          }
-        } else if (typeof file === 'object' && file.filename) {
-          if (path.basename(file.filename).toLowerCase() === 'dockerfile') {
-            hasDockerfile = true;
-            break;
-          }
-        }
+    const hasDockerfile = await detectDockerfile(files);
+    await logAndProgress(`Dockerfile: ${hasDockerfile}`, progressCallback);
+
+    const exposedPort =
+      hasDockerfile && serviceConfig.containerPort === undefined
+        ? await findExposedPort(files)
+        : null;
+
+    if (useEnvFile) {
+      const fileEnv = await loadEnvFile(files);
+      if (fileEnv) {
+        // Only log variable names, values may contain credentials.
+        await logAndProgress(
+          `Loaded environment variables from .env file: ${Object.keys(fileEnv).join(', ')}. The .env file is left out of the uploaded source code.`,
+          progressCallback
+        );
+        serviceConfig.env = { ...fileEnv, ...serviceConfig.env };
+      } else {
+        await logAndProgress(
+          'No .env file found in the deployed files.',
+          progressCallback,
+          'warn'
+        );
       }
     }
-    await logAndProgress(`Dockerfile: ${hasDockerfile}`, progressCallback);
 
-    const bucket = await ensureStorageBucketExists(
-      context,
-      bucketName,
-      region,
-      progressCallback
-    );
+    if (plan) {
+      const plans = await planRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        imageUrl,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig,
+        requiredApis,
+        PLACEHOLDER_IMAGE
+      );
+      plans[0].actions.unshift(
+        `Upload the source code to bucket ${bucketName} and build image ${imageUrl} with Cloud Build${hasDockerfile ? ' from the Dockerfile' : ''}.`
+      );
+      const portSuggestion = getPortSuggestion(
+        exposedPort,
+        plans[0].currentService
+      );
+      if (portSuggestion) {
+        plans[0].actions.push(portSuggestion);
+      }
+      return multiRegion ? plans : plans[0];
+    }
 
-    const zipBuffer = await zipFiles(files, progressCallback);
-    await uploadToStorageBucket(
-      context,
-      bucket,
-      zipBuffer,
-      ZIP_FILE_NAME,
-      progressCallback
+    const portSuggestion = getPortSuggestion(
+      exposedPort,
+      exposedPort
+        ? await fetchCloudRunService(
+            context,
+            projectId,
+            buildRegion,
+            serviceName,
+            progressCallback
+          )
+        : null
     );
-    await logAndProgress('Source code uploaded successfully', progressCallback);
+    if (portSuggestion) {
+      await logAndProgress(portSuggestion, progressCallback, 'warn');
+    }
 
-    await ensureArtifactRegistryRepoExists(
-      context,
-      projectId,
-      region,
-      REPO_NAME,
-      'DOCKER',
-      progressCallback
-    );
+    // Reject invalid settings before spending time on the build.
+    if (multiRegion) {
+      await validateDeploymentInRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+    } else {
+      await validateDeployment(
+        context,
+        projectId,
+        region,
+        serviceName,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+    }
 
-    const buildResult = await triggerCloudBuild(
+    const builtImageUrl = await buildImageFromSource(
       context,
       projectId,
-      region,
-      bucketName,
-      ZIP_FILE_NAME,
-      REPO_NAME,
+      buildRegion,
       imageUrl,
+      files,
       hasDockerfile,
-      progressCallback
+      progressCallback,
+      // The variables are set on the service, the file is not shipped in the image.
+      useEnvFile ? [ENV_FILE_NAME] : []
     );
 
-    const builtImageUrl = buildResult.results.images[0].name;
+    if (multiRegion) {
+      const deployments = await deployToRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        builtImageUrl,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+      if (portSuggestion) {
+        for (const deployment of deployments.filter((d) => d.error)) {
+          deployment.error = `${deployment.error}\n${portSuggestion}`;
+        }
+      }
+      return { imageUrl: builtImageUrl, deployments };
+    }
 
-    const service = await deployToCloudRun(
-      context,
-      projectId,
-      region,
-      serviceName,
-      builtImageUrl,
-      progressCallback,
-      skipIamCheck
-    );
+    let service;
+    try {
+      service = await deployToCloudRun(
+        context,
+        projectId,
+        region,
+        serviceName,
+        builtImageUrl,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+    } catch (error) {
+      if (portSuggestion) {
+        error.message = `${error.message}\n${portSuggestion}`;
+      }
+      throw error;
+    }
 
     await logAndProgress(`Deployment Completed Successfully`, progressCallback);
     return service;
@@ -389,19 +1875,26 @@ export async function deploy({
  * @param {string} config.projectId - The Google Cloud project ID.
  * @param {string} [config.serviceName='app'] - The name of the Cloud Run service. Defaults to 'app'.
  * @param {string} [config.region='europe-west1'] - The Google Cloud region for deployment. Defaults to 'europe-west1'.
+ * @param {string[]} [config.regions] - Regions to deploy to in parallel, instead of `region`.
  * @param {string} config.imageUrl - The URL of the container image to deploy.
  * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
  * @param {boolean} [config.skipIamCheck=false] - Whether to skip the IAM check.
- * @returns {Promise<object>} A promise that resolves with the deployed Cloud Run service object.
+ * @param {Object<string, string>} [config.env] - Environment variables to set on the service.
+ * @param {boolean} [config.plan=false] - Whether to only plan the deployment with read-only checks, without deploying.
+ * @returns {Promise<object|DeploymentPlan|DeploymentPlan[]>} A promise that resolves with the deployed Cloud Run service object, or with the plan when `plan` is set.
+ *   When `regions` is set, it resolves with the image and the result of each region (`{imageUrl, deployments}`), or with the plan of each region.
  * @throws {Error} If deployment fails or required configuration is missing.
  */
 export async function deployImage({
   projectId,
   serviceName,
   region,
+  regions,
   imageUrl,
   progressCallback,
   skipIamCheck,
+  plan,
+  ...serviceConfig
 }) {
   if (!projectId) {
     const errorMsg =
@@ -427,28 +1920,82 @@ export async function deployImage({
     }
   }
 
+  const { Storage } = await import('@google-cloud/storage');
   const { v2: CloudRunV2Module } = await import('@google-cloud/run');
   const { ServicesClient } = CloudRunV2Module;
   const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+  const { Logging } = await import('@google-cloud/logging');
+  const { SecretManagerServiceClient } = await import(
+    '@google-cloud/secret-manager'
+  );
+  const { GoogleAuth } = await import('google-auth-library');
 
   try {
     const context = {
+      storage: new Storage({ projectId }),
       runClient: new ServicesClient({ projectId }),
       serviceUsageClient: new ServiceUsageClient({ projectId }),
+      loggingClient: new Logging({ projectId }),
+      secretManagerClient: new SecretManagerServiceClient({ projectId }),
+      authClient: new GoogleAuth({
+        scopes: 'https://www.googleapis.com/auth/cloud-platform',
+      }),
     };
 
-    await ensureApisEnabled(
-      context,
-      projectId,
+    const requiredApis = getRequiredApis(
       REQUIRED_APIS_FOR_IMAGE_DEPLOY,
-      progressCallback
+      serviceConfig
     );
+    const multiRegion = regions?.length > 0;
+    const deployRegions = getDeployRegions(region, regions);
+    if (plan) {
+      const plans = await planRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        imageUrl,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig,
+        requiredApis
+      );
+      return multiRegion ? plans : plans[0];
+    }
+    await ensureApisEnabled(context, projectId, requiredApis, progressCallback);
 
     await logAndProgress(`Project: ${projectId}`, progressCallback);
-    await logAndProgress(`Region: ${region}`, progressCallback);
+    await logAndProgress(
+      `${multiRegion ? 'Regions' : 'Region'}: ${deployRegions.join(', ')}`,
+      progressCallback
+    );
     await logAndProgress(`Service Name: ${serviceName}`, progressCallback);
     await logAndProgress(`Image URL: ${imageUrl}`, progressCallback);
 
+    if (multiRegion) {
+      // Reject invalid settings in any region before deploying to the others.
+      await validateDeploymentInRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+      const deployments = await deployToRegions(
+        context,
+        projectId,
+        deployRegions,
+        serviceName,
+        imageUrl,
+        progressCallback,
+        skipIamCheck,
+        serviceConfig
+      );
+      return { imageUrl, deployments };
+    }
+
     const service = await deployToCloudRun(
       context,
       projectId,
@@ -456,7 +2003,8 @@ export async function deployImage({
       serviceName,
       imageUrl,
       progressCallback,
-      skipIamCheck
+      skipIamCheck,
+      serviceConfig
     );
 
     await logAndProgress(`Deployment Completed Successfully`, progressCallback);
@@ -468,3 +2016,230 @@ export async function deployImage({
     throw error;
   }
 }
+
+/**
+ * Removes the tag or digest of an image URL, e.g. `europe-west1-docker.pkg.dev/p/repo/app:latest` becomes `europe-west1-docker.pkg.dev/p/repo/app`.
+ *
+ * @param {string} imageUrl - The image URL.
+ * @returns {string} The image URL without tag or digest.
+ */
+function getImageName(imageUrl) {
+  return imageUrl.split('@')[0].replace(/:[^/]*$/, '');
+}
+
+/**
+ * Finds the image that `deploy` built for a service in the deployments repository.
+ * Multi-region deployments build the image in their first region only, so the region of the
+ * repository is taken from the image the service runs. It defaults to the region of the service.
+ *
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The Google Cloud region of the service.
+ * @param {object} service - The Cloud Run service object.
+ * @param {string} serviceName - The name of the Cloud Run service.
+ * @returns {{imageName: string, region: string}} The image URL without tag, and the region of its repository.
+ */
+function findSourceImage(projectId, region, service, serviceName) {
+  const suffix = `-docker.pkg.dev/${projectId}/${REPO_NAME}/${serviceName}`;
+  const imageName = (service.template?.containers || [])
+    .map((container) => getImageName(container.image || ''))
+    .find(
+      (name) =>
+        name.endsWith(suffix) && !name.slice(0, -suffix.length).includes('/')
+    );
+  if (imageName) {
+    return { imageName, region: imageName.slice(0, -suffix.length) };
+  }
+  return {
+    imageName: getImageName(getSourceImageUrl(projectId, region, serviceName)),
+    region,
+  };
+}
+
+/**
+ * Lists the Cloud Run services and jobs of a project that run an image, in any region.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} imageName - The image URL without tag or digest.
+ * @param {string} excludedServicePath - The full resource name of a service to leave out, e.g. the one being deleted.
+ * @returns {Promise<string[]>} A promise that resolves with a description of each service and job, e.g. `service my-service (europe-west1)`.
+ */
+async function findImageUsers(projectId, imageName, excludedServicePath) {
+  const usesImage = (containers = []) =>
+    containers.some(
+      (container) =>
+        container.image && getImageName(container.image) === imageName
+    );
+  const users = [];
+  const servicesByRegion = await listServices(projectId);
+  for (const [location, services] of Object.entries(servicesByRegion)) {
+    for (const other of services) {
+      if (
+        other.name !== excludedServicePath &&
+        usesImage(other.template?.containers)
+      ) {
+        users.push(`service ${other.name.split('/').pop()} (${location})`);
+      }
+    }
+  }
+  const jobsByRegion = await listJobs(projectId);
+  for (const [location, jobs] of Object.entries(jobsByRegion)) {
+    for (const job of jobs) {
+      if (usesImage(job.template?.template?.containers)) {
+        users.push(`job ${job.name.split('/').pop()} (${location})`);
+      }
+    }
+  }
+  return users;
+}
+
+/**
+ * Deletes a Cloud Run service together with all of its revisions and, optionally,
+ * the image that `deploy` pushed for it to the deployments Artifact Registry repository.
+ * The image is kept if another Cloud Run service or job still runs it, such as the same service in another region.
+ *
+ * @async
+ * @param {object} config - The deletion configuration object.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} config.serviceName - The name of the Cloud Run service to delete.
+ * @param {string} config.region - The Google Cloud region of the service.
+ * @param {boolean} [config.deleteImage=false] - Whether to also delete the service's image from the deployments repository.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{service: object, revisions: Array<string>, imageDeleted: boolean, imageUsers?: string[], imageError?: string}>}
+ *   A promise that resolves with the service and the names of its revisions as they were before the deletion, whether an image
+ *   was deleted, the services and jobs that still run the image if it was kept, and the error of the image deletion if it failed
+ *   once the service was deleted.
+ * @throws {Error} If the service does not exist or the deletion of the service fails.
+ */
+export async function deleteDeployment({
+  projectId,
+  serviceName,
+  region,
+  deleteImage = false,
+  progressCallback,
+}) {
+  const service = await getService(projectId, region, serviceName);
+  if (!service) {
+    throw new Error(
+      `Service ${serviceName} does not exist in project ${projectId} (region ${region}).`
+    );
+  }
+  const revisions = (await listRevisions(projectId, region, serviceName)).map(
+    (revision) => revision.name.split('/').pop()
+  );
+
+  await logAndProgress(
+    `Deleting service ${serviceName} (${service.uri}) and its ${revisions.length} revision(s)...`,
+    progressCallback
+  );
+  await deleteService(projectId, region, serviceName);
+  await logAndProgress(`Service ${serviceName} deleted.`, progressCallback);
+
+  let imageDeleted = false;
+  let imageUsers;
+  let imageError;
+  if (deleteImage) {
+    // The service is already gone, so a failure is reported with what was deleted instead of thrown.
+    try {
+      const { imageName, region: imageRegion } = findSourceImage(
+        projectId,
+        region,
+        service,
+        serviceName
+      );
+      const users = await findImageUsers(projectId, imageName, service.name);
+      if (users.length > 0) {
+        imageUsers = users;
+        await logAndProgress(
+          `Image ${imageName} is still used by ${users.join(', ')}. It was not deleted.`,
+          progressCallback,
+          'warn'
+        );
+      } else {
+        const { ArtifactRegistryClient } = await import(
+          '@google-cloud/artifact-registry'
+        );
+        const context = {
+          artifactRegistryClient: new ArtifactRegistryClient({ projectId }),
+        };
+        imageDeleted = await deleteArtifactRegistryPackage(
+          context,
+          projectId,
+          imageRegion,
+          REPO_NAME,
+          serviceName,
+          progressCallback
+        );
+      }
+    } catch (error) {
+      imageError = error.message;
+      await logAndProgress(
+        `Service ${serviceName} was deleted, but its image could not be deleted: ${imageError}`,
+        progressCallback,
+        'warn'
+      );
+    }
+  }
+
+  return { service, revisions, imageDeleted, imageUsers, imageError };
+}
+
+/**
+ * Creates or updates a Cloud Run service from a complete service definition.
+ *
+ * @async
+ * @param {object} config - The configuration object.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} config.serviceName - The name of the Cloud Run service.
+ * @param {string} config.region - The Google Cloud region of the service.
+ * @param {object} config.service - The Cloud Run v2 service object to apply, e.g. parsed by `serviceFromYaml`.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @param {boolean} [config.plan=false] - Whether to only plan the change with read-only checks, without applying it.
+ * @returns {Promise<object|DeploymentPlan>} A promise that resolves with the deployed Cloud Run service object, or with the plan when `plan` is set.
+ * @throws {Error} If the definition is rejected or the deployment fails.
+ */
+export async function applyService({
+  projectId,
+  serviceName,
+  region,
+  service,
+  progressCallback,
+  plan,
+}) {
+  const { v2: CloudRunV2Module } = await import('@google-cloud/run');
+  const { ServicesClient } = CloudRunV2Module;
+  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+  const { Logging } = await import('@google-cloud/logging');
+
+  const context = {
+    runClient: new ServicesClient({ projectId }),
+    serviceUsageClient: new ServiceUsageClient({ projectId }),
+    loggingClient: new Logging({ projectId }),
+  };
+
+  if (plan) {
+    return planServiceDefinition(
+      context,
+      projectId,
+      region,
+      serviceName,
+      service,
+      progressCallback
+    );
+  }
+  await ensureApisEnabled(
+    context,
+    projectId,
+    REQUIRED_APIS_FOR_IMAGE_DEPLOY,
+    progressCallback
+  );
+
+  return applyServiceDefinition(
+    context,
+    projectId,
+    region,
+    serviceName,
+    service,
+    progressCallback
+  );
+}
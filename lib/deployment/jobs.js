@@ -0,0 +1,347 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { callWithRetry, ensureApisEnabled } from '../cloud-api/helpers.js';
+import { logAndProgress } from '../util/helpers.js';
+import {
+  buildImageFromSource,
+  detectDockerfile,
+  getSourceImageUrl,
+} from './deployer.js';
+import { mergeEnvVars } from './template.js';
+
+// APIs required for deploying a job from source code.
+const REQUIRED_APIS_FOR_SOURCE_JOB = [
+  'storage.googleapis.com',
+  'cloudbuild.googleapis.com',
+  'artifactregistry.googleapis.com',
+  'run.googleapis.com',
+];
+
+// APIs required for deploying a job from a container image.
+const REQUIRED_APIS_FOR_IMAGE_JOB = ['run.googleapis.com'];
+
+// Fields of a Cloud Run v2 job that are set by the server and must not be sent back on update.
+const OUTPUT_ONLY_JOB_FIELDS = [
+  'uid',
+  'generation',
+  'createTime',
+  'updateTime',
+  'deleteTime',
+  'expireTime',
+  'creator',
+  'lastModifier',
+  'observedGeneration',
+  'terminalCondition',
+  'conditions',
+  'executionCount',
+  'latestCreatedExecution',
+  'reconciling',
+  'satisfiesPzs',
+];
+
+/**
+ * Returns the URL of the image built from the source code of a job.
+ * Job images are stored under `jobs/`, so that a job and a service with the same name do not share an image.
+ *
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} region - The region of the Artifact Registry repository.
+ * @param {string} jobId - The ID of the Cloud Run job.
+ * @returns {string} The image URL.
+ */
+export function getJobImageUrl(projectId, region, jobId) {
+  return getSourceImageUrl(projectId, region, `jobs/${jobId}`);
+}
+
+/**
+ * Fetches a Cloud Run job.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the job.
+ * @param {string} jobId - The ID of the Cloud Run job.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object|null>} A promise that resolves with the job object, or null if it does not exist.
+ * @throws {Error} If the job cannot be fetched.
+ */
+async function fetchCloudRunJob(
+  context,
+  projectId,
+  location,
+  jobId,
+  progressCallback
+) {
+  const jobPath = context.jobsClient.jobPath(projectId, location, jobId);
+  try {
+    const [job] = await callWithRetry(
+      () => context.jobsClient.getJob({ name: jobPath }),
+      `getJob ${jobId}`
+    );
+    await logAndProgress(
+      `Cloud Run job ${jobId} already exists.`,
+      progressCallback
+    );
+    return job;
+  } catch (error) {
+    if (error.code === 5) {
+      await logAndProgress(
+        `Cloud Run job ${jobId} does not exist.`,
+        progressCallback
+      );
+      return null;
+    }
+    const errorMessage = `Error checking Cloud Run job ${jobId}: ${error.message}`;
+    console.error(`Error checking Cloud Run job ${jobId}:`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
+
+/**
+ * Builds the job object of a deployment from the existing job, if any, and the job settings.
+ * Settings that are not given are kept on existing jobs, and left to the API defaults on new jobs.
+ *
+ * @param {object|null} existingJob - The existing job object, or null if the job does not exist.
+ * @param {string} imageUrl - The URL of the container image the tasks run.
+ * @param {object} jobConfig - The job settings.
+ * @param {number} [jobConfig.taskCount] - The number of tasks of each execution.
+ * @param {number} [jobConfig.parallelism] - The maximum number of tasks running at the same time.
+ * @param {number} [jobConfig.maxRetries] - The number of times a failed task is retried.
+ * @param {number} [jobConfig.taskTimeoutSeconds] - The maximum duration of a task attempt.
+ * @param {Object<string, string>} [jobConfig.env] - Environment variables to set on the container.
+ * @param {string[]} [jobConfig.args] - Arguments passed to the entrypoint of the container.
+ * @returns {object} The job object to send in the create or update request.
+ */
+export function buildJob(existingJob, imageUrl, jobConfig = {}) {
+  let job;
+  if (existingJob) {
+    job = JSON.parse(JSON.stringify(existingJob));
+    for (const field of OUTPUT_ONLY_JOB_FIELDS) {
+      delete job[field];
+    }
+  } else {
+    job = {
+      labels: {
+        'created-by': 'cloud-run-mcp',
+      },
+    };
+  }
+  job.template = job.template || {};
+  job.template.template = job.template.template || {};
+  const taskTemplate = job.template.template;
+  taskTemplate.containers = taskTemplate.containers?.length
+    ? taskTemplate.containers
+    : [{}];
+  const container = taskTemplate.containers[0];
+  container.image = imageUrl;
+
+  if (jobConfig.taskCount !== undefined) {
+    job.template.taskCount = jobConfig.taskCount;
+  }
+  if (jobConfig.parallelism !== undefined) {
+    job.template.parallelism = jobConfig.parallelism;
+  }
+  if (jobConfig.maxRetries !== undefined) {
+    taskTemplate.maxRetries = jobConfig.maxRetries;
+  }
+  if (jobConfig.taskTimeoutSeconds !== undefined) {
+    taskTemplate.timeout = { seconds: jobConfig.taskTimeoutSeconds };
+  }
+  if (jobConfig.env) {
+    container.env = mergeEnvVars(container.env, jobConfig.env);
+  }
+  if (jobConfig.args) {
+    container.args = jobConfig.args;
+  }
+  return job;
+}
+
+/**
+ * Creates or updates a Cloud Run job to run a container image.
+ * Jobs are not executed, only their configuration is deployed.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the job.
+ * @param {string} jobId - The ID of the Cloud Run job.
+ * @param {string} imageUrl - The URL of the container image the tasks run.
+ * @param {object} jobConfig - The job settings, see `buildJob`.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the deployed job object.
+ * @throws {Error} If the job cannot be created or updated.
+ */
+export async function deployJobToCloudRun(
+  context,
+  projectId,
+  location,
+  jobId,
+  imageUrl,
+  jobConfig,
+  progressCallback
+) {
+  const existingJob = await fetchCloudRunJob(
+    context,
+    projectId,
+    location,
+    jobId,
+    progressCallback
+  );
+  const job = buildJob(existingJob, imageUrl, jobConfig);
+
+  let operation;
+  if (existingJob) {
+    await logAndProgress(`Updating existing job ${jobId}...`, progressCallback);
+    job.name = context.jobsClient.jobPath(projectId, location, jobId);
+    [operation] = await callWithRetry(
+      () => context.jobsClient.updateJob({ job }),
+      `updateJob ${jobId}`
+    );
+  } else {
+    await logAndProgress(`Creating new job ${jobId}...`, progressCallback);
+    [operation] = await callWithRetry(
+      () =>
+        context.jobsClient.createJob({
+          parent: context.jobsClient.locationPath(projectId, location),
+          job,
+          jobId,
+        }),
+      `createJob ${jobId}`
+    );
+  }
+
+  await logAndProgress(
+    `Deploying job ${jobId} to Cloud Run...`,
+    progressCallback
+  );
+  const [response] = await operation.promise();
+  await logAndProgress(`Job ${jobId} deployed.`, progressCallback);
+  return response;
+}
+
+/**
+ * Deploys a Cloud Run job, which runs its tasks to completion instead of serving requests (e.g. batch or scheduled scripts).
+ * The job runs either a container image, or an image built from source code like `deploy` does.
+ *
+ * @async
+ * @param {object} config - The job deployment configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} config.jobName - The name of the Cloud Run job.
+ * @param {string} config.region - The Google Cloud region of the job.
+ * @param {Array<string|{filename: string, content: Buffer|string}>} [config.files] - The files to build. Either `files` or `imageUrl` must be set.
+ * @param {string} [config.imageUrl] - The container image to run.
+ * @param {number} [config.taskCount] - The number of tasks of each execution.
+ * @param {number} [config.parallelism] - The maximum number of tasks running at the same time.
+ * @param {number} [config.maxRetries] - The number of times a failed task is retried.
+ * @param {number} [config.taskTimeoutSeconds] - The maximum duration of a task attempt.
+ * @param {Object<string, string>} [config.env] - Environment variables to set on the job.
+ * @param {string[]} [config.args] - Arguments passed to the entrypoint of the container.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the deployed Cloud Run job object.
+ * @throws {Error} If the build or the deployment fails, or required configuration is missing.
+ */
+export async function deployJob({
+  projectId,
+  jobName,
+  region,
+  files,
+  imageUrl,
+  progressCallback,
+  ...jobConfig
+}) {
+  if (!projectId || !jobName) {
+    const errorMsg =
+      'Error: projectId and jobName are required in the configuration object.';
+    await logAndProgress(errorMsg, progressCallback, 'error');
+    throw new Error(errorMsg);
+  }
+  const fromSource = Array.isArray(files) && files.length > 0;
+  if (!fromSource && !imageUrl) {
+    const errorMsg =
+      'Error: files or imageUrl is required in the configuration object.';
+    await logAndProgress(errorMsg, progressCallback, 'error');
+    throw new Error(errorMsg);
+  }
+
+  const { v2: CloudRunV2Module } = await import('@google-cloud/run');
+  const { JobsClient } = CloudRunV2Module;
+  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+
+  try {
+    const context = {
+      jobsClient: new JobsClient({ projectId }),
+      serviceUsageClient: new ServiceUsageClient({ projectId }),
+    };
+    if (fromSource) {
+      const { Storage } = await import('@google-cloud/storage');
+      const { CloudBuildClient } = await import('@google-cloud/cloudbuild');
+      const { ArtifactRegistryClient } = await import(
+        '@google-cloud/artifact-registry'
+      );
+      context.storage = new Storage({ projectId });
+      context.cloudBuildClient = new CloudBuildClient({ projectId });
+      context.artifactRegistryClient = new ArtifactRegistryClient({
+        projectId,
+      });
+    }
+
+    await ensureApisEnabled(
+      context,
+      projectId,
+      fromSource ? REQUIRED_APIS_FOR_SOURCE_JOB : REQUIRED_APIS_FOR_IMAGE_JOB,
+      progressCallback
+    );
+
+    await logAndProgress(`Project: ${projectId}`, progressCallback);
+    await logAndProgress(`Region: ${region}`, progressCallback);
+    await logAndProgress(`Job Name: ${jobName}`, progressCallback);
+
+    let jobImageUrl = imageUrl;
+    if (fromSource) {
+      await logAndProgress(
+        `Files to deploy: ${files.length}`,
+        progressCallback
+      );
+      const hasDockerfile = await detectDockerfile(files);
+      await logAndProgress(`Dockerfile: ${hasDockerfile}`, progressCallback);
+      jobImageUrl = await buildImageFromSource(
+        context,
+        projectId,
+        region,
+        getJobImageUrl(projectId, region, jobName),
+        files,
+        hasDockerfile,
+        progressCallback
+      );
+    }
+
+    return await deployJobToCloudRun(
+      context,
+      projectId,
+      region,
+      jobName,
+      jobImageUrl,
+      jobConfig,
+      progressCallback
+    );
+  } catch (error) {
+    const errorMessage = `Job deployment failed: ${error.message}`;
+    console.error(`Job deployment failed`, error);
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
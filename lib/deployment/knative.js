@@ -0,0 +1,689 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { parse, stringify } from 'yaml';
+import {
+  CLOUD_SQL_MOUNT_PATH,
+  CLOUD_SQL_VOLUME_NAME,
+  EXECUTION_ENVIRONMENT_VALUES,
+  INGRESS_VALUES,
+  VPC_EGRESS_VALUES,
+  getMainContainer,
+} from './template.js';
+
+const API_VERSION = 'serving.knative.dev/v1';
+const KIND = 'Service';
+
+const TRAFFIC_TYPE_LATEST = 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST';
+const TRAFFIC_TYPE_REVISION = 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION';
+
+// Driver of the CSI volumes mounting Cloud Storage buckets.
+const GCS_FUSE_DRIVER = 'gcsfuse.run.googleapis.com';
+
+// Annotations of the Knative format holding settings that are fields of the Cloud Run v2 API.
+const ANNOTATIONS = {
+  ingress: 'run.googleapis.com/ingress',
+  invokerIamDisabled: 'run.googleapis.com/invoker-iam-disabled',
+  description: 'run.googleapis.com/description',
+  minScale: 'autoscaling.knative.dev/minScale',
+  maxScale: 'autoscaling.knative.dev/maxScale',
+  executionEnvironment: 'run.googleapis.com/execution-environment',
+  cpuThrottling: 'run.googleapis.com/cpu-throttling',
+  startupCpuBoost: 'run.googleapis.com/startup-cpu-boost',
+  sessionAffinity: 'run.googleapis.com/sessionAffinity',
+  vpcConnector: 'run.googleapis.com/vpc-access-connector',
+  vpcEgress: 'run.googleapis.com/vpc-access-egress',
+  networkInterfaces: 'run.googleapis.com/network-interfaces',
+  cloudSqlInstances: 'run.googleapis.com/cloudsql-instances',
+  containerDependencies: 'run.googleapis.com/container-dependencies',
+};
+
+// Prefixes of the labels and annotations managed by Cloud Run. They are not accepted in the
+// labels and annotations of the v2 API, so they are left out of service definitions.
+const SYSTEM_PREFIXES = [
+  'run.googleapis.com/',
+  'serving.knative.dev/',
+  'autoscaling.knative.dev/',
+  'cloud.googleapis.com/',
+  'client.knative.dev/',
+];
+
+/**
+ * Recursively removes empty values (undefined, null, empty strings, arrays and objects).
+ * Messages returned by the Cloud Run API contain every field, so this keeps exported definitions readable.
+ *
+ * @param {*} value - The value to compact.
+ * @returns {*} The compacted value, or undefined if it is empty.
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    const items = value.map(compact).filter((item) => item !== undefined);
+    return items.length > 0 ? items : undefined;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value)
+      .map(([key, item]) => [key, compact(item)])
+      .filter(([, item]) => item !== undefined);
+    return entries.length > 0 ? Object.fromEntries(entries) : undefined;
+  }
+  return value === null || value === '' ? undefined : value;
+}
+
+/**
+ * Converts a numeric field of an API message, which may be returned as a string, to a positive number.
+ *
+ * @param {number|string} [value] - The value of the field.
+ * @returns {number|undefined} The number, or undefined if the field is unset or zero.
+ */
+function positive(value) {
+  const number = Number(value || 0);
+  return number > 0 ? number : undefined;
+}
+
+/**
+ * Keeps the labels or annotations that are not managed by Cloud Run.
+ *
+ * @param {Object<string, string>} [entries={}] - The labels or annotations.
+ * @returns {Object<string, string>} The user-defined entries.
+ */
+function userEntries(entries = {}) {
+  return Object.fromEntries(
+    Object.entries(entries).filter(
+      ([key]) => !SYSTEM_PREFIXES.some((prefix) => key.startsWith(prefix))
+    )
+  );
+}
+
+/**
+ * Finds the annotation value of a Cloud Run v2 enum value.
+ *
+ * @param {Object<string, string>} values - Annotation values mapped to API values.
+ * @param {string} [apiValue] - The API value.
+ * @returns {string|undefined} The annotation value, or undefined if the API value is unset.
+ */
+function toAnnotationValue(values, apiValue) {
+  return Object.keys(values).find((key) => values[key] === apiValue);
+}
+
+/**
+ * Converts an annotation value to its Cloud Run v2 enum value.
+ *
+ * @param {Object<string, string>} values - Annotation values mapped to API values.
+ * @param {string} annotation - The name of the annotation, used in error messages.
+ * @param {string} [value] - The annotation value.
+ * @returns {string|undefined} The API value, or undefined if the annotation is not set.
+ * @throws {Error} If the annotation value is not supported.
+ */
+function fromAnnotationValue(values, annotation, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!(value in values)) {
+    throw new Error(
+      `Invalid value "${value}" for annotation ${annotation}. Expected one of: ${Object.keys(values).join(', ')}.`
+    );
+  }
+  return values[value];
+}
+
+/**
+ * Parses an annotation holding JSON.
+ *
+ * @param {string} annotation - The name of the annotation, used in error messages.
+ * @param {string} [value] - The annotation value.
+ * @returns {*} The parsed value, or undefined if the annotation is not set.
+ * @throws {Error} If the annotation is not valid JSON.
+ */
+function parseJsonAnnotation(annotation, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(
+      `Invalid JSON in annotation ${annotation}: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Copies a probe between the Cloud Run v2 and Knative formats, which use the same fields.
+ *
+ * @param {object} [probe] - The probe.
+ * @returns {object|undefined} The copied probe.
+ */
+function copyProbe(probe) {
+  if (!probe) {
+    return undefined;
+  }
+  const action = (fields) =>
+    fields && {
+      path: fields.path,
+      port: positive(fields.port),
+      service: fields.service,
+      httpHeaders: fields.httpHeaders?.map(({ name, value }) => ({
+        name,
+        value,
+      })),
+    };
+  return {
+    httpGet: action(probe.httpGet),
+    tcpSocket: action(probe.tcpSocket),
+    grpc: action(probe.grpc),
+    initialDelaySeconds: positive(probe.initialDelaySeconds),
+    periodSeconds: positive(probe.periodSeconds),
+    timeoutSeconds: positive(probe.timeoutSeconds),
+    failureThreshold: positive(probe.failureThreshold),
+  };
+}
+
+/**
+ * Converts a Cloud Run v2 container to the Knative format.
+ *
+ * @param {object} container - The Container message.
+ * @param {Set<string>} cloudSqlVolumes - Names of the Cloud SQL volumes, whose mounts are implied by an annotation.
+ * @returns {object} The Knative container.
+ */
+function toKnativeContainer(container, cloudSqlVolumes) {
+  return {
+    name: container.name,
+    image: container.image,
+    command: container.command,
+    args: container.args,
+    workingDir: container.workingDir,
+    env: container.env?.map((entry) => {
+      const secretKeyRef = entry.valueSource?.secretKeyRef;
+      return secretKeyRef
+        ? {
+            name: entry.name,
+            valueFrom: {
+              secretKeyRef: {
+                name: secretKeyRef.secret,
+                key: secretKeyRef.version || 'latest',
+              },
+            },
+          }
+        : { name: entry.name, value: entry.value };
+    }),
+    ports: container.ports?.map((port) => ({
+      name: port.name,
+      containerPort: positive(port.containerPort),
+    })),
+    resources: { limits: container.resources?.limits },
+    volumeMounts: container.volumeMounts
+      ?.filter((mount) => !cloudSqlVolumes.has(mount.name))
+      .map((mount) => ({ name: mount.name, mountPath: mount.mountPath })),
+    startupProbe: copyProbe(container.startupProbe),
+    livenessProbe: copyProbe(container.livenessProbe),
+  };
+}
+
+/**
+ * Converts a Cloud Run v2 volume to the Knative format.
+ *
+ * @param {object} volume - The Volume message.
+ * @returns {object} The Knative volume.
+ * @throws {Error} If the volume type has no Knative equivalent.
+ */
+function toKnativeVolume(volume) {
+  if (volume.secret) {
+    return {
+      name: volume.name,
+      secret: {
+        secretName: volume.secret.secret,
+        defaultMode: positive(volume.secret.defaultMode),
+        items: volume.secret.items?.map((item) => ({
+          key: item.version || 'latest',
+          path: item.path,
+          mode: positive(item.mode),
+        })),
+      },
+    };
+  }
+  if (volume.emptyDir) {
+    return {
+      name: volume.name,
+      emptyDir: {
+        medium: volume.emptyDir.medium === 'MEMORY' ? 'Memory' : undefined,
+        sizeLimit: volume.emptyDir.sizeLimit,
+      },
+    };
+  }
+  if (volume.gcs) {
+    return {
+      name: volume.name,
+      csi: {
+        driver: GCS_FUSE_DRIVER,
+        readOnly: volume.gcs.readOnly || undefined,
+        volumeAttributes: { bucketName: volume.gcs.bucket },
+      },
+    };
+  }
+  if (volume.nfs) {
+    return {
+      name: volume.name,
+      nfs: {
+        server: volume.nfs.server,
+        path: volume.nfs.path,
+        readOnly: volume.nfs.readOnly || undefined,
+      },
+    };
+  }
+  throw new Error(`Volume "${volume.name}" has an unsupported type.`);
+}
+
+/**
+ * Converts a Cloud Run v2 service, as returned by `getService`, to a Knative-compatible service definition.
+ * Output-only fields, revision names and labels and annotations managed by Cloud Run are left out,
+ * so the definition can be applied again to create or update a service.
+ *
+ * @param {object} service - The Cloud Run service object.
+ * @returns {object} The Knative service definition.
+ */
+export function toKnativeService(service) {
+  const template = service.template || {};
+  const containers = template.containers || [];
+  const volumes = template.volumes || [];
+  const cloudSqlVolumes = volumes.filter((volume) => volume.cloudSqlInstance);
+  const cloudSqlVolumeNames = new Set(
+    cloudSqlVolumes.map((volume) => volume.name)
+  );
+  const mainContainer =
+    containers.length > 0 ? getMainContainer(service) : undefined;
+  const dependencies = Object.fromEntries(
+    containers
+      .filter((container) => container.dependsOn?.length > 0)
+      .map((container) => [container.name, container.dependsOn])
+  );
+  const vpcAccess = template.vpcAccess || {};
+  const networkInterfaces = compact(
+    (vpcAccess.networkInterfaces || []).map((networkInterface) => ({
+      network: networkInterface.network,
+      subnetwork: networkInterface.subnetwork,
+      tags: networkInterface.tags,
+    }))
+  );
+  const cloudSqlInstances = cloudSqlVolumes.flatMap(
+    (volume) => volume.cloudSqlInstance.instances || []
+  );
+
+  return compact({
+    apiVersion: API_VERSION,
+    kind: KIND,
+    metadata: {
+      name: service.name?.split('/').pop(),
+      labels: userEntries(service.labels),
+      annotations: {
+        ...userEntries(service.annotations),
+        [ANNOTATIONS.description]: service.description,
+        [ANNOTATIONS.ingress]: toAnnotationValue(
+          INGRESS_VALUES,
+          service.ingress
+        ),
+        [ANNOTATIONS.invokerIamDisabled]: service.invokerIamDisabled
+          ? 'true'
+          : undefined,
+      },
+    },
+    spec: {
+      template: {
+        metadata: {
+          labels: userEntries(template.labels),
+          annotations: {
+            ...userEntries(template.annotations),
+            [ANNOTATIONS.minScale]: positive(
+              template.scaling?.minInstanceCount
+            )?.toString(),
+            [ANNOTATIONS.maxScale]: positive(
+              template.scaling?.maxInstanceCount
+            )?.toString(),
+            [ANNOTATIONS.executionEnvironment]: toAnnotationValue(
+              EXECUTION_ENVIRONMENT_VALUES,
+              template.executionEnvironment
+            ),
+            [ANNOTATIONS.cpuThrottling]: mainContainer?.resources
+              ? String(Boolean(mainContainer.resources.cpuIdle))
+              : undefined,
+            [ANNOTATIONS.startupCpuBoost]: mainContainer?.resources
+              ?.startupCpuBoost
+              ? 'true'
+              : undefined,
+            [ANNOTATIONS.sessionAffinity]: template.sessionAffinity
+              ? 'true'
+              : undefined,
+            [ANNOTATIONS.vpcConnector]: vpcAccess.connector,
+            [ANNOTATIONS.vpcEgress]: toAnnotationValue(
+              VPC_EGRESS_VALUES,
+              vpcAccess.egress
+            ),
+            [ANNOTATIONS.networkInterfaces]: networkInterfaces
+              ? JSON.stringify(networkInterfaces)
+              : undefined,
+            [ANNOTATIONS.cloudSqlInstances]: cloudSqlInstances.join(','),
+            [ANNOTATIONS.containerDependencies]:
+              Object.keys(dependencies).length > 0
+                ? JSON.stringify(dependencies)
+                : undefined,
+          },
+        },
+        spec: {
+          containerConcurrency: positive(
+            template.maxInstanceRequestConcurrency
+          ),
+          timeoutSeconds: positive(template.timeout?.seconds),
+          serviceAccountName: template.serviceAccount,
+          containers: containers.map((container) =>
+            toKnativeContainer(container, cloudSqlVolumeNames)
+          ),
+          volumes: volumes
+            .filter((volume) => !volume.cloudSqlInstance)
+            .map(toKnativeVolume),
+        },
+      },
+      traffic: (service.traffic || []).map((target) =>
+        target.type === TRAFFIC_TYPE_LATEST
+          ? {
+              percent: target.percent || 0,
+              latestRevision: true,
+              tag: target.tag,
+            }
+          : {
+              revisionName: target.revision,
+              percent: target.percent || 0,
+              tag: target.tag,
+            }
+      ),
+    },
+  });
+}
+
+/**
+ * Converts a Knative container to a Cloud Run v2 container.
+ *
+ * @param {object} container - The Knative container.
+ * @returns {object} The Container message.
+ * @throws {Error} If the container has no image.
+ */
+function fromKnativeContainer(container) {
+  if (!container.image) {
+    throw new Error(
+      `Container "${container.name || 'main'}" has no image. Set spec.template.spec.containers[].image.`
+    );
+  }
+  return {
+    name: container.name,
+    image: container.image,
+    command: container.command,
+    args: container.args,
+    workingDir: container.workingDir,
+    env: container.env?.map((entry) => {
+      const secretKeyRef = entry.valueFrom?.secretKeyRef;
+      return secretKeyRef
+        ? {
+            name: entry.name,
+            valueSource: {
+              secretKeyRef: {
+                secret: secretKeyRef.name,
+                version: String(secretKeyRef.key || 'latest'),
+              },
+            },
+          }
+        : { name: entry.name, value: String(entry.value ?? '') };
+    }),
+    ports: container.ports?.map((port) => ({
+      name: port.name,
+      containerPort: port.containerPort,
+    })),
+    resources: container.resources?.limits
+      ? {
+          limits: Object.fromEntries(
+            Object.entries(container.resources.limits).map(([key, value]) => [
+              key,
+              String(value),
+            ])
+          ),
+        }
+      : undefined,
+    volumeMounts: container.volumeMounts?.map((mount) => ({
+      name: mount.name,
+      mountPath: mount.mountPath,
+    })),
+    startupProbe: copyProbe(container.startupProbe),
+    livenessProbe: copyProbe(container.livenessProbe),
+  };
+}
+
+/**
+ * Converts a Knative volume to a Cloud Run v2 volume.
+ *
+ * @param {object} volume - The Knative volume.
+ * @returns {object} The Volume message.
+ * @throws {Error} If the volume type is not supported by Cloud Run.
+ */
+function fromKnativeVolume(volume) {
+  if (volume.secret) {
+    return {
+      name: volume.name,
+      secret: {
+        secret: volume.secret.secretName,
+        defaultMode: volume.secret.defaultMode,
+        items: volume.secret.items?.map((item) => ({
+          version: String(item.key || 'latest'),
+          path: item.path,
+          mode: item.mode,
+        })),
+      },
+    };
+  }
+  if (volume.emptyDir) {
+    return {
+      name: volume.name,
+      emptyDir: {
+        medium: volume.emptyDir.medium === 'Memory' ? 'MEMORY' : undefined,
+        sizeLimit: volume.emptyDir.sizeLimit,
+      },
+    };
+  }
+  if (volume.csi?.driver === GCS_FUSE_DRIVER) {
+    return {
+      name: volume.name,
+      gcs: {
+        bucket: volume.csi.volumeAttributes?.bucketName,
+        readOnly: Boolean(volume.csi.readOnly),
+      },
+    };
+  }
+  if (volume.nfs) {
+    return {
+      name: volume.name,
+      nfs: {
+        server: volume.nfs.server,
+        path: volume.nfs.path,
+        readOnly: Boolean(volume.nfs.readOnly),
+      },
+    };
+  }
+  throw new Error(
+    `Volume "${volume.name}" has an unsupported type. Expected one of: secret, emptyDir, csi (${GCS_FUSE_DRIVER}), nfs.`
+  );
+}
+
+/**
+ * Converts a Knative-compatible service definition to a Cloud Run v2 service object
+ * that can be sent in a create or update request.
+ * Labels and annotations managed by Cloud Run, other than the ones holding service settings, are ignored.
+ *
+ * @param {object} definition - The Knative service definition.
+ * @returns {{serviceId: string, service: object}} The name of the service and the service object.
+ * @throws {Error} If the definition is not a valid Knative service.
+ */
+export function fromKnativeService(definition) {
+  if (definition?.apiVersion !== API_VERSION || definition?.kind !== KIND) {
+    throw new Error(
+      `Expected a service definition with apiVersion "${API_VERSION}" and kind "${KIND}".`
+    );
+  }
+  const serviceId = definition.metadata?.name;
+  if (!serviceId) {
+    throw new Error('The service definition has no metadata.name.');
+  }
+  const templateMetadata = definition.spec?.template?.metadata || {};
+  const templateSpec = definition.spec?.template?.spec || {};
+  if (!templateSpec.containers?.length) {
+    throw new Error(
+      'The service definition has no containers. Set spec.template.spec.containers.'
+    );
+  }
+
+  const annotations = definition.metadata.annotations || {};
+  const templateAnnotations = templateMetadata.annotations || {};
+  const networkInterfaces = parseJsonAnnotation(
+    ANNOTATIONS.networkInterfaces,
+    templateAnnotations[ANNOTATIONS.networkInterfaces]
+  );
+  const dependencies =
+    parseJsonAnnotation(
+      ANNOTATIONS.containerDependencies,
+      templateAnnotations[ANNOTATIONS.containerDependencies]
+    ) || {};
+  const minScale = templateAnnotations[ANNOTATIONS.minScale];
+  const maxScale = templateAnnotations[ANNOTATIONS.maxScale];
+
+  const service = {
+    description: annotations[ANNOTATIONS.description],
+    labels: userEntries(definition.metadata.labels),
+    annotations: userEntries(annotations),
+    ingress: fromAnnotationValue(
+      INGRESS_VALUES,
+      ANNOTATIONS.ingress,
+      annotations[ANNOTATIONS.ingress]
+    ),
+    invokerIamDisabled: annotations[ANNOTATIONS.invokerIamDisabled] === 'true',
+    template: {
+      revision: templateMetadata.name,
+      labels: userEntries(templateMetadata.labels),
+      annotations: userEntries(templateAnnotations),
+      serviceAccount: templateSpec.serviceAccountName,
+      timeout:
+        templateSpec.timeoutSeconds !== undefined
+          ? { seconds: Number(templateSpec.timeoutSeconds) }
+          : undefined,
+      maxInstanceRequestConcurrency: templateSpec.containerConcurrency,
+      executionEnvironment: fromAnnotationValue(
+        EXECUTION_ENVIRONMENT_VALUES,
+        ANNOTATIONS.executionEnvironment,
+        templateAnnotations[ANNOTATIONS.executionEnvironment]
+      ),
+      sessionAffinity:
+        templateAnnotations[ANNOTATIONS.sessionAffinity] === 'true',
+      scaling: {
+        minInstanceCount: minScale !== undefined ? Number(minScale) : undefined,
+        maxInstanceCount: maxScale !== undefined ? Number(maxScale) : undefined,
+      },
+      vpcAccess: {
+        connector: templateAnnotations[ANNOTATIONS.vpcConnector],
+        egress: fromAnnotationValue(
+          VPC_EGRESS_VALUES,
+          ANNOTATIONS.vpcEgress,
+          templateAnnotations[ANNOTATIONS.vpcEgress]
+        ),
+        networkInterfaces,
+      },
+      containers: templateSpec.containers.map(fromKnativeContainer),
+      volumes: (templateSpec.volumes || []).map(fromKnativeVolume),
+    },
+    traffic: definition.spec.traffic?.map((target) => {
+      if (!target.latestRevision && !target.revisionName) {
+        throw new Error(
+          'Each traffic target must set revisionName or latestRevision: true.'
+        );
+      }
+      return {
+        type: target.latestRevision
+          ? TRAFFIC_TYPE_LATEST
+          : TRAFFIC_TYPE_REVISION,
+        revision: target.latestRevision ? undefined : target.revisionName,
+        percent: target.percent || 0,
+        tag: target.tag,
+      };
+    }),
+  };
+
+  for (const container of service.template.containers) {
+    if (dependencies[container.name]) {
+      container.dependsOn = dependencies[container.name];
+    }
+  }
+  const mainContainer = getMainContainer(service);
+  const cpuThrottling = templateAnnotations[ANNOTATIONS.cpuThrottling];
+  if (cpuThrottling !== undefined) {
+    mainContainer.resources = {
+      ...mainContainer.resources,
+      cpuIdle: cpuThrottling === 'true',
+    };
+  }
+  if (templateAnnotations[ANNOTATIONS.startupCpuBoost] === 'true') {
+    mainContainer.resources = {
+      ...mainContainer.resources,
+      startupCpuBoost: true,
+    };
+  }
+  const cloudSqlInstances = templateAnnotations[ANNOTATIONS.cloudSqlInstances];
+  if (cloudSqlInstances) {
+    service.template.volumes.push({
+      name: CLOUD_SQL_VOLUME_NAME,
+      cloudSqlInstance: {
+        instances: cloudSqlInstances
+          .split(',')
+          .map((instance) => instance.trim()),
+      },
+    });
+    mainContainer.volumeMounts = [
+      ...(mainContainer.volumeMounts || []),
+      { name: CLOUD_SQL_VOLUME_NAME, mountPath: CLOUD_SQL_MOUNT_PATH },
+    ];
+  }
+
+  return { serviceId, service: compact(service) };
+}
+
+/**
+ * Exports a Cloud Run service as a Knative-compatible YAML definition.
+ *
+ * @param {object} service - The Cloud Run service object, as returned by `getService`.
+ * @returns {string} The YAML definition.
+ */
+export function serviceToYaml(service) {
+  return stringify(toKnativeService(service));
+}
+
+/**
+ * Parses a Knative-compatible YAML service definition into a Cloud Run v2 service object.
+ *
+ * @param {string} text - The YAML definition.
+ * @returns {{serviceId: string, service: object}} The name of the service and the service object.
+ * @throws {Error} If the YAML is invalid or does not define a Knative service.
+ */
+export function serviceFromYaml(text) {
+  let definition;
+  try {
+    definition = parse(text);
+  } catch (error) {
+    throw new Error(`Invalid YAML: ${error.message}`);
+  }
+  return fromKnativeService(definition);
+}
@@ -0,0 +1,268 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { ensureApisEnabled } from '../cloud-api/helpers.js';
+import { fetchCloudRunService } from '../cloud-api/run.js';
+import {
+  ensureBackendService,
+  ensureGlobalAddress,
+  ensureGlobalForwardingRule,
+  ensureManagedSslCertificate,
+  ensureServerlessNeg,
+  ensureTargetHttpsProxy,
+  ensureUrlMap,
+} from '../cloud-api/compute.js';
+import { logAndProgress } from '../util/helpers.js';
+
+const REQUIRED_APIS_FOR_LOAD_BALANCER = [
+  'compute.googleapis.com',
+  'run.googleapis.com',
+];
+// Compute Engine resource names are limited to 63 characters.
+const MAX_RESOURCE_NAME_LENGTH = 63;
+
+/**
+ * Returns the name of a load balancer resource of a service, e.g. `my-service-url-map`.
+ * Long service names are truncated so that the name stays valid.
+ *
+ * @param {string} serviceName - The name of the Cloud Run service.
+ * @param {string} suffix - The kind of resource (e.g. 'url-map').
+ * @returns {string} The resource name.
+ */
+export function getLoadBalancerResourceName(serviceName, suffix) {
+  const prefix = serviceName
+    .slice(0, MAX_RESOURCE_NAME_LENGTH - suffix.length - 1)
+    .replace(/-+$/, '');
+  return `${prefix}-${suffix}`;
+}
+
+/**
+ * Sets up a global external Application Load Balancer in front of the deployments of a Cloud Run service.
+ * Every resource is created only if it does not exist yet, so the setup can be run again, e.g. to add a region.
+ *
+ * @async
+ * @param {object} context - The context object containing clients and other parameters.
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} serviceName - The name of the Cloud Run service.
+ * @param {string[]} regions - The regions where the service is deployed.
+ * @param {string[]} domains - The domains served by the load balancer, covered by its managed certificate.
+ * @param {boolean} enableCdn - Whether to serve cacheable responses with Cloud CDN.
+ * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<{ipAddress: string, domains: string[], certificateStatus: string, enableCdn: boolean, resources: object, notes: string[]}>}
+ *   A promise that resolves with the IP address of the load balancer, the domains and status of its certificate,
+ *   the names of its resources and notes about the setup.
+ * @throws {Error} If the service is missing in a region or a resource cannot be created.
+ */
+export async function setUpLoadBalancer(
+  context,
+  projectId,
+  serviceName,
+  regions,
+  domains,
+  enableCdn,
+  progressCallback
+) {
+  const notes = [];
+  const publicRegions = [];
+  for (const region of regions) {
+    const service = await fetchCloudRunService(
+      context,
+      projectId,
+      region,
+      serviceName,
+      progressCallback
+    );
+    if (!service) {
+      throw new Error(
+        `Service ${serviceName} does not exist in project ${projectId} (region ${region}). Deploy it there first.`
+      );
+    }
+    if (service.ingress === 'INGRESS_TRAFFIC_INTERNAL_ONLY') {
+      notes.push(
+        `Service ${serviceName} in ${region} only accepts internal traffic, so the load balancer cannot reach it. Set its ingress to internal-and-cloud-load-balancing.`
+      );
+    } else if (service.ingress !== 'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER') {
+      publicRegions.push(region);
+    }
+  }
+  if (publicRegions.length > 0) {
+    notes.push(
+      `Service ${serviceName} is still reachable on its run.app URL in ${publicRegions.join(', ')}, bypassing the load balancer${enableCdn ? ' and Cloud CDN' : ''}. Set its ingress to internal-and-cloud-load-balancing to only accept traffic from the load balancer.`
+    );
+  }
+
+  const negSelfLinks = [];
+  for (const region of regions) {
+    const neg = await ensureServerlessNeg(
+      context,
+      projectId,
+      region,
+      getLoadBalancerResourceName(serviceName, `neg-${region}`),
+      serviceName,
+      progressCallback
+    );
+    negSelfLinks.push(neg.selfLink);
+  }
+
+  const resources = {
+    backendService: getLoadBalancerResourceName(serviceName, 'backend'),
+    urlMap: getLoadBalancerResourceName(serviceName, 'url-map'),
+    certificate: getLoadBalancerResourceName(serviceName, 'cert'),
+    targetHttpsProxy: getLoadBalancerResourceName(serviceName, 'https-proxy'),
+    address: getLoadBalancerResourceName(serviceName, 'ip'),
+    forwardingRule: getLoadBalancerResourceName(serviceName, 'https-rule'),
+  };
+  const backendService = await ensureBackendService(
+    context,
+    projectId,
+    resources.backendService,
+    negSelfLinks,
+    enableCdn,
+    progressCallback
+  );
+  const urlMap = await ensureUrlMap(
+    context,
+    projectId,
+    resources.urlMap,
+    backendService.selfLink,
+    progressCallback
+  );
+  const certificate = await ensureManagedSslCertificate(
+    context,
+    projectId,
+    resources.certificate,
+    domains,
+    progressCallback
+  );
+  const certificateDomains = certificate.managed?.domains || [];
+  const uncoveredDomains = domains.filter(
+    (domain) => !certificateDomains.includes(domain)
+  );
+  if (uncoveredDomains.length > 0) {
+    notes.push(
+      `Certificate ${resources.certificate} already existed and does not cover ${uncoveredDomains.join(', ')}. The domains of a managed certificate cannot be changed.`
+    );
+  }
+  const targetHttpsProxy = await ensureTargetHttpsProxy(
+    context,
+    projectId,
+    resources.targetHttpsProxy,
+    urlMap.selfLink,
+    certificate.selfLink,
+    progressCallback
+  );
+  const address = await ensureGlobalAddress(
+    context,
+    projectId,
+    resources.address,
+    progressCallback
+  );
+  await ensureGlobalForwardingRule(
+    context,
+    projectId,
+    resources.forwardingRule,
+    address.address,
+    targetHttpsProxy.selfLink,
+    progressCallback
+  );
+
+  await logAndProgress(
+    `Load balancer of service ${serviceName} is set up on IP address ${address.address}.`,
+    progressCallback
+  );
+  return {
+    ipAddress: address.address,
+    domains: certificateDomains,
+    certificateStatus: certificate.managed?.status,
+    enableCdn: Boolean(backendService.enableCDN),
+    resources,
+    notes,
+  };
+}
+
+/**
+ * Creates a global external Application Load Balancer in front of the deployments of a Cloud Run service,
+ * with a Google-managed certificate and optional Cloud CDN.
+ *
+ * @async
+ * @param {object} config - The load balancer configuration.
+ * @param {string} config.projectId - The Google Cloud project ID.
+ * @param {string} config.serviceName - The name of the Cloud Run service.
+ * @param {string[]} config.regions - The regions where the service is deployed.
+ * @param {string[]} config.domains - The domains served by the load balancer.
+ * @param {boolean} [config.enableCdn=false] - Whether to serve cacheable responses with Cloud CDN.
+ * @param {function(object): void} [config.progressCallback] - Optional callback for progress updates.
+ * @returns {Promise<object>} A promise that resolves with the result of `setUpLoadBalancer`.
+ * @throws {Error} If the setup fails.
+ */
+export async function createLoadBalancer({
+  projectId,
+  serviceName,
+  regions,
+  domains,
+  enableCdn = false,
+  progressCallback,
+}) {
+  const {
+    BackendServicesClient,
+    GlobalAddressesClient,
+    GlobalForwardingRulesClient,
+    RegionNetworkEndpointGroupsClient,
+    SslCertificatesClient,
+    TargetHttpsProxiesClient,
+    UrlMapsClient,
+  } = await import('@google-cloud/compute');
+  const { v2: CloudRunV2Module } = await import('@google-cloud/run');
+  const { ServicesClient } = CloudRunV2Module;
+  const { ServiceUsageClient } = await import('@google-cloud/service-usage');
+
+  try {
+    const context = {
+      runClient: new ServicesClient({ projectId }),
+      serviceUsageClient: new ServiceUsageClient({ projectId }),
+      networkEndpointGroupsClient: new RegionNetworkEndpointGroupsClient(),
+      backendServicesClient: new BackendServicesClient(),
+      urlMapsClient: new UrlMapsClient(),
+      sslCertificatesClient: new SslCertificatesClient(),
+      targetHttpsProxiesClient: new TargetHttpsProxiesClient(),
+      globalAddressesClient: new GlobalAddressesClient(),
+      globalForwardingRulesClient: new GlobalForwardingRulesClient(),
+    };
+    await ensureApisEnabled(
+      context,
+      projectId,
+      REQUIRED_APIS_FOR_LOAD_BALANCER,
+      progressCallback
+    );
+    return await setUpLoadBalancer(
+      context,
+      projectId,
+      serviceName,
+      [...new Set(regions)],
+      domains,
+      enableCdn,
+      progressCallback
+    );
+  } catch (error) {
+    const errorMessage = `Error creating the load balancer of service ${serviceName}: ${error.message}`;
+    console.error(
+      `Error creating the load balancer of service ${serviceName}:`,
+      error
+    );
+    await logAndProgress(errorMessage, progressCallback, 'error');
+    throw error;
+  }
+}
@@ -0,0 +1,208 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { getMainContainer } from './template.js';
+
+const NOT_SET = '(not set)';
+
+/**
+ * Normalizes a setting for comparison and display. API messages return some numbers as strings.
+ *
+ * @param {*} value - The value of the setting.
+ * @returns {string|undefined} The value as a string, or undefined if it is not set.
+ */
+function normalize(value) {
+  return value === undefined || value === null || value === ''
+    ? undefined
+    : String(value);
+}
+
+/**
+ * Describes the environment variables of the main container of a service.
+ * Variables backed by Secret Manager show the secret reference, never a value.
+ *
+ * @param {object|null} service - The Cloud Run service object.
+ * @returns {Object<string, string>} A map of variable names to displayed values.
+ */
+function getEnv(service) {
+  if (!service?.template?.containers?.length) {
+    return {};
+  }
+  return Object.fromEntries(
+    (getMainContainer(service).env || []).map((entry) => {
+      const secretKeyRef = entry.valueSource?.secretKeyRef;
+      return [
+        entry.name,
+        secretKeyRef
+          ? `secret ${secretKeyRef.secret}:${secretKeyRef.version || 'latest'}`
+          : `"${entry.value ?? ''}"`,
+      ];
+    })
+  );
+}
+
+/**
+ * Lists the settings of a service that are shown in a plan, grouped by section.
+ *
+ * @param {object|null} service - The Cloud Run service object.
+ * @returns {Object<string, Object<string, string|undefined>>} The settings, by section and name.
+ */
+function getSettings(service) {
+  if (!service) {
+    return {};
+  }
+  const template = service.template || {};
+  const container = template.containers?.length
+    ? getMainContainer(service)
+    : {};
+  return {
+    Image: { image: normalize(container.image) },
+    Scaling: {
+      minInstances: normalize(template.scaling?.minInstanceCount),
+      maxInstances: normalize(template.scaling?.maxInstanceCount),
+      concurrency: normalize(template.maxInstanceRequestConcurrency),
+      cpu: normalize(container.resources?.limits?.cpu),
+      memory: normalize(container.resources?.limits?.memory),
+      timeout: normalize(template.timeout?.seconds)?.concat('s'),
+    },
+    IAM: {
+      publicAccess: service.invokerIamDisabled
+        ? 'allowed (invoker IAM check disabled)'
+        : 'invoker IAM check',
+      serviceAccount:
+        normalize(template.serviceAccount) ||
+        'Compute Engine default service account',
+      ingress: normalize(service.ingress),
+    },
+  };
+}
+
+/**
+ * Describes the traffic split of a service.
+ *
+ * @param {object|null} service - The Cloud Run service object.
+ * @returns {string} The traffic split, e.g. `90% to LATEST, 10% to my-service-00001 (tag stable)`.
+ */
+function describeTraffic(service) {
+  if (!service) {
+    return NOT_SET;
+  }
+  const targets = (service.traffic || [])
+    .filter((target) => target.percent || target.tag)
+    .map((target) => {
+      const revision =
+        target.type === 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION'
+          ? target.revision
+          : 'LATEST';
+      const tag = target.tag ? ` (tag ${target.tag})` : '';
+      return `${target.percent || 0}% to ${revision}${tag}`;
+    });
+  return targets.length > 0 ? targets.join(', ') : '100% to LATEST';
+}
+
+/**
+ * Compares two maps of settings.
+ *
+ * @param {Object<string, string|undefined>} before - The current settings.
+ * @param {Object<string, string|undefined>} after - The planned settings.
+ * @returns {string[]} One line per changed setting: `+` added, `-` removed, `~` changed.
+ */
+function diffSettings(before = {}, after = {}) {
+  const names = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const lines = [];
+  for (const name of names) {
+    const oldValue = before[name];
+    const newValue = after[name];
+    if (oldValue === newValue) {
+      continue;
+    }
+    if (oldValue === undefined) {
+      lines.push(`+ ${name}: ${newValue}`);
+    } else if (newValue === undefined) {
+      lines.push(`- ${name}: ${oldValue}`);
+    } else {
+      lines.push(`~ ${name}: ${oldValue} -> ${newValue}`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Computes a human-readable diff between the current configuration of a service and the configuration
+ * that would be applied, covering the image, environment variables, scaling, IAM and traffic.
+ *
+ * @param {object|null} currentService - The current service object, or null if the service does not exist.
+ * @param {object} plannedService - The service object that would be sent in the create or update request.
+ * @returns {Object<string, string[]>} The changed settings, by section. Sections without changes are left out.
+ */
+export function diffServices(currentService, plannedService) {
+  const before = getSettings(currentService);
+  const after = getSettings(plannedService);
+  const sections = {
+    Image: diffSettings(before.Image, after.Image),
+    Env: diffSettings(getEnv(currentService), getEnv(plannedService)),
+    Scaling: diffSettings(before.Scaling, after.Scaling),
+    IAM: diffSettings(before.IAM, after.IAM),
+    Traffic: diffSettings(
+      currentService ? { traffic: describeTraffic(currentService) } : {},
+      { traffic: describeTraffic(plannedService) }
+    ),
+  };
+  return Object.fromEntries(
+    Object.entries(sections).filter(([, lines]) => lines.length > 0)
+  );
+}
+
+/**
+ * Formats a deployment plan for review.
+ *
+ * @param {import('./deployer.js').DeploymentPlan} plan - The plan returned by `planDeployment` or `planServiceDefinition`.
+ * @returns {string} The plan as text.
+ */
+export function formatDeploymentPlan(plan) {
+  const lines = [
+    `Plan for service ${plan.serviceName} in project ${plan.projectId} (region ${plan.region})`,
+    plan.exists
+      ? 'The service exists and would be updated.'
+      : 'The service does not exist and would be created.',
+  ];
+  if (plan.disabledApis.length > 0) {
+    lines.push(`APIs that would be enabled: ${plan.disabledApis.join(', ')}`);
+  }
+
+  const diff = diffServices(plan.currentService, plan.service);
+  if (Object.keys(diff).length === 0) {
+    lines.push('Changes: none (a new revision would be deployed)');
+  } else {
+    lines.push('Changes:');
+    for (const [section, changes] of Object.entries(diff)) {
+      lines.push(`  ${section}:`);
+      lines.push(...changes.map((change) => `    ${change}`));
+    }
+  }
+
+  if (plan.actions.length > 0) {
+    lines.push('Other actions:');
+    lines.push(...plan.actions.map((action) => `  - ${action}`));
+  }
+
+  const { status, message } = plan.dryRun;
+  lines.push(`Dry run: ${status}${message ? `: ${message}` : ''}`);
+  lines.push(
+    'Nothing was built or deployed. Deploy again without plan to apply these changes.'
+  );
+  return lines.join('\n');
+}
@@ -0,0 +1,648 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import { parseSecretReference } from '../cloud-api/secrets.js';
+
+// Values of the vpcEgress setting, mapped to the Cloud Run v2 API values.
+export const VPC_EGRESS_VALUES = {
+  'all-traffic': 'ALL_TRAFFIC',
+  'private-ranges-only': 'PRIVATE_RANGES_ONLY',
+};
+
+// Name and mount path of the volume used to connect to Cloud SQL instances over Unix sockets.
+export const CLOUD_SQL_VOLUME_NAME = 'cloudsql';
+export const CLOUD_SQL_MOUNT_PATH = '/cloudsql';
+
+// Values of the ingress setting, mapped to the Cloud Run v2 API values.
+export const INGRESS_VALUES = {
+  all: 'INGRESS_TRAFFIC_ALL',
+  internal: 'INGRESS_TRAFFIC_INTERNAL_ONLY',
+  'internal-and-cloud-load-balancing': 'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER',
+};
+
+// Values of the executionEnvironment setting, mapped to the Cloud Run v2 API values.
+export const EXECUTION_ENVIRONMENT_VALUES = {
+  gen1: 'EXECUTION_ENVIRONMENT_GEN1',
+  gen2: 'EXECUTION_ENVIRONMENT_GEN2',
+};
+
+// Probe types, mapped to the field of the Cloud Run v2 Probe message that configures them.
+const PROBE_TYPES = {
+  http: 'httpGet',
+  tcp: 'tcpSocket',
+  grpc: 'grpc',
+};
+
+// Annotation recording which container runs the deployed image when the service has sidecars.
+const MAIN_CONTAINER_ANNOTATION = 'cloud-run-mcp/main-container';
+const DEFAULT_MAIN_CONTAINER_NAME = 'app';
+
+// Fields of a Cloud Run v2 service that are set by the server and must not be sent back on update.
+const OUTPUT_ONLY_SERVICE_FIELDS = [
+  'uid',
+  'generation',
+  'createTime',
+  'updateTime',
+  'deleteTime',
+  'expireTime',
+  'creator',
+  'lastModifier',
+  'observedGeneration',
+  'terminalCondition',
+  'conditions',
+  'latestReadyRevision',
+  'latestCreatedRevision',
+  'trafficStatuses',
+  'uri',
+  'urls',
+  'reconciling',
+  'satisfiesPzs',
+];
+
+/**
+ * Returns the main container of a service template, which runs the deployed image.
+ * When sidecars were added by this server, the main container is recorded in an annotation of the service,
+ * since the ingress container may be a sidecar (e.g. a front proxy). Otherwise, the main container is
+ * the one exposing a port.
+ *
+ * @param {object} service - The Cloud Run service object.
+ * @returns {object} The main container of the revision template.
+ */
+export function getMainContainer(service) {
+  const containers = service.template.containers;
+  const mainContainerName = service.annotations?.[MAIN_CONTAINER_ANNOTATION];
+  return (
+    containers.find(
+      (container) => mainContainerName && container.name === mainContainerName
+    ) ||
+    containers.find((container) => container.ports?.length > 0) ||
+    containers[0]
+  );
+}
+
+/**
+ * Copies an existing Cloud Run service so it can be sent back in an update request.
+ * The service is deep copied and its output-only fields are removed, so all other settings are preserved.
+ *
+ * @param {object} existingService - The service object as returned by the Cloud Run API.
+ * @returns {object} A service object that can be passed to `updateService`.
+ */
+export function toServiceUpdate(existingService) {
+  const service = JSON.parse(JSON.stringify(existingService));
+  for (const field of OUTPUT_ONLY_SERVICE_FIELDS) {
+    delete service[field];
+  }
+  return service;
+}
+
+/**
+ * Prepares an existing Cloud Run service to be sent back in an update request deploying a new image.
+ *
+ * @param {object} existingService - The service object as returned by the Cloud Run API.
+ * @param {string} imgUrl - The URL of the container image to deploy on the main container.
+ * @param {string} revisionName - The name of the new revision.
+ * @returns {object} A service object that can be passed to `updateService`.
+ */
+export function prepareServiceUpdate(existingService, imgUrl, revisionName) {
+  const service = toServiceUpdate(existingService);
+  service.template = service.template || {};
+  service.template.containers = service.template.containers || [{}];
+  service.template.revision = revisionName;
+  getMainContainer(service).image = imgUrl;
+  return service;
+}
+
+/**
+ * Merges entries into a list of named entries (env vars, volumes, volume mounts...).
+ * Entries with the same name are replaced, new names are appended, and other entries are kept.
+ *
+ * @param {Array<{name: string}>} [existing=[]] - The current entries.
+ * @param {Array<{name: string}>} entries - The entries to merge.
+ * @returns {Array<{name: string}>} The merged list of entries.
+ */
+function mergeByName(existing = [], entries) {
+  const names = new Set(entries.map((entry) => entry.name));
+  return [...existing.filter((entry) => !names.has(entry.name)), ...entries];
+}
+
+/**
+ * Merges environment variables into an existing list of container env entries.
+ * Entries with the same name are replaced, new names are appended, and other entries are kept.
+ *
+ * @param {Array<{name: string, value?: string}>} [existingEnv=[]] - The current env entries of the container.
+ * @param {Object<string, string>} env - A map of environment variable names to values.
+ * @returns {Array<{name: string, value?: string}>} The merged list of env entries.
+ */
+export function mergeEnvVars(existingEnv = [], env) {
+  return mergeByName(
+    existingEnv,
+    Object.entries(env).map(([name, value]) => ({
+      name,
+      value: String(value),
+    }))
+  );
+}
+
+/**
+ * Builds a volume name from a mount path, e.g. `/secrets/key.json` becomes `secret-secrets-key-json`.
+ *
+ * @param {string} prefix - The prefix of the volume name.
+ * @param {string} mountPath - The mount path of the volume.
+ * @returns {string} A volume name that is a valid DNS label.
+ */
+function volumeNameFromPath(prefix, mountPath) {
+  const suffix = mountPath
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${prefix}-${suffix}`.slice(0, 63).replace(/-+$/, '');
+}
+
+/**
+ * Converts a probe setting into a Cloud Run v2 Probe message.
+ *
+ * @param {'startup'|'liveness'} kind - The kind of probe, used in error messages.
+ * @param {object} probe - The probe setting.
+ * @param {'http'|'tcp'|'grpc'} probe.type - How the container is probed.
+ * @param {string} [probe.path] - The path of the HTTP probe.
+ * @param {number} [probe.port] - The port to probe. Defaults to the container port.
+ * @param {string} [probe.service] - The gRPC health check service name.
+ * @param {number} [probe.initialDelaySeconds] - Seconds to wait after the container started before probing.
+ * @param {number} [probe.periodSeconds] - Seconds between two probes.
+ * @param {number} [probe.timeoutSeconds] - Seconds after which a probe times out.
+ * @param {number} [probe.failureThreshold] - Number of consecutive failures before the probe is considered failed.
+ * @returns {object} The Probe message.
+ */
+function toProbe(kind, probe) {
+  const field = PROBE_TYPES[probe.type];
+  if (!field) {
+    throw new Error(
+      `Invalid ${kind} probe type "${probe.type}". Expected one of: ${Object.keys(PROBE_TYPES).join(', ')}.`
+    );
+  }
+  if (kind === 'liveness' && probe.type === 'tcp') {
+    throw new Error(
+      'Liveness probes do not support the "tcp" type. Use "http" or "grpc".'
+    );
+  }
+
+  const action = {};
+  if (probe.type === 'http') {
+    action.path = probe.path || '/';
+  }
+  if (probe.type === 'grpc' && probe.service) {
+    action.service = probe.service;
+  }
+  if (probe.port !== undefined) {
+    action.port = probe.port;
+  }
+
+  const result = { [field]: action };
+  for (const key of [
+    'initialDelaySeconds',
+    'periodSeconds',
+    'timeoutSeconds',
+    'failureThreshold',
+  ]) {
+    if (probe[key] !== undefined) {
+      result[key] = probe[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Converts a volume setting into a Cloud Run v2 Volume message.
+ *
+ * @param {object} volume - The volume setting.
+ * @param {string} volume.name - The name of the volume.
+ * @param {'gcs'|'in-memory'} volume.type - The type of volume.
+ * @param {string} [volume.bucket] - The Cloud Storage bucket to mount, for `gcs` volumes.
+ * @param {boolean} [volume.readOnly] - Whether a `gcs` volume is mounted read-only.
+ * @param {string} [volume.sizeLimit] - The size limit of an `in-memory` volume (e.g. `256Mi`).
+ * @returns {object} The Volume message.
+ */
+function toVolume(volume) {
+  if (volume.type === 'gcs') {
+    if (!volume.bucket) {
+      throw new Error(`Volume "${volume.name}" requires a bucket.`);
+    }
+    return {
+      name: volume.name,
+      gcs: { bucket: volume.bucket, readOnly: Boolean(volume.readOnly) },
+    };
+  }
+  if (volume.type === 'in-memory') {
+    return {
+      name: volume.name,
+      emptyDir: {
+        medium: 'MEMORY',
+        ...(volume.sizeLimit ? { sizeLimit: volume.sizeLimit } : {}),
+      },
+    };
+  }
+  throw new Error(
+    `Invalid type "${volume.type}" for volume "${volume.name}". Expected one of: gcs, in-memory.`
+  );
+}
+
+/**
+ * Lists the Cloud Storage buckets mounted by the volume settings of a deployment.
+ *
+ * @param {object} [config={}] - The deployment settings.
+ * @returns {Array<{bucket: string, readOnly: boolean}>} The mounted buckets.
+ */
+export function getConfiguredBuckets(config = {}) {
+  return (config.volumes || [])
+    .filter((volume) => volume.type === 'gcs')
+    .map((volume) => ({
+      bucket: volume.bucket,
+      readOnly: Boolean(volume.readOnly),
+    }));
+}
+
+/**
+ * Converts a sidecar setting into a Cloud Run v2 Container message.
+ *
+ * @param {object} sidecar - The sidecar setting.
+ * @param {string} sidecar.name - The name of the container.
+ * @param {string} sidecar.image - The container image to run.
+ * @param {number} [sidecar.port] - Port the sidecar listens on, making it the ingress container.
+ * @param {Object<string, string>} [sidecar.env] - Environment variables of the container.
+ * @param {string[]} [sidecar.command] - Entrypoint of the container.
+ * @param {string[]} [sidecar.args] - Arguments passed to the entrypoint.
+ * @param {string[]} [sidecar.dependsOn] - Names of the containers that must start before this one.
+ * @param {string} [sidecar.cpu] - CPU limit of the container.
+ * @param {string} [sidecar.memory] - Memory limit of the container.
+ * @param {Object<string, string>} [sidecar.volumeMounts] - Volumes to mount, as a map of volume names to mount paths.
+ * @returns {object} The Container message.
+ */
+function toSidecarContainer(sidecar) {
+  const container = { name: sidecar.name, image: sidecar.image };
+  if (sidecar.port !== undefined) {
+    container.ports = [{ containerPort: sidecar.port }];
+  }
+  if (sidecar.env && Object.keys(sidecar.env).length > 0) {
+    container.env = mergeEnvVars([], sidecar.env);
+  }
+  if (sidecar.command) {
+    container.command = sidecar.command;
+  }
+  if (sidecar.args) {
+    container.args = sidecar.args;
+  }
+  if (sidecar.dependsOn) {
+    container.dependsOn = sidecar.dependsOn;
+  }
+  if (sidecar.cpu !== undefined || sidecar.memory !== undefined) {
+    container.resources = { limits: {} };
+    if (sidecar.cpu !== undefined) {
+      container.resources.limits.cpu = sidecar.cpu;
+    }
+    if (sidecar.memory !== undefined) {
+      container.resources.limits.memory = sidecar.memory;
+    }
+  }
+  if (sidecar.volumeMounts) {
+    container.volumeMounts = Object.entries(sidecar.volumeMounts).map(
+      ([name, mountPath]) => ({ name, mountPath })
+    );
+  }
+  return container;
+}
+
+/**
+ * Lists the secrets referenced by the secret settings of a deployment.
+ *
+ * @param {object} [config={}] - The deployment settings.
+ * @returns {string[]} The distinct secrets (names or full resource names) referenced by `secrets` and `secretVolumes`.
+ */
+export function getConfiguredSecrets(config = {}) {
+  const references = [
+    ...Object.values(config.secrets || {}),
+    ...Object.values(config.secretVolumes || {}),
+  ];
+  return [
+    ...new Set(
+      references.map((reference) => parseSecretReference(reference).secret)
+    ),
+  ];
+}
+
+/**
+ * Applies the caller-provided deployment settings to a Cloud Run service object.
+ * Only the settings that are explicitly set are written, the rest of the service is left untouched.
+ *
+ * @param {object} service - The Cloud Run service object to modify.
+ * @param {object} [config={}] - The deployment settings.
+ * @param {Object<string, string>} [config.env] - Environment variables to set on the container.
+ * @param {number} [config.containerPort] - Port the container listens on for requests.
+ * @param {string[]} [config.command] - Entrypoint of the container, overriding the image entrypoint.
+ * @param {string[]} [config.args] - Arguments passed to the entrypoint, overriding the image command.
+ * @param {string} [config.cpu] - CPU limit of the container (e.g. '1', '2').
+ * @param {string} [config.memory] - Memory limit of the container (e.g. '512Mi', '2Gi').
+ * @param {number} [config.concurrency] - Maximum number of concurrent requests per instance.
+ * @param {number} [config.maxInstanceRequestConcurrency] - Same as `concurrency`, named after the Cloud Run API field.
+ * @param {number} [config.timeoutSeconds] - Maximum time a request can take before the instance responds.
+ * @param {boolean} [config.sessionAffinity] - Whether requests from the same client are sent to the same instance.
+ * @param {'gen1'|'gen2'} [config.executionEnvironment] - The execution environment of the instances.
+ * @param {number} [config.minInstances] - Minimum number of instances.
+ * @param {number} [config.maxInstances] - Maximum number of instances.
+ * @param {boolean} [config.cpuThrottling] - Whether CPU is only allocated during request processing.
+ * @param {boolean} [config.startupCpuBoost] - Whether to allocate extra CPU while instances start.
+ * @param {'all'|'internal'|'internal-and-cloud-load-balancing'} [config.ingress] - Which network sources can reach the service.
+ * @param {boolean} [config.allowUnauthenticated] - Whether to disable the invoker IAM check, making the service public.
+ * @param {string} [config.serviceAccount] - Email of the service account the revisions run as.
+ * @param {string} [config.network] - VPC network for Direct VPC egress.
+ * @param {string} [config.subnet] - VPC subnetwork for Direct VPC egress.
+ * @param {string} [config.vpcConnector] - Serverless VPC Access connector, mutually exclusive with `network` and `subnet`.
+ * @param {'all-traffic'|'private-ranges-only'} [config.vpcEgress] - Which outbound traffic is sent through the VPC.
+ * @param {string[]} [config.cloudSqlInstances] - Cloud SQL instance connection names (`project:region:instance`) mounted under `/cloudsql`.
+ * @param {Object<string, string>} [config.secrets] - Environment variables backed by Secret Manager, as a map of variable names to secret references.
+ * @param {Object<string, string>} [config.secretVolumes] - Secret files to mount, as a map of file paths (e.g. `/secrets/key.json`) to secret references.
+ *   Files in the same directory are mounted by one volume, so they must come from the same secret.
+ * @param {object} [config.startupProbe] - Probe checking that the container has started, see `toProbe`. Replaces the existing startup probe.
+ * @param {object} [config.livenessProbe] - Probe checking that the container is still healthy, see `toProbe`. Replaces the existing liveness probe.
+ * @param {object[]} [config.volumes] - Cloud Storage or in-memory volumes, see `toVolume`. Volumes with the same name are replaced.
+ * @param {Object<string, string>} [config.volumeMounts] - Volumes to mount in the main container, as a map of volume names to mount paths.
+ * @param {object[]} [config.sidecars] - Containers running next to the main container, see `toSidecarContainer`. Sidecars with the same name are replaced.
+ * @param {string[]} [config.dependsOn] - Names of the sidecars that must start before the main container.
+ * @returns {object} The modified service object.
+ */
+export function applyServiceConfig(service, config = {}) {
+  const template = service.template;
+  const container = getMainContainer(service);
+
+  if (config.ingress) {
+    if (!(config.ingress in INGRESS_VALUES)) {
+      throw new Error(
+        `Invalid ingress "${config.ingress}". Expected one of: ${Object.keys(INGRESS_VALUES).join(', ')}.`
+      );
+    }
+    service.ingress = INGRESS_VALUES[config.ingress];
+  }
+  if (config.allowUnauthenticated !== undefined) {
+    service.invokerIamDisabled = config.allowUnauthenticated;
+  }
+
+  if (config.serviceAccount) {
+    template.serviceAccount = config.serviceAccount;
+  }
+
+  if (config.containerPort !== undefined) {
+    container.ports = [
+      { ...container.ports?.[0], containerPort: config.containerPort },
+    ];
+  }
+  if (config.command) {
+    container.command = config.command;
+  }
+  if (config.args) {
+    container.args = config.args;
+  }
+
+  if (config.env && Object.keys(config.env).length > 0) {
+    container.env = mergeEnvVars(container.env, config.env);
+  }
+
+  if (config.secrets && Object.keys(config.secrets).length > 0) {
+    container.env = mergeByName(
+      container.env,
+      Object.entries(config.secrets).map(([name, reference]) => ({
+        name,
+        valueSource: { secretKeyRef: parseSecretReference(reference) },
+      }))
+    );
+  }
+
+  if (config.secretVolumes && Object.keys(config.secretVolumes).length > 0) {
+    // A secret volume mounts files of one secret in one directory, so the files are grouped by directory.
+    const volumesByPath = new Map();
+    for (const [filePath, reference] of Object.entries(config.secretVolumes)) {
+      const { secret, version } = parseSecretReference(reference);
+      const separatorIndex = filePath.lastIndexOf('/');
+      const mountPath = filePath.slice(0, separatorIndex) || '/';
+      const fileName = filePath.slice(separatorIndex + 1);
+      if (!filePath.startsWith('/') || !fileName) {
+        throw new Error(
+          `Invalid secret file path "${filePath}". Expected an absolute file path such as "/secrets/key.json".`
+        );
+      }
+      let volume = volumesByPath.get(mountPath);
+      if (!volume) {
+        volume = {
+          name: volumeNameFromPath('secret', mountPath),
+          secret: { secret, items: [] },
+        };
+        volumesByPath.set(mountPath, volume);
+      } else if (volume.secret.secret !== secret) {
+        throw new Error(
+          `Secret files in directory "${mountPath}" come from different secrets (${volume.secret.secret}, ${secret}). Mount the files of each secret in their own directory.`
+        );
+      }
+      volume.secret.items.push({ path: fileName, version });
+    }
+    const volumes = [...volumesByPath.values()];
+    const volumeMounts = [...volumesByPath].map(([mountPath, { name }]) => ({
+      name,
+      mountPath,
+    }));
+    template.volumes = mergeByName(template.volumes, volumes);
+    // The secret files replace whatever was mounted in their directory before.
+    container.volumeMounts = mergeByName(
+      (container.volumeMounts || []).filter(
+        (volumeMount) => !volumesByPath.has(volumeMount.mountPath)
+      ),
+      volumeMounts
+    );
+  }
+
+  if (config.vpcConnector && (config.network || config.subnet)) {
+    throw new Error(
+      'A VPC connector cannot be combined with Direct VPC egress settings (network, subnet). Use one or the other.'
+    );
+  }
+  if (config.vpcConnector) {
+    template.vpcAccess = {
+      ...template.vpcAccess,
+      connector: config.vpcConnector,
+    };
+    delete template.vpcAccess.networkInterfaces;
+  }
+  if (config.network || config.subnet) {
+    const networkInterface = {};
+    if (config.network) {
+      networkInterface.network = config.network;
+    }
+    if (config.subnet) {
+      networkInterface.subnetwork = config.subnet;
+    }
+    template.vpcAccess = {
+      ...template.vpcAccess,
+      networkInterfaces: [networkInterface],
+    };
+    delete template.vpcAccess.connector;
+  }
+  if (config.vpcEgress) {
+    if (!(config.vpcEgress in VPC_EGRESS_VALUES)) {
+      throw new Error(
+        `Invalid vpcEgress "${config.vpcEgress}". Expected one of: ${Object.keys(VPC_EGRESS_VALUES).join(', ')}.`
+      );
+    }
+    template.vpcAccess = {
+      ...template.vpcAccess,
+      egress: VPC_EGRESS_VALUES[config.vpcEgress],
+    };
+  }
+
+  if (config.cloudSqlInstances && config.cloudSqlInstances.length > 0) {
+    for (const instance of config.cloudSqlInstances) {
+      if (!/^[^:]+:[^:]+:[^:]+$/.test(instance)) {
+        throw new Error(
+          `Invalid Cloud SQL instance "${instance}". Expected a connection name such as "my-project:europe-west1:my-instance".`
+        );
+      }
+    }
+    template.volumes = mergeByName(template.volumes, [
+      {
+        name: CLOUD_SQL_VOLUME_NAME,
+        cloudSqlInstance: { instances: config.cloudSqlInstances },
+      },
+    ]);
+    container.volumeMounts = mergeByName(container.volumeMounts, [
+      { name: CLOUD_SQL_VOLUME_NAME, mountPath: CLOUD_SQL_MOUNT_PATH },
+    ]);
+  }
+
+  if (config.volumes && config.volumes.length > 0) {
+    template.volumes = mergeByName(
+      template.volumes,
+      config.volumes.map(toVolume)
+    );
+  }
+  const volumeNames = new Set(
+    (template.volumes || []).map((volume) => volume.name)
+  );
+  const checkVolumeMounts = (containerName, volumeMounts = {}) => {
+    for (const volumeName of Object.keys(volumeMounts)) {
+      if (!volumeNames.has(volumeName)) {
+        throw new Error(
+          `Container "${containerName}" mounts unknown volume "${volumeName}". Declare it in volumes.`
+        );
+      }
+    }
+  };
+  if (config.volumeMounts && Object.keys(config.volumeMounts).length > 0) {
+    checkVolumeMounts(container.name || 'main', config.volumeMounts);
+    container.volumeMounts = mergeByName(
+      container.volumeMounts,
+      Object.entries(config.volumeMounts).map(([name, mountPath]) => ({
+        name,
+        mountPath,
+      }))
+    );
+  }
+
+  if (config.sidecars && config.sidecars.length > 0) {
+    container.name = container.name || DEFAULT_MAIN_CONTAINER_NAME;
+    for (const sidecar of config.sidecars) {
+      if (sidecar.name === container.name) {
+        throw new Error(
+          `Sidecar name "${sidecar.name}" is already used by the main container.`
+        );
+      }
+      checkVolumeMounts(sidecar.name, sidecar.volumeMounts);
+    }
+    template.containers = mergeByName(
+      template.containers,
+      config.sidecars.map(toSidecarContainer)
+    );
+    service.annotations = {
+      ...service.annotations,
+      [MAIN_CONTAINER_ANNOTATION]: container.name,
+    };
+  }
+  if (config.dependsOn) {
+    container.dependsOn = config.dependsOn;
+  }
+
+  if (config.cpu !== undefined || config.memory !== undefined) {
+    container.resources = container.resources || {};
+    container.resources.limits = container.resources.limits || {};
+    if (config.cpu !== undefined) {
+      container.resources.limits.cpu = config.cpu;
+    }
+    if (config.memory !== undefined) {
+      container.resources.limits.memory = config.memory;
+    }
+  }
+  if (config.cpuThrottling !== undefined) {
+    container.resources = container.resources || {};
+    container.resources.cpuIdle = config.cpuThrottling;
+  }
+  if (config.startupCpuBoost !== undefined) {
+    container.resources = container.resources || {};
+    container.resources.startupCpuBoost = config.startupCpuBoost;
+  }
+
+  if (config.startupProbe) {
+    container.startupProbe = toProbe('startup', config.startupProbe);
+  }
+  if (config.livenessProbe) {
+    container.livenessProbe = toProbe('liveness', config.livenessProbe);
+  }
+
+  if (
+    config.concurrency !== undefined &&
+    config.maxInstanceRequestConcurrency !== undefined &&
+    config.concurrency !== config.maxInstanceRequestConcurrency
+  ) {
+    throw new Error(
+      'concurrency and maxInstanceRequestConcurrency set the same value. Only set one of them.'
+    );
+  }
+  const concurrency =
+    config.maxInstanceRequestConcurrency ?? config.concurrency;
+  if (concurrency !== undefined) {
+    template.maxInstanceRequestConcurrency = concurrency;
+  }
+  if (config.timeoutSeconds !== undefined) {
+    template.timeout = { seconds: config.timeoutSeconds };
+  }
+  if (config.sessionAffinity !== undefined) {
+    template.sessionAffinity = config.sessionAffinity;
+  }
+  if (config.executionEnvironment) {
+    if (!(config.executionEnvironment in EXECUTION_ENVIRONMENT_VALUES)) {
+      throw new Error(
+        `Invalid executionEnvironment "${config.executionEnvironment}". Expected one of: ${Object.keys(EXECUTION_ENVIRONMENT_VALUES).join(', ')}.`
+      );
+    }
+    template.executionEnvironment =
+      EXECUTION_ENVIRONMENT_VALUES[config.executionEnvironment];
+  }
+  if (config.minInstances !== undefined || config.maxInstances !== undefined) {
+    template.scaling = template.scaling || {};
+    if (config.minInstances !== undefined) {
+      template.scaling.minInstanceCount = config.minInstances;
+    }
+    if (config.maxInstances !== undefined) {
+      template.scaling.maxInstanceCount = config.maxInstances;
+    }
+  }
+
+  return service;
+}
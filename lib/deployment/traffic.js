@@ -0,0 +1,477 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import {
+  getRevision,
+  getService,
+  getTrafficByRevision,
+  listRevisions,
+  updateService,
+} from '../cloud-api/run.js';
+import { toServiceUpdate } from './template.js';
+
+// Name used to refer to the latest ready revision of a service.
+export const LATEST = 'LATEST';
+
+const TRAFFIC_TYPE_LATEST = 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST';
+const TRAFFIC_TYPE_REVISION = 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION';
+
+// Annotation of a service listing its preview revisions that were never promoted, so that they are not used as
+// rollback targets. The Cloud Run API keeps no history of the traffic a revision served.
+const UNSERVED_REVISIONS_ANNOTATION = 'cloud-run-mcp/unserved-revisions';
+const MAX_UNSERVED_REVISIONS = 20;
+
+/**
+ * Returns the preview revisions of a service that were never promoted.
+ *
+ * @param {object} service - The Cloud Run service object.
+ * @returns {string[]} The names of the revisions.
+ */
+function getUnservedRevisions(service) {
+  const value = service.annotations?.[UNSERVED_REVISIONS_ANNOTATION];
+  return value ? value.split(',') : [];
+}
+
+/**
+ * Records the preview revisions of a service that were never promoted, keeping the most recent ones.
+ *
+ * @param {object} service - The Cloud Run service object to modify.
+ * @param {string[]} revisions - The names of the revisions.
+ */
+function setUnservedRevisions(service, revisions) {
+  const annotations = { ...service.annotations };
+  if (revisions.length > 0) {
+    annotations[UNSERVED_REVISIONS_ANNOTATION] = revisions
+      .slice(-MAX_UNSERVED_REVISIONS)
+      .join(',');
+  } else {
+    delete annotations[UNSERVED_REVISIONS_ANNOTATION];
+  }
+  service.annotations = annotations;
+}
+
+/**
+ * Builds a Cloud Run v2 TrafficTarget for a revision name or `LATEST`.
+ *
+ * @param {string} revision - The name of the revision, or `LATEST`.
+ * @param {number} percent - The percentage of traffic sent to the revision.
+ * @returns {object} The TrafficTarget message.
+ */
+function toTrafficTarget(revision, percent) {
+  return revision === LATEST
+    ? { type: TRAFFIC_TYPE_LATEST, percent }
+    : { type: TRAFFIC_TYPE_REVISION, revision, percent };
+}
+
+/**
+ * Returns whether a traffic target points to a revision name or `LATEST`.
+ *
+ * @param {object} target - The TrafficTarget message.
+ * @param {string} revision - The name of the revision, or `LATEST`.
+ * @returns {boolean} Whether the target points to the revision.
+ */
+function isTargetOf(target, revision) {
+  return revision === LATEST
+    ? target.type === TRAFFIC_TYPE_LATEST
+    : target.type !== TRAFFIC_TYPE_LATEST && target.revision === revision;
+}
+
+/**
+ * Applies traffic and tag changes to the traffic targets of a service.
+ * Tags that are not removed are kept when the traffic split is replaced.
+ *
+ * @param {object} service - The Cloud Run service object to modify.
+ * @param {object} changes - The changes to apply.
+ * @param {Array<{revision: string, percent: number}>} [changes.traffic] - The new traffic split, replacing the current one. Percentages must add up to 100.
+ * @param {Object<string, string>} [changes.tags] - Tags to assign, as a map of tag names to revision names (or `LATEST`).
+ * @param {string[]} [changes.removeTags] - Tags to remove.
+ * @returns {object} The modified service object.
+ * @throws {Error} If the traffic split is invalid.
+ */
+export function applyTrafficChanges(
+  service,
+  { traffic, tags = {}, removeTags = [] }
+) {
+  let targets = (service.traffic || []).map((target) => ({ ...target }));
+
+  if (traffic) {
+    const total = traffic.reduce((sum, { percent }) => sum + percent, 0);
+    if (total !== 100) {
+      throw new Error(`Traffic percentages must add up to 100, got ${total}.`);
+    }
+    targets = targets
+      .filter((target) => target.tag)
+      .map((target) => ({ ...target, percent: 0 }));
+    for (const { revision, percent } of traffic) {
+      const target = targets.find((t) => isTargetOf(t, revision) && !t.percent);
+      if (target) {
+        target.percent = percent;
+      } else {
+        targets.push(toTrafficTarget(revision, percent));
+      }
+    }
+  }
+
+  const removedTags = new Set([...removeTags, ...Object.keys(tags)]);
+  for (const target of targets) {
+    if (removedTags.has(target.tag)) {
+      delete target.tag;
+    }
+  }
+  for (const [tag, revision] of Object.entries(tags)) {
+    const target = targets.find((t) => isTargetOf(t, revision) && !t.tag);
+    if (target) {
+      target.tag = tag;
+    } else {
+      targets.push({ ...toTrafficTarget(revision, 0), tag });
+    }
+  }
+
+  service.traffic = targets.filter((target) => target.percent || target.tag);
+  return service;
+}
+
+/**
+ * Sets up the traffic of a service so that a new revision is deployed as a preview:
+ * the traffic currently sent to the latest revision is pinned to the latest ready revision,
+ * and the new revision only gets a tag. The new revision is recorded as never served until it is promoted.
+ *
+ * @param {object} service - The Cloud Run service object to modify.
+ * @param {string} latestReadyRevision - The name (or full resource name) of the latest ready revision.
+ * @param {string} revisionName - The name of the new revision.
+ * @param {string} tag - The tag of the preview.
+ * @returns {object} The modified service object.
+ * @throws {Error} If the service has no ready revision to keep serving traffic.
+ */
+export function preparePreviewTraffic(
+  service,
+  latestReadyRevision,
+  revisionName,
+  tag
+) {
+  const latest = latestReadyRevision?.split('/').pop();
+  if (!latest) {
+    throw new Error(
+      'The service has no ready revision to keep serving traffic during the preview.'
+    );
+  }
+  service.traffic = (service.traffic || []).map((target) =>
+    target.type === TRAFFIC_TYPE_LATEST
+      ? { ...target, type: TRAFFIC_TYPE_REVISION, revision: latest }
+      : target
+  );
+  setUnservedRevisions(service, [
+    ...getUnservedRevisions(service),
+    revisionName,
+  ]);
+  return applyTrafficChanges(service, { tags: { [tag]: revisionName } });
+}
+
+/**
+ * Builds a traffic split sending a share of the traffic to a canary revision, and the rest to the
+ * revisions currently serving traffic, in proportion to their current share.
+ *
+ * @param {object[]} baseTargets - The traffic targets currently serving traffic, pinned to revisions.
+ * @param {string} canaryRevision - The name of the canary revision.
+ * @param {number} percent - The percentage of traffic sent to the canary revision.
+ * @returns {Array<{revision: string, percent: number}>} The traffic split, for `applyTrafficChanges`.
+ */
+export function getCanaryTraffic(baseTargets, canaryRevision, percent) {
+  const remaining = 100 - percent;
+  const total = baseTargets.reduce((sum, target) => sum + target.percent, 0);
+  const traffic = baseTargets.map((target) => ({
+    revision: target.revision,
+    percent: Math.floor((target.percent * remaining) / total),
+  }));
+  // Give the rounding remainder to the revision with the largest share.
+  const assigned = traffic.reduce((sum, target) => sum + target.percent, 0);
+  traffic.sort((a, b) => b.percent - a.percent)[0].percent +=
+    remaining - assigned;
+  return [
+    ...traffic.filter((target) => target.percent > 0),
+    { revision: canaryRevision, percent },
+  ];
+}
+
+/**
+ * Returns the URLs of the tagged revisions of a service.
+ *
+ * @param {object} service - The Cloud Run service object, as returned by the Cloud Run API.
+ * @returns {Object<string, string>} A map of tag names to URLs.
+ */
+export function getTagUrls(service) {
+  const urls = {};
+  for (const status of service.trafficStatuses || []) {
+    if (status.tag) {
+      urls[status.tag] = status.uri;
+    }
+  }
+  return urls;
+}
+
+/**
+ * Updates the traffic split and the revision tags of a Cloud Run service.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object} changes - The changes to apply, see `applyTrafficChanges`.
+ * @returns {Promise<object>} A promise that resolves with the updated service.
+ * @throws {Error} If the service does not exist or the update fails.
+ */
+export async function setTraffic(projectId, location, serviceId, changes) {
+  const existingService = await getService(projectId, location, serviceId);
+  if (!existingService) {
+    throw new Error(
+      `Service ${serviceId} not found in project ${projectId} (region ${location}).`
+    );
+  }
+  const service = applyTrafficChanges(
+    toServiceUpdate(existingService),
+    changes
+  );
+  return updateService(projectId, location, serviceId, service);
+}
+
+/**
+ * Returns whether a revision is ready to serve traffic.
+ *
+ * @param {object} revision - The Cloud Run revision object.
+ * @returns {boolean} Whether the Ready condition of the revision succeeded.
+ */
+function isRevisionReady(revision) {
+  return (revision.conditions || []).some(
+    (c) => c.type === 'Ready' && c.state === 'CONDITION_SUCCEEDED'
+  );
+}
+
+/**
+ * Replaces the traffic targets of a Cloud Run service, e.g. to restore a previous traffic split.
+ * When a revision template is given, it is deployed again as a new revision, so that `LATEST`
+ * targets resolve to the previous settings instead of a rejected revision.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {object[]} traffic - The Cloud Run v2 traffic targets to set.
+ * @param {object} [template] - The revision template to deploy again.
+ * @returns {Promise<object>} A promise that resolves with the updated service.
+ * @throws {Error} If the service does not exist or the update fails.
+ */
+export async function restoreTraffic(
+  projectId,
+  location,
+  serviceId,
+  traffic,
+  template
+) {
+  const existingService = await getService(projectId, location, serviceId);
+  if (!existingService) {
+    throw new Error(
+      `Service ${serviceId} not found in project ${projectId} (region ${location}).`
+    );
+  }
+  const service = toServiceUpdate(existingService);
+  service.traffic = traffic;
+  if (template) {
+    // Revision names are unique, let Cloud Run name the new revision.
+    service.template = { ...template };
+    delete service.template.revision;
+  }
+  return updateService(projectId, location, serviceId, service);
+}
+
+/**
+ * Returns whether a traffic split sends traffic to fixed revisions, so that new revisions do not receive it.
+ *
+ * @param {object[]} [traffic=[]] - The Cloud Run v2 traffic targets.
+ * @returns {boolean} Whether a target with a non-zero percent is pinned to a revision.
+ */
+export function isTrafficPinned(traffic = []) {
+  return traffic.some(
+    (target) => target.type !== TRAFFIC_TYPE_LATEST && target.percent > 0
+  );
+}
+
+/**
+ * Returns whether a traffic split sends traffic to the latest ready revision.
+ *
+ * @param {object[]} [traffic=[]] - The Cloud Run v2 traffic targets.
+ * @returns {boolean} Whether a target with a non-zero percent is of type `LATEST`.
+ */
+export function sendsTrafficToLatest(traffic = []) {
+  return traffic.some(
+    (target) => target.type === TRAFFIC_TYPE_LATEST && target.percent > 0
+  );
+}
+
+/**
+ * Finds the revision to roll back to: the newest Ready revision created before the newest
+ * revision currently serving traffic, that served traffic itself. Previews that were never
+ * promoted, including rejected canaries, are skipped.
+ *
+ * @param {object[]} revisions - The revisions of the service, newest first.
+ * @param {Object<string, number>} traffic - The current traffic, as a map of revision names to percentages.
+ * @param {string[]} [unservedRevisions=[]] - The names of the revisions that never served traffic.
+ * @returns {object|undefined} The revision to roll back to, or undefined if there is none.
+ */
+export function findRollbackRevision(
+  revisions,
+  traffic,
+  unservedRevisions = []
+) {
+  const currentIndex = revisions.findIndex(
+    (revision) => traffic[revision.name.split('/').pop()] > 0
+  );
+  if (currentIndex === -1) {
+    return undefined;
+  }
+  return revisions
+    .slice(currentIndex + 1)
+    .find(
+      (revision) =>
+        isRevisionReady(revision) &&
+        !unservedRevisions.includes(revision.name.split('/').pop())
+    );
+}
+
+/**
+ * Sends 100% of the traffic of a Cloud Run service to a previous revision.
+ * Without an explicit revision, the newest Ready revision older than the revision currently
+ * serving traffic, that served traffic itself, is used. Existing revision tags are kept.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string} [revisionId] - The name of the revision to roll back to.
+ * @returns {Promise<{service: object, revision: string, previousTraffic: Object<string, number>}>} A promise that resolves with the updated service, the revision now serving traffic and the traffic before the rollback.
+ * @throws {Error} If there is no revision to roll back to, or the update fails.
+ */
+export async function rollbackService(
+  projectId,
+  location,
+  serviceId,
+  revisionId
+) {
+  const existingService = await getService(projectId, location, serviceId);
+  if (!existingService) {
+    throw new Error(
+      `Service ${serviceId} not found in project ${projectId} (region ${location}).`
+    );
+  }
+  const previousTraffic = getTrafficByRevision(existingService);
+
+  let revision = revisionId;
+  if (revision) {
+    const revisionDetails = await getRevision(
+      projectId,
+      location,
+      serviceId,
+      revision
+    );
+    if (!revisionDetails) {
+      throw new Error(
+        `Revision ${revision} of service ${serviceId} not found.`
+      );
+    }
+    if (!isRevisionReady(revisionDetails)) {
+      throw new Error(
+        `Revision ${revision} is not ready to serve traffic. Choose another revision with list_revisions.`
+      );
+    }
+  } else {
+    const revisions = await listRevisions(projectId, location, serviceId);
+    const rollbackRevision = findRollbackRevision(
+      revisions,
+      previousTraffic,
+      getUnservedRevisions(existingService)
+    );
+    if (!rollbackRevision) {
+      throw new Error(
+        `No ready revision that served traffic before the current one was found for service ${serviceId}.`
+      );
+    }
+    revision = rollbackRevision.name.split('/').pop();
+  }
+
+  const service = applyTrafficChanges(toServiceUpdate(existingService), {
+    traffic: [{ revision, percent: 100 }],
+  });
+  const updatedService = await updateService(
+    projectId,
+    location,
+    serviceId,
+    service
+  );
+  return { service: updatedService, revision, previousTraffic };
+}
+
+/**
+ * Promotes a preview revision by sending it 100% of the traffic of the service.
+ * If the preview revision is the latest ready revision, traffic is sent to `LATEST` so that
+ * later deployments receive traffic again.
+ *
+ * @async
+ * @param {string} projectId - The Google Cloud project ID.
+ * @param {string} location - The Google Cloud region of the service.
+ * @param {string} serviceId - The ID of the Cloud Run service.
+ * @param {string} tag - The tag of the preview revision.
+ * @param {boolean} [keepTag=false] - Whether to keep the tag after the promotion.
+ * @returns {Promise<{service: object, revision: string}>} A promise that resolves with the updated service and the promoted revision.
+ * @throws {Error} If no revision has the tag, or the update fails.
+ */
+export async function promotePreview(
+  projectId,
+  location,
+  serviceId,
+  tag,
+  keepTag = false
+) {
+  const existingService = await getService(projectId, location, serviceId);
+  if (!existingService) {
+    throw new Error(
+      `Service ${serviceId} not found in project ${projectId} (region ${location}).`
+    );
+  }
+  const tagged = (existingService.traffic || []).find((t) => t.tag === tag);
+  if (!tagged) {
+    throw new Error(`No revision of service ${serviceId} has the tag ${tag}.`);
+  }
+  const latest = existingService.latestReadyRevision?.split('/').pop();
+  const revision =
+    tagged.type === TRAFFIC_TYPE_LATEST ? latest : tagged.revision;
+
+  const service = applyTrafficChanges(toServiceUpdate(existingService), {
+    traffic: [
+      { revision: revision === latest ? LATEST : revision, percent: 100 },
+    ],
+    removeTags: keepTag ? [] : [tag],
+  });
+  setUnservedRevisions(
+    service,
+    getUnservedRevisions(service).filter((name) => name !== revision)
+  );
+  const updatedService = await updateService(
+    projectId,
+    location,
+    serviceId,
+    service
+  );
+  return { service: updatedService, revision };
+}
@@ -24,10 +24,11 @@ import { logAndProgress } from './helpers.js';
  * Each item can be a string representing a file/directory path, or an object
  * with `filename` and `content` properties for in-memory files.
  * @param {function(object): void} [progressCallback] - Optional callback for progress updates.
+ * @param {string[]} [excludedNames=[]] - Paths within the archive of files to leave out (e.g. '.env').
  * @returns {Promise<Buffer>} A promise that resolves with a Buffer containing the zip data.
  * @throws {Error} If an input file path is not found, an input item has an invalid format, or an archiver error occurs.
  */
-export async function zipFiles(files, progressCallback) {
+export async function zipFiles(files, progressCallback, excludedNames = []) {
   const path = await import('path');
   const fs = await import('fs');
   const archiver = (await import('archiver')).default;
@@ -66,7 +67,9 @@ export async function zipFiles(files, progressCallback) {
 
     files.forEach((file) => {
       if (typeof file === 'object' && 'filename' in file && 'content' in file) {
-        archive.append(file.content, { name: file.filename });
+        if (!excludedNames.includes(file.filename)) {
+          archive.append(file.content, { name: file.filename });
+        }
       } else if (typeof file === 'string') {
         let pathInput = file;
 
@@ -81,8 +84,10 @@ export async function zipFiles(files, progressCallback) {
 
         const stats = fs.statSync(filePath);
         if (stats.isDirectory()) {
-          archive.directory(filePath, false);
-        } else {
+          archive.directory(filePath, false, (entry) =>
+            excludedNames.includes(entry.name) ? false : entry
+          );
+        } else if (!excludedNames.includes(path.basename(filePath))) {
           archive.file(filePath, { name: path.basename(filePath) });
         }
       } else {
@@ -0,0 +1,74 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+const DOCKERFILE_NAME = 'dockerfile';
+
+/**
+ * Parses the port exposed by a Dockerfile.
+ * When several ports are exposed, the first port of the last `EXPOSE` instruction is returned.
+ * Ports set through build arguments or variables (e.g. `EXPOSE $PORT`) are ignored.
+ *
+ * @param {string} content - The content of the Dockerfile.
+ * @returns {number|null} The exposed port, or null if the Dockerfile does not expose a literal port.
+ */
+export function parseExposedPort(content) {
+  let port = null;
+  for (const line of content.split(/\r?\n/)) {
+    const match = line.trim().match(/^EXPOSE\s+(\d+)(\/(tcp|udp))?(\s|$)/i);
+    if (match) {
+      port = Number(match[1]);
+    }
+  }
+  return port;
+}
+
+/**
+ * Finds the port exposed by the Dockerfile that is part of the deployed files.
+ * For a folder deployment, the Dockerfile is looked up at the root of the folder.
+ * For file list or file content deployments, a file named `Dockerfile` is looked up among the files.
+ *
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - The files being deployed.
+ * @returns {Promise<number|null>} A promise that resolves with the exposed port, or null if none was found.
+ */
+export async function findExposedPort(files) {
+  const path = await import('path');
+  const fs = await import('fs');
+
+  for (const file of files) {
+    if (typeof file === 'object' && file.filename) {
+      if (path.basename(file.filename).toLowerCase() === DOCKERFILE_NAME) {
+        return parseExposedPort(String(file.content || ''));
+      }
+    } else if (typeof file === 'string') {
+      if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        const dockerfileName = fs
+          .readdirSync(file)
+          .find((name) => name.toLowerCase() === DOCKERFILE_NAME);
+        if (dockerfileName) {
+          return parseExposedPort(
+            fs.readFileSync(path.join(file, dockerfileName), 'utf8')
+          );
+        }
+      } else if (
+        path.basename(file).toLowerCase() === DOCKERFILE_NAME &&
+        fs.existsSync(file)
+      ) {
+        return parseExposedPort(fs.readFileSync(file, 'utf8'));
+      }
+    }
+  }
+  return null;
+}
@@ -0,0 +1,51 @@
+/*
+Copyright 2025 Google LLC
+
+Licensed under the Apache License, Version 2.0 (the "License");
+you may not use this file except in compliance with the License.
+You may obtain a copy of the License at
+
+    https://www.apache.org/licenses/LICENSE-2.0
+
+Unless required by applicable law or agreed to in writing, software
+distributed under the License is distributed on an "AS IS" BASIS,
+WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+See the License for the specific language governing permissions and
+limitations under the License.
+*/
+
+import dotenv from 'dotenv';
+
+export const ENV_FILE_NAME = '.env';
+
+/**
+ * Loads environment variables from a `.env` file that is part of the deployed files.
+ * For a folder deployment, the `.env` file is looked up at the root of the folder.
+ * For file list or file content deployments, a file named `.env` is looked up among the files.
+ *
+ * @param {Array<string|{filename: string, content: Buffer|string}>} files - The files being deployed.
+ * @returns {Promise<object|null>} A promise that resolves with the parsed variables, or null if no `.env` file was found.
+ */
+export async function loadEnvFile(files) {
+  const path = await import('path');
+  const fs = await import('fs');
+
+  for (const file of files) {
+    if (typeof file === 'object' && file.filename) {
+      if (file.filename === ENV_FILE_NAME) {
+        return dotenv.parse(file.content || '');
+      }
+    } else if (typeof file === 'string') {
+      let envFilePath = file;
+      if (fs.existsSync(file) && fs.statSync(file).isDirectory()) {
+        envFilePath = path.join(file, ENV_FILE_NAME);
+      } else if (path.basename(file) !== ENV_FILE_NAME) {
+        continue;
+      }
+      if (fs.existsSync(envFilePath)) {
+        return dotenv.parse(fs.readFileSync(envFilePath));
+      }
+    }
+  }
+  return null;
+}
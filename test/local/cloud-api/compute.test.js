@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+async function loadCompute() {
+  return esmock('../../../lib/cloud-api/compute.js', {
+    '../../../lib/cloud-api/helpers.js': {
+      callWithRetry: (fn) => fn(),
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: () => {},
+    },
+  });
+}
+
+function notFound() {
+  const error = new Error('not found');
+  error.code = 5;
+  return error;
+}
+
+/**
+ * Creates a fake Compute Engine client for one resource.
+ * @param {object|null} existing - The resource returned by get, or null if it does not exist until it is inserted.
+ * @param {object} created - The resource returned by get once it is inserted or patched.
+ * @param {Error} [operationError] - The error the insert or patch operation fails with.
+ */
+function createClient(existing, created, operationError) {
+  let current = existing;
+  const operation = {
+    promise: mock.fn(async () => {
+      if (operationError) {
+        throw operationError;
+      }
+      return [{ status: 'DONE' }];
+    }),
+  };
+  return {
+    operation,
+    get: mock.fn(async () => {
+      if (!current) {
+        throw notFound();
+      }
+      return [current];
+    }),
+    insert: mock.fn(async () => {
+      current = created;
+      return [operation];
+    }),
+    patch: mock.fn(async () => {
+      current = created;
+      return [operation];
+    }),
+  };
+}
+
+describe('ensureUrlMap', () => {
+  it('should reuse an existing URL map', async () => {
+    const { ensureUrlMap } = await loadCompute();
+    const urlMapsClient = createClient({ selfLink: 'url-map-link' });
+
+    const urlMap = await ensureUrlMap(
+      { urlMapsClient },
+      'my-project',
+      'my-service-url-map',
+      'backend-link'
+    );
+
+    assert.deepStrictEqual(urlMap, { selfLink: 'url-map-link' });
+    assert.strictEqual(urlMapsClient.insert.mock.callCount(), 0);
+  });
+
+  it('should create a missing URL map and wait for the operation', async () => {
+    const { ensureUrlMap } = await loadCompute();
+    const urlMapsClient = createClient(null, { selfLink: 'url-map-link' });
+
+    const urlMap = await ensureUrlMap(
+      { urlMapsClient },
+      'my-project',
+      'my-service-url-map',
+      'backend-link'
+    );
+
+    assert.deepStrictEqual(urlMap, { selfLink: 'url-map-link' });
+    assert.deepStrictEqual(urlMapsClient.insert.mock.calls[0].arguments[0], {
+      project: 'my-project',
+      urlMapResource: {
+        name: 'my-service-url-map',
+        defaultService: 'backend-link',
+      },
+    });
+    assert.strictEqual(urlMapsClient.operation.promise.mock.callCount(), 1);
+  });
+
+  it('should report failed operations', async () => {
+    const { ensureUrlMap } = await loadCompute();
+    const urlMapsClient = createClient(
+      null,
+      {},
+      new Error('backend service not ready')
+    );
+
+    await assert.rejects(
+      ensureUrlMap(
+        { urlMapsClient },
+        'my-project',
+        'my-service-url-map',
+        'backend-link'
+      ),
+      /Error checking\/creating URL map my-service-url-map: backend service not ready/
+    );
+  });
+});
+
+describe('ensureServerlessNeg', () => {
+  it('should wait for the regional operation', async () => {
+    const { ensureServerlessNeg } = await loadCompute();
+    const networkEndpointGroupsClient = createClient(null, {
+      selfLink: 'neg-link',
+    });
+
+    await ensureServerlessNeg(
+      { networkEndpointGroupsClient },
+      'my-project',
+      'my-region',
+      'my-service-neg-my-region',
+      'my-service'
+    );
+
+    assert.deepStrictEqual(
+      networkEndpointGroupsClient.insert.mock.calls[0].arguments[0]
+        .networkEndpointGroupResource,
+      {
+        name: 'my-service-neg-my-region',
+        networkEndpointType: 'SERVERLESS',
+        cloudRun: { service: 'my-service' },
+      }
+    );
+    assert.strictEqual(
+      networkEndpointGroupsClient.operation.promise.mock.callCount(),
+      1
+    );
+  });
+});
+
+describe('ensureBackendService', () => {
+  it('should add missing backends and turn on Cloud CDN', async () => {
+    const { ensureBackendService } = await loadCompute();
+    const backendServicesClient = createClient(
+      { backends: [{ group: 'neg-a' }], enableCDN: false },
+      { selfLink: 'backend-link' }
+    );
+
+    const backendService = await ensureBackendService(
+      { backendServicesClient },
+      'my-project',
+      'my-service-backend',
+      ['neg-a', 'neg-b'],
+      true
+    );
+
+    assert.deepStrictEqual(backendService, { selfLink: 'backend-link' });
+    assert.deepStrictEqual(
+      backendServicesClient.patch.mock.calls[0].arguments[0],
+      {
+        project: 'my-project',
+        backendService: 'my-service-backend',
+        backendServiceResource: {
+          backends: [{ group: 'neg-a' }, { group: 'neg-b' }],
+          enableCDN: true,
+          cdnPolicy: { cacheMode: 'CACHE_ALL_STATIC' },
+        },
+      }
+    );
+  });
+
+  it('should not update an up-to-date backend service', async () => {
+    const { ensureBackendService } = await loadCompute();
+    const backendServicesClient = createClient({
+      backends: [{ group: 'neg-a' }],
+      enableCDN: false,
+    });
+
+    await ensureBackendService(
+      { backendServicesClient },
+      'my-project',
+      'my-service-backend',
+      ['neg-a'],
+      false
+    );
+
+    assert.strictEqual(backendServicesClient.patch.mock.callCount(), 0);
+  });
+});
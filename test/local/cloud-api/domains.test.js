@@ -0,0 +1,182 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+const MAPPINGS_URL =
+  'https://my-region-run.googleapis.com/apis/domains.cloudrun.com/v1/namespaces/my-project/domainmappings';
+
+function apiError(status, message) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data: { error: { message } } };
+  return error;
+}
+
+function mapping(routeName) {
+  return {
+    metadata: { name: 'www.example.com' },
+    spec: { routeName },
+    status: {
+      resourceRecords: [
+        { name: 'www', type: 'CNAME', rrdata: 'ghs.googlehosted.com.' },
+      ],
+    },
+  };
+}
+
+async function loadDomains(request, service = { name: 'my-service' }) {
+  return esmock('../../../lib/cloud-api/domains.js', {
+    'google-auth-library': {
+      GoogleAuth: class {
+        request(options) {
+          return request(options);
+        }
+      },
+    },
+    '../../../lib/cloud-api/helpers.js': {
+      callWithRetry: (fn) => fn(),
+    },
+    '../../../lib/cloud-api/run.js': {
+      getService: () => Promise.resolve(service),
+    },
+  });
+}
+
+describe('createDomainMapping', () => {
+  it('should map the domain to the service', async () => {
+    const request = mock.fn(() =>
+      Promise.resolve({ data: mapping('my-service') })
+    );
+    const { createDomainMapping } = await loadDomains(request);
+
+    const result = await createDomainMapping(
+      'my-project',
+      'my-region',
+      'www.example.com',
+      'my-service'
+    );
+
+    assert.deepStrictEqual(result, mapping('my-service'));
+    assert.deepStrictEqual(request.mock.calls[0].arguments[0], {
+      url: MAPPINGS_URL,
+      method: 'POST',
+      data: {
+        apiVersion: 'domains.cloudrun.com/v1',
+        kind: 'DomainMapping',
+        metadata: { name: 'www.example.com', namespace: 'my-project' },
+        spec: { routeName: 'my-service', certificateMode: 'AUTOMATIC' },
+      },
+    });
+  });
+
+  it('should reject domains mapped to another service', async () => {
+    const request = mock.fn(({ method }) =>
+      method === 'POST'
+        ? Promise.reject(apiError(409, 'already exists'))
+        : Promise.resolve({ data: mapping('other-service') })
+    );
+    const { createDomainMapping } = await loadDomains(request);
+
+    await assert.rejects(
+      createDomainMapping(
+        'my-project',
+        'my-region',
+        'www.example.com',
+        'my-service'
+      ),
+      /already mapped to service other-service/
+    );
+  });
+
+  it('should not map domains to services that do not exist', async () => {
+    const request = mock.fn();
+    const { createDomainMapping } = await loadDomains(request, null);
+
+    await assert.rejects(
+      createDomainMapping(
+        'my-project',
+        'my-region',
+        'www.example.com',
+        'my-service'
+      ),
+      /Service my-service does not exist/
+    );
+    assert.strictEqual(request.mock.callCount(), 0);
+  });
+
+  it('should report the message of API errors', async () => {
+    const request = mock.fn(() =>
+      Promise.reject(apiError(403, 'Caller is not authorized'))
+    );
+    const { createDomainMapping } = await loadDomains(request);
+
+    await assert.rejects(
+      createDomainMapping(
+        'my-project',
+        'my-region',
+        'www.example.com',
+        'my-service'
+      ),
+      { message: 'Caller is not authorized' }
+    );
+  });
+});
+
+describe('listDomainMappings', () => {
+  it('should only list the domains mapped to the service', async () => {
+    const request = mock.fn(() =>
+      Promise.resolve({
+        data: { items: [mapping('my-service'), mapping('other-service')] },
+      })
+    );
+    const { listDomainMappings } = await loadDomains(request);
+
+    const mappings = await listDomainMappings(
+      'my-project',
+      'my-region',
+      'my-service'
+    );
+
+    assert.deepStrictEqual(mappings, [mapping('my-service')]);
+    assert.strictEqual(request.mock.calls[0].arguments[0].url, MAPPINGS_URL);
+  });
+});
+
+describe('deleteDomainMapping', () => {
+  it('should fail if the domain is not mapped', async () => {
+    const request = mock.fn(() => Promise.reject(apiError(404, 'not found')));
+    const { deleteDomainMapping } = await loadDomains(request);
+
+    await assert.rejects(
+      deleteDomainMapping('my-project', 'my-region', 'www.example.com'),
+      /Domain www.example.com is not mapped/
+    );
+    assert.strictEqual(request.mock.callCount(), 1);
+  });
+});
+
+describe('describeDomainMapping', () => {
+  it('should summarize the status, certificate and DNS records', async () => {
+    const { describeDomainMapping } = await loadDomains(mock.fn());
+
+    assert.deepStrictEqual(
+      describeDomainMapping({
+        metadata: { name: 'example.com' },
+        spec: { routeName: 'my-service' },
+        status: {
+          conditions: [
+            { type: 'Ready', status: 'False', message: 'DNS not configured' },
+            { type: 'CertificateProvisioned', status: 'True' },
+          ],
+          resourceRecords: [{ type: 'A', rrdata: '216.239.32.21' }],
+        },
+      }),
+      {
+        domain: 'example.com',
+        service: 'my-service',
+        status: 'failed (DNS not configured)',
+        certificate: 'ready',
+        dnsRecords: [{ type: 'A', name: '@', value: '216.239.32.21' }],
+      }
+    );
+  });
+});
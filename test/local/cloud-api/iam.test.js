@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+async function loadIam() {
+  return esmock('../../../lib/cloud-api/iam.js', {
+    '../../../lib/cloud-api/helpers.js': {
+      callWithRetry: (fn) => fn(),
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: () => {},
+    },
+  });
+}
+
+describe('service account names', () => {
+  it('should build service account emails and dedicated IDs', async () => {
+    const { getServiceAccountEmail, getDedicatedServiceAccountId } =
+      await loadIam();
+    assert.strictEqual(
+      getServiceAccountEmail('p', 'my-sa'),
+      'my-sa@p.iam.gserviceaccount.com'
+    );
+    assert.strictEqual(
+      getServiceAccountEmail('p', 'other@q.iam.gserviceaccount.com'),
+      'other@q.iam.gserviceaccount.com'
+    );
+    assert.strictEqual(getDedicatedServiceAccountId('api'), 'api-sa');
+    assert.strictEqual(
+      getDedicatedServiceAccountId('a-very-long-service-name-for-testing'),
+      'a-very-long-service-name-fo-sa'
+    );
+  });
+});
+
+describe('ensureServiceAccountExists', () => {
+  it('should create the service account when it does not exist', async () => {
+    const { ensureServiceAccountExists } = await loadIam();
+    const notFound = new Error('not found');
+    notFound.response = { status: 404 };
+    const request = mock.fn(({ method }) =>
+      method === 'GET'
+        ? Promise.reject(notFound)
+        : Promise.resolve({
+            data: { email: 'api-sa@p.iam.gserviceaccount.com' },
+          })
+    );
+
+    const email = await ensureServiceAccountExists(
+      { authClient: { request } },
+      'p',
+      'api-sa@p.iam.gserviceaccount.com',
+      'Cloud Run service api'
+    );
+
+    assert.strictEqual(email, 'api-sa@p.iam.gserviceaccount.com');
+    const createRequest = request.mock.calls[1].arguments[0];
+    assert.strictEqual(
+      createRequest.url,
+      'https://iam.googleapis.com/v1/projects/p/serviceAccounts'
+    );
+    assert.deepStrictEqual(createRequest.data, {
+      accountId: 'api-sa',
+      serviceAccount: { displayName: 'Cloud Run service api' },
+    });
+  });
+
+  it('should not create an existing service account', async () => {
+    const { ensureServiceAccountExists } = await loadIam();
+    const request = mock.fn(() => Promise.resolve({ data: {} }));
+
+    await ensureServiceAccountExists(
+      { authClient: { request } },
+      'p',
+      'api-sa@p.iam.gserviceaccount.com',
+      'Cloud Run service api'
+    );
+
+    assert.strictEqual(request.mock.callCount(), 1);
+  });
+});
+
+describe('checkActAsPermission', () => {
+  it('should pass when the caller can act as the service account', async () => {
+    const { checkActAsPermission } = await loadIam();
+    const request = mock.fn(() =>
+      Promise.resolve({
+        data: { permissions: ['iam.serviceAccounts.actAs'] },
+      })
+    );
+
+    await checkActAsPermission(
+      { authClient: { request } },
+      'api-sa@p.iam.gserviceaccount.com'
+    );
+
+    assert.strictEqual(
+      request.mock.calls[0].arguments[0].url,
+      'https://iam.googleapis.com/v1/projects/-/serviceAccounts/api-sa@p.iam.gserviceaccount.com:testIamPermissions'
+    );
+  });
+
+  it('should fail when the caller cannot act as the service account', async () => {
+    const { checkActAsPermission } = await loadIam();
+    const request = mock.fn(() => Promise.resolve({ data: {} }));
+
+    await assert.rejects(
+      () =>
+        checkActAsPermission(
+          { authClient: { request } },
+          'api-sa@p.iam.gserviceaccount.com'
+        ),
+      /do not have the iam.serviceAccounts.actAs permission/
+    );
+  });
+});
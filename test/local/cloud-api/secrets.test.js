@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+async function loadSecrets(logAndProgressMock = () => {}) {
+  return esmock('../../../lib/cloud-api/secrets.js', {
+    '../../../lib/cloud-api/helpers.js': {
+      callWithRetry: (fn) => fn(),
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: logAndProgressMock,
+    },
+  });
+}
+
+function notFoundError() {
+  const error = new Error('not found');
+  error.code = 5;
+  return error;
+}
+
+describe('parseSecretReference', () => {
+  it('should parse the supported reference formats', async () => {
+    const { parseSecretReference } = await loadSecrets();
+    assert.deepStrictEqual(
+      parseSecretReference('projects/x/secrets/db-pass:latest'),
+      { secret: 'projects/x/secrets/db-pass', version: 'latest' }
+    );
+    assert.deepStrictEqual(
+      parseSecretReference('projects/x/secrets/db-pass/versions/3'),
+      { secret: 'projects/x/secrets/db-pass', version: '3' }
+    );
+    assert.deepStrictEqual(parseSecretReference('api-key:2'), {
+      secret: 'api-key',
+      version: '2',
+    });
+    assert.deepStrictEqual(parseSecretReference('api-key'), {
+      secret: 'api-key',
+      version: 'latest',
+    });
+  });
+
+  it('should reject malformed references', async () => {
+    const { parseSecretReference } = await loadSecrets();
+    assert.throws(() => parseSecretReference(''), /Invalid secret reference/);
+    assert.throws(
+      () => parseSecretReference('projects/x/db-pass'),
+      /Invalid secret reference/
+    );
+  });
+});
+
+describe('createSecretVersion', () => {
+  it('should create a missing secret without logging its value', async () => {
+    const logAndProgressMock = mock.fn();
+    const { createSecretVersion } = await loadSecrets(logAndProgressMock);
+    const context = {
+      secretManagerClient: {
+        getSecret: mock.fn(() => Promise.reject(notFoundError())),
+        createSecret: mock.fn(() => Promise.resolve([{}])),
+        addSecretVersion: mock.fn(() =>
+          Promise.resolve([{ name: 'projects/p/secrets/db-pass/versions/1' }])
+        ),
+      },
+    };
+
+    await createSecretVersion(context, 'p', 'db-pass', 's3cr3t-value');
+
+    assert.strictEqual(
+      context.secretManagerClient.createSecret.mock.calls[0].arguments[0]
+        .secretId,
+      'db-pass'
+    );
+    const { parent, payload } =
+      context.secretManagerClient.addSecretVersion.mock.calls[0].arguments[0];
+    assert.strictEqual(parent, 'projects/p/secrets/db-pass');
+    assert.strictEqual(payload.data.toString(), 's3cr3t-value');
+    for (const call of logAndProgressMock.mock.calls) {
+      assert.doesNotMatch(call.arguments[0], /s3cr3t-value/);
+    }
+  });
+});
+
+describe('ensureSecretAccess', () => {
+  const member = 'serviceAccount:sa@p.iam.gserviceaccount.com';
+
+  it('should grant the accessor role when missing', async () => {
+    const { ensureSecretAccess } = await loadSecrets();
+    const context = {
+      secretManagerClient: {
+        getSecret: mock.fn(() => Promise.resolve([{}])),
+        getIamPolicy: mock.fn(() =>
+          Promise.resolve([{ etag: 'etag', bindings: [] }])
+        ),
+        setIamPolicy: mock.fn(() => Promise.resolve([{}])),
+      },
+    };
+
+    await ensureSecretAccess(context, 'projects/p/secrets/db-pass', member);
+
+    const { resource, policy } =
+      context.secretManagerClient.setIamPolicy.mock.calls[0].arguments[0];
+    assert.strictEqual(resource, 'projects/p/secrets/db-pass');
+    assert.deepStrictEqual(policy, {
+      etag: 'etag',
+      bindings: [
+        { role: 'roles/secretmanager.secretAccessor', members: [member] },
+      ],
+      version: 3,
+    });
+  });
+
+  it('should not add the member to a conditional binding', async () => {
+    const { ensureSecretAccess } = await loadSecrets();
+    const conditionalBinding = {
+      role: 'roles/secretmanager.secretAccessor',
+      members: ['user:temp@example.com'],
+      condition: { title: 'expires', expression: 'request.time < ...' },
+    };
+    const context = {
+      secretManagerClient: {
+        getSecret: mock.fn(() => Promise.resolve([{}])),
+        getIamPolicy: mock.fn(() =>
+          Promise.resolve([{ bindings: [conditionalBinding] }])
+        ),
+        setIamPolicy: mock.fn(() => Promise.resolve([{}])),
+      },
+    };
+
+    await ensureSecretAccess(context, 'projects/p/secrets/db-pass', member);
+
+    const { options } =
+      context.secretManagerClient.getIamPolicy.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(options, { requestedPolicyVersion: 3 });
+    const { policy } =
+      context.secretManagerClient.setIamPolicy.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(policy.bindings, [
+      conditionalBinding,
+      { role: 'roles/secretmanager.secretAccessor', members: [member] },
+    ]);
+    assert.deepStrictEqual(conditionalBinding.members, [
+      'user:temp@example.com',
+    ]);
+  });
+
+  it('should not change the policy when access is already granted', async () => {
+    const { ensureSecretAccess } = await loadSecrets();
+    const context = {
+      secretManagerClient: {
+        getSecret: mock.fn(() => Promise.resolve([{}])),
+        getIamPolicy: mock.fn(() =>
+          Promise.resolve([
+            {
+              bindings: [
+                {
+                  role: 'roles/secretmanager.secretAccessor',
+                  members: [member],
+                },
+              ],
+            },
+          ])
+        ),
+        setIamPolicy: mock.fn(),
+      },
+    };
+
+    await ensureSecretAccess(context, 'projects/p/secrets/db-pass', member);
+
+    assert.strictEqual(
+      context.secretManagerClient.setIamPolicy.mock.callCount(),
+      0
+    );
+  });
+
+  it('should fail when the secret does not exist', async () => {
+    const { ensureSecretAccess } = await loadSecrets();
+    const context = {
+      secretManagerClient: {
+        getSecret: mock.fn(() => Promise.reject(notFoundError())),
+      },
+    };
+
+    await assert.rejects(
+      () => ensureSecretAccess(context, 'projects/p/secrets/missing', member),
+      /Secret projects\/p\/secrets\/missing does not exist/
+    );
+  });
+});
@@ -0,0 +1,71 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+async function loadStorage() {
+  return esmock('../../../lib/cloud-api/storage.js', {
+    '../../../lib/cloud-api/helpers.js': {
+      callWithRetry: (fn) => fn(),
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: () => {},
+    },
+  });
+}
+
+function createContext({ exists = true, bindings = [] } = {}) {
+  const setPolicy = mock.fn(async () => {});
+  return {
+    setPolicy,
+    context: {
+      storage: {
+        bucket: () => ({
+          exists: async () => [exists],
+          iam: {
+            getPolicy: async () => [{ version: 3, bindings }],
+            setPolicy,
+          },
+        }),
+      },
+    },
+  };
+}
+
+const MEMBER = 'serviceAccount:sa@my-project.iam.gserviceaccount.com';
+
+describe('ensureBucketAccess', () => {
+  it('should fail when the bucket does not exist', async () => {
+    const { ensureBucketAccess } = await loadStorage();
+    const { context } = createContext({ exists: false });
+
+    await assert.rejects(
+      ensureBucketAccess(context, 'my-models', MEMBER, true),
+      /Bucket my-models does not exist/
+    );
+  });
+
+  it('should not change the policy when the member can read objects', async () => {
+    const { ensureBucketAccess } = await loadStorage();
+    const { context, setPolicy } = createContext({
+      bindings: [{ role: 'roles/storage.objectUser', members: [MEMBER] }],
+    });
+
+    await ensureBucketAccess(context, 'my-models', MEMBER, true);
+
+    assert.strictEqual(setPolicy.mock.callCount(), 0);
+  });
+
+  it('should grant read-write access when the member can only read', async () => {
+    const { ensureBucketAccess } = await loadStorage();
+    const { context, setPolicy } = createContext({
+      bindings: [{ role: 'roles/storage.objectViewer', members: [MEMBER] }],
+    });
+
+    await ensureBucketAccess(context, 'my-models', MEMBER, false);
+
+    assert.deepStrictEqual(setPolicy.mock.calls[0].arguments[0].bindings, [
+      { role: 'roles/storage.objectViewer', members: [MEMBER] },
+      { role: 'roles/storage.objectUser', members: [MEMBER] },
+    ]);
+  });
+});
@@ -0,0 +1,188 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+const deployedService = {
+  traffic: [
+    {
+      type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+      revision: 's-00001',
+      percent: 100,
+    },
+    {
+      type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+      revision: 's-00002',
+      percent: 0,
+      tag: 'canary',
+    },
+  ],
+};
+
+const previousService = {
+  template: { revision: 's-00001', containers: [{ image: 'gcr.io/p/old' }] },
+  traffic: [{ type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 }],
+};
+
+async function loadCanary(counts, { existingService, restoreTraffic } = {}) {
+  const mocks = {
+    deployImage: mock.fn(async () => deployedService),
+    setTraffic: mock.fn(async () => ({})),
+    restoreTraffic: mock.fn(
+      restoreTraffic || (async () => ({ uri: 'https://s.run.app' }))
+    ),
+    promotePreview: mock.fn(async () => ({
+      service: { uri: 'https://s.run.app' },
+    })),
+    countRevisionErrors: mock.fn(async () => {
+      const next = counts.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      return next;
+    }),
+  };
+  const { canaryDeploy } = await esmock('../../../lib/deployment/canary.js', {
+    '../../../lib/deployment/deployer.js': {
+      deployImage: mocks.deployImage,
+    },
+    '../../../lib/deployment/traffic.js': {
+      setTraffic: mocks.setTraffic,
+      restoreTraffic: mocks.restoreTraffic,
+      promotePreview: mocks.promotePreview,
+    },
+    '../../../lib/cloud-api/run.js': {
+      countRevisionErrors: mocks.countRevisionErrors,
+      getService: async () => existingService || null,
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: () => Promise.resolve(),
+    },
+  });
+  return { canaryDeploy, mocks };
+}
+
+const config = {
+  projectId: 'p',
+  serviceName: 's',
+  region: 'r',
+  imageUrl: 'gcr.io/p/new',
+  steps: [10, 50],
+  stepDurationSeconds: 0,
+};
+
+describe('canaryDeploy', () => {
+  it('should promote a healthy canary revision', async () => {
+    const { canaryDeploy, mocks } = await loadCanary([
+      { requests: 20, serverErrors: 0, errors: 0 },
+      { requests: 100, serverErrors: 1, errors: 0 },
+    ]);
+
+    const result = await canaryDeploy({ ...config });
+
+    assert.strictEqual(result.promoted, true);
+    assert.strictEqual(result.revision, 's-00002');
+    assert.strictEqual(
+      mocks.deployImage.mock.calls[0].arguments[0].previewTag,
+      'canary'
+    );
+    assert.deepStrictEqual(
+      mocks.setTraffic.mock.calls.map((call) => call.arguments[3].traffic),
+      [
+        [
+          { revision: 's-00001', percent: 90 },
+          { revision: 's-00002', percent: 10 },
+        ],
+        [
+          { revision: 's-00001', percent: 50 },
+          { revision: 's-00002', percent: 50 },
+        ],
+      ]
+    );
+    assert.deepStrictEqual(mocks.promotePreview.mock.calls[0].arguments, [
+      'p',
+      'r',
+      's',
+      'canary',
+    ]);
+  });
+
+  it('should restore the previous traffic when the canary returns 5xx responses', async () => {
+    const { canaryDeploy, mocks } = await loadCanary([
+      { requests: 20, serverErrors: 2, errors: 0 },
+    ]);
+
+    const result = await canaryDeploy({ ...config });
+
+    assert.strictEqual(result.promoted, false);
+    assert.strictEqual(mocks.setTraffic.mock.callCount(), 1);
+    assert.strictEqual(mocks.promotePreview.mock.callCount(), 0);
+    assert.deepStrictEqual(mocks.restoreTraffic.mock.calls[0].arguments[3], [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        percent: 100,
+      },
+    ]);
+  });
+
+  it('should reject a canary that receives no requests', async () => {
+    const { canaryDeploy, mocks } = await loadCanary([
+      { requests: 0, serverErrors: 0, errors: 0 },
+    ]);
+
+    const result = await canaryDeploy({ ...config });
+
+    assert.strictEqual(result.promoted, false);
+    assert.match(result.reason, /received no requests/);
+    assert.strictEqual(mocks.promotePreview.mock.callCount(), 0);
+    assert.strictEqual(mocks.restoreTraffic.mock.callCount(), 1);
+  });
+
+  it('should deploy the previous settings again to restore a split following LATEST', async () => {
+    const { canaryDeploy, mocks } = await loadCanary(
+      [{ requests: 20, serverErrors: 0, errors: 3 }],
+      { existingService: previousService }
+    );
+
+    const result = await canaryDeploy({ ...config });
+
+    assert.strictEqual(result.promoted, false);
+    assert.match(result.reason, /3 error logs/);
+    const { calls } = mocks.restoreTraffic.mock;
+    assert.strictEqual(calls.length, 2);
+    // The rejected revision stops serving before the previous settings are deployed again.
+    assert.deepStrictEqual(calls[0].arguments[3], [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        percent: 100,
+      },
+    ]);
+    assert.deepStrictEqual(calls[1].arguments.slice(3), [
+      [{ type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 }],
+      previousService.template,
+    ]);
+  });
+
+  it('should report both errors when the traffic cannot be restored', async () => {
+    const { canaryDeploy } = await loadCanary([new Error('quota exceeded')], {
+      restoreTraffic: async () => {
+        throw new Error('permission denied');
+      },
+    });
+
+    await assert.rejects(
+      canaryDeploy({ ...config }),
+      /Canary rollout of revision s-00002 failed: quota exceeded\. Restoring the previous traffic split also failed: permission denied/
+    );
+  });
+
+  it('should reject steps that are not increasing', async () => {
+    const { canaryDeploy } = await loadCanary([]);
+
+    await assert.rejects(
+      canaryDeploy({ ...config, steps: [50, 10] }),
+      /Canary steps must be increasing percentages/
+    );
+  });
+});
@@ -0,0 +1,1145 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+/**
+ * Creates a context with a fake Cloud Run ServicesClient.
+ * @param {object|null} existingService - The service returned by getService, or null if it does not exist.
+ */
+function createContext(existingService) {
+  return {
+    runClient: {
+      locationPath: (project, location) =>
+        `projects/${project}/locations/${location}`,
+      servicePath: (project, location, service) =>
+        `projects/${project}/locations/${location}/services/${service}`,
+      getService: mock.fn(async () => {
+        if (!existingService) {
+          const error = new Error('not found');
+          error.code = 5;
+          throw error;
+        }
+        return [existingService];
+      }),
+      createService: mock.fn(async () => [
+        { promise: async () => [{ uri: 'https://new-uri' }] },
+      ]),
+      updateService: mock.fn(async () => [
+        { promise: async () => [{ uri: 'https://updated-uri' }] },
+      ]),
+    },
+  };
+}
+
+async function loadDeployer(ensureProjectIamBinding = () => Promise.resolve()) {
+  return esmock(
+    '../../../lib/deployment/deployer.js',
+    {},
+    {
+      '../../../lib/cloud-api/helpers.js': {
+        callWithRetry: (fn) => fn(),
+        ensureApisEnabled: () => Promise.resolve(),
+      },
+      '../../../lib/util/helpers.js': {
+        logAndProgress: () => Promise.resolve(),
+      },
+      '../../../lib/cloud-api/projects.js': {
+        getProjectNumber: () => Promise.resolve('123'),
+        ensureProjectIamBinding,
+      },
+    }
+  );
+}
+
+describe('deployToCloudRun', () => {
+  it('should create a new service with the given settings', async () => {
+    const context = createContext(null);
+    const { deployToCloudRun } = await loadDeployer();
+
+    const response = await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      true,
+      { env: { FOO: 'bar' } }
+    );
+
+    assert.strictEqual(response.uri, 'https://new-uri');
+    const { calls } = context.runClient.createService.mock;
+    // One dry run and one actual creation
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].arguments[0].validateOnly, true);
+    const { service } = calls[1].arguments[0];
+    assert.strictEqual(service.invokerIamDisabled, true);
+    assert.deepStrictEqual(service.labels, { 'created-by': 'cloud-run-mcp' });
+    assert.deepStrictEqual(service.template.containers, [
+      {
+        image: 'gcr.io/my-project/my-image',
+        env: [{ name: 'FOO', value: 'bar' }],
+      },
+    ]);
+  });
+
+  it('should keep the existing configuration when updating a service', async () => {
+    const existingService = {
+      name: 'projects/my-project/locations/my-region/services/my-service',
+      uri: 'https://existing-uri',
+      latestReadyRevision: 'my-service-00001',
+      labels: { team: 'payments' },
+      invokerIamDisabled: false,
+      template: {
+        revision: 'my-service-00001',
+        serviceAccount: 'runtime@my-project.iam.gserviceaccount.com',
+        scaling: { minInstanceCount: 1, maxInstanceCount: 10 },
+        vpcAccess: { connector: 'my-connector' },
+        containers: [
+          {
+            image: 'gcr.io/my-project/old-image',
+            env: [
+              { name: 'KEEP', value: 'kept' },
+              { name: 'FOO', value: 'old' },
+            ],
+            resources: { limits: { cpu: '2', memory: '1Gi' } },
+          },
+        ],
+      },
+    };
+    const context = createContext(existingService);
+    const { deployToCloudRun } = await loadDeployer();
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/new-image',
+      undefined,
+      true,
+      { env: { FOO: 'new' } }
+    );
+
+    const { calls } = context.runClient.updateService.mock;
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].arguments[0].validateOnly, true);
+    const { service } = calls[1].arguments[0];
+    assert.strictEqual(service.name, existingService.name);
+    assert.strictEqual(service.uri, undefined);
+    assert.strictEqual(service.latestReadyRevision, undefined);
+    assert.strictEqual(service.invokerIamDisabled, false);
+    assert.deepStrictEqual(service.labels, { team: 'payments' });
+    assert.notStrictEqual(service.template.revision, 'my-service-00001');
+    assert.strictEqual(
+      service.template.serviceAccount,
+      'runtime@my-project.iam.gserviceaccount.com'
+    );
+    assert.deepStrictEqual(service.template.scaling, {
+      minInstanceCount: 1,
+      maxInstanceCount: 10,
+    });
+    assert.deepStrictEqual(service.template.vpcAccess, {
+      connector: 'my-connector',
+    });
+    assert.deepStrictEqual(service.template.containers, [
+      {
+        image: 'gcr.io/my-project/new-image',
+        env: [
+          { name: 'KEEP', value: 'kept' },
+          { name: 'FOO', value: 'new' },
+        ],
+        resources: { limits: { cpu: '2', memory: '1Gi' } },
+      },
+    ]);
+    // The existing service object is not modified
+    assert.strictEqual(
+      existingService.template.containers[0].image,
+      'gcr.io/my-project/old-image'
+    );
+  });
+
+  it('should stop when the dry run fails', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async () => {
+      throw new Error('invalid memory value');
+    });
+    const { deployToCloudRun } = await loadDeployer();
+
+    await assert.rejects(
+      () =>
+        deployToCloudRun(
+          context,
+          'my-project',
+          'my-region',
+          'my-service',
+          'gcr.io/my-project/my-image'
+        ),
+      /Dry run validation failed for service my-service: invalid memory value/
+    );
+    assert.strictEqual(context.runClient.createService.mock.callCount(), 1);
+  });
+
+  it('should create secrets and grant the runtime service account access', async () => {
+    const context = createContext(null);
+    context.secretManagerClient = {
+      getSecret: mock.fn(() => Promise.resolve([{}])),
+      addSecretVersion: mock.fn(() =>
+        Promise.resolve([{ name: 'projects/my-project/secrets/db-pass/1' }])
+      ),
+      getIamPolicy: mock.fn(() => Promise.resolve([{ bindings: [] }])),
+      setIamPolicy: mock.fn(() => Promise.resolve([{}])),
+    };
+    const { deployToCloudRun } = await loadDeployer();
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false,
+      {
+        secretValues: { 'db-pass': 'value' },
+        secrets: { DB_PASSWORD: 'db-pass:latest' },
+      }
+    );
+
+    assert.strictEqual(
+      context.secretManagerClient.addSecretVersion.mock.callCount(),
+      1
+    );
+    const { resource, policy } =
+      context.secretManagerClient.setIamPolicy.mock.calls[0].arguments[0];
+    assert.strictEqual(resource, 'projects/my-project/secrets/db-pass');
+    assert.deepStrictEqual(policy.bindings[0].members, [
+      'serviceAccount:123-compute@developer.gserviceaccount.com',
+    ]);
+  });
+
+  it('should create a dedicated service account and check actAs before the dry run', async () => {
+    const context = createContext(null);
+    const notFound = new Error('not found');
+    notFound.response = { status: 404 };
+    context.authClient = {
+      request: mock.fn(async ({ url, method }) => {
+        if (url.endsWith(':testIamPermissions')) {
+          // The dry run must not have happened yet
+          assert.strictEqual(
+            context.runClient.createService.mock.callCount(),
+            0
+          );
+          return { data: { permissions: ['iam.serviceAccounts.actAs'] } };
+        }
+        if (method === 'GET') {
+          throw notFound;
+        }
+        return {
+          data: { email: 'my-service-sa@my-project.iam.gserviceaccount.com' },
+        };
+      }),
+    };
+    const { deployToCloudRun } = await loadDeployer();
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false,
+      { createServiceAccount: true }
+    );
+
+    assert.strictEqual(context.authClient.request.mock.callCount(), 3);
+    const { service } =
+      context.runClient.createService.mock.calls[1].arguments[0];
+    assert.strictEqual(
+      service.template.serviceAccount,
+      'my-service-sa@my-project.iam.gserviceaccount.com'
+    );
+  });
+
+  it('should explain VPC errors returned by the dry run', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async () => {
+      throw new Error('Subnetwork my-subnet not found in europe-west1');
+    });
+    const { deployToCloudRun } = await loadDeployer();
+
+    await assert.rejects(
+      () =>
+        deployToCloudRun(
+          context,
+          'my-project',
+          'my-region',
+          'my-service',
+          'gcr.io/my-project/my-image',
+          undefined,
+          false,
+          { network: 'default', subnet: 'my-subnet' }
+        ),
+      (error) => {
+        assert.match(error.message, /Subnetwork my-subnet not found/);
+        assert.match(
+          error.message,
+          /The VPC settings \(network=default, subnet=my-subnet\) were rejected/
+        );
+        return true;
+      }
+    );
+  });
+
+  it('should grant the Cloud SQL Client role to the runtime service account', async () => {
+    const context = createContext(null);
+    const ensureProjectIamBinding = mock.fn(() => Promise.resolve());
+    const { deployToCloudRun } = await loadDeployer(ensureProjectIamBinding);
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false,
+      { cloudSqlInstances: ['my-project:my-region:db'] }
+    );
+
+    assert.deepStrictEqual(
+      ensureProjectIamBinding.mock.calls[0].arguments.slice(0, 3),
+      [
+        'my-project',
+        'roles/cloudsql.client',
+        'serviceAccount:123-compute@developer.gserviceaccount.com',
+      ]
+    );
+  });
+
+  it('should include the revision logs when the startup probe fails', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async () => [
+      {
+        promise: async () => {
+          throw new Error(
+            'The user-provided container failed the configured startup probe checks.'
+          );
+        },
+      },
+    ]);
+    const getEntries = mock.fn(async () => [
+      [{ data: 'Listening on port 3000' }, { data: 'Connecting to db' }],
+    ]);
+    context.loggingClient = { getEntries };
+    const { deployToCloudRun } = await loadDeployer();
+
+    await assert.rejects(
+      deployToCloudRun(
+        context,
+        'my-project',
+        'my-region',
+        'my-service',
+        'gcr.io/my-project/my-image',
+        undefined,
+        false,
+        { startupProbe: { type: 'http', path: '/ready' } }
+      ),
+      (error) => {
+        assert.match(error.message, /failed its startup probe/);
+        assert.match(
+          error.message,
+          /Last 2 log lines from revision my-service-\d+:\nConnecting to db\nListening on port 3000/
+        );
+        return true;
+      }
+    );
+    assert.match(
+      getEntries.mock.calls[0].arguments[0].filter,
+      /resource.labels.revision_name="my-service-\d+"/
+    );
+  });
+
+  it('should deploy a preview without traffic', async () => {
+    const context = createContext({
+      name: 'projects/my-project/locations/my-region/services/my-service',
+      latestReadyRevision:
+        'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00001',
+      traffic: [
+        { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+      ],
+      template: { containers: [{ image: 'gcr.io/my-project/old-image' }] },
+    });
+    const { deployToCloudRun } = await loadDeployer();
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/new-image',
+      undefined,
+      false,
+      { previewTag: 'pr-123' }
+    );
+
+    const { service } =
+      context.runClient.updateService.mock.calls[1].arguments[0];
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 'my-service-00001',
+        percent: 100,
+      },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: service.template.revision,
+        percent: 0,
+        tag: 'pr-123',
+      },
+    ]);
+  });
+
+  it('should send the traffic pinned by a rollback to the new revision', async () => {
+    const context = createContext({
+      name: 'projects/my-project/locations/my-region/services/my-service',
+      traffic: [
+        {
+          type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+          revision: 'my-service-00001',
+          percent: 100,
+        },
+        {
+          type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+          revision: 'my-service-00002',
+          tag: 'broken',
+        },
+      ],
+      template: { containers: [{ image: 'gcr.io/my-project/old-image' }] },
+    });
+    const { deployToCloudRun } = await loadDeployer();
+
+    await deployToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'gcr.io/my-project/new-image',
+      undefined,
+      false,
+      {}
+    );
+
+    const { service } =
+      context.runClient.updateService.mock.calls[1].arguments[0];
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 'my-service-00002',
+        percent: 0,
+        tag: 'broken',
+      },
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+    ]);
+  });
+
+  it('should refuse to deploy a preview of a new service', async () => {
+    const context = createContext(null);
+    const { deployToCloudRun } = await loadDeployer();
+
+    await assert.rejects(
+      deployToCloudRun(
+        context,
+        'my-project',
+        'my-region',
+        'my-service',
+        'gcr.io/my-project/new-image',
+        undefined,
+        false,
+        { previewTag: 'pr-123' }
+      ),
+      /Preview deployments need an existing service/
+    );
+  });
+});
+
+describe('validateDeployment', () => {
+  it('should dry run the settings with a placeholder image', async () => {
+    const context = createContext(null);
+    const { validateDeployment } = await loadDeployer();
+
+    await validateDeployment(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      undefined,
+      false,
+      { timeoutSeconds: 3600, sessionAffinity: true }
+    );
+
+    const { calls } = context.runClient.createService.mock;
+    assert.strictEqual(calls.length, 1);
+    const { service, validateOnly } = calls[0].arguments[0];
+    assert.strictEqual(validateOnly, true);
+    assert.strictEqual(
+      service.template.containers[0].image,
+      'us-docker.pkg.dev/cloudrun/container/hello'
+    );
+    assert.deepStrictEqual(service.template.timeout, { seconds: 3600 });
+  });
+
+  it('should reject invalid settings', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async () => {
+      const error = new Error('timeout must be at most 3600 seconds');
+      error.code = 3;
+      throw error;
+    });
+    const { validateDeployment } = await loadDeployer();
+
+    await assert.rejects(
+      validateDeployment(
+        context,
+        'my-project',
+        'my-region',
+        'my-service',
+        undefined,
+        false,
+        { timeoutSeconds: 7200 }
+      ),
+      /Dry run validation failed for service my-service/
+    );
+  });
+
+  it('should not create the service account, secrets or IAM bindings', async () => {
+    const context = createContext(null);
+    context.authClient = { request: mock.fn() };
+    context.secretManagerClient = {
+      addSecretVersion: mock.fn(),
+      setIamPolicy: mock.fn(),
+    };
+    const ensureProjectIamBinding = mock.fn(() => Promise.resolve());
+    const { validateDeployment } = await loadDeployer(ensureProjectIamBinding);
+
+    await validateDeployment(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      undefined,
+      false,
+      {
+        createServiceAccount: true,
+        secretValues: { 'db-pass': 'value' },
+        secrets: { DB_PASSWORD: 'db-pass:latest' },
+        cloudSqlInstances: ['my-project:my-region:my-db'],
+      }
+    );
+
+    assert.strictEqual(context.authClient.request.mock.callCount(), 0);
+    assert.strictEqual(
+      context.secretManagerClient.addSecretVersion.mock.callCount(),
+      0
+    );
+    assert.strictEqual(
+      context.secretManagerClient.setIamPolicy.mock.callCount(),
+      0
+    );
+    assert.strictEqual(ensureProjectIamBinding.mock.callCount(), 0);
+    const { service } =
+      context.runClient.createService.mock.calls[0].arguments[0];
+    assert.strictEqual(service.template.serviceAccount, undefined);
+  });
+});
+
+describe('validateDeploymentInRegions', () => {
+  it('should report the region whose settings are rejected', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async ({ parent }) => {
+      if (parent.endsWith('/other-region')) {
+        const error = new Error('memory is not supported');
+        error.code = 3;
+        throw error;
+      }
+      return [{ promise: async () => [{}] }];
+    });
+    const { validateDeploymentInRegions } = await loadDeployer();
+    const serviceConfig = { secretValues: {} };
+
+    await assert.rejects(
+      validateDeploymentInRegions(
+        context,
+        'my-project',
+        ['my-region', 'other-region'],
+        'my-service',
+        undefined,
+        false,
+        serviceConfig
+      ),
+      /Invalid settings in region other-region, nothing was deployed/
+    );
+    assert.strictEqual(context.runClient.createService.mock.callCount(), 2);
+    assert.deepStrictEqual(serviceConfig, { secretValues: {} });
+  });
+});
+
+describe('deployToRegions', () => {
+  it('should deploy to every region and report failures per region', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(
+      async ({ parent, validateOnly }) => {
+        if (parent.endsWith('/other-region') && !validateOnly) {
+          throw new Error('quota exceeded');
+        }
+        return [
+          {
+            promise: async () => [
+              { uri: `https://${parent.split('/').pop()}-uri` },
+            ],
+          },
+        ];
+      }
+    );
+    const { deployToRegions } = await loadDeployer();
+
+    const deployments = await deployToRegions(
+      context,
+      'my-project',
+      ['my-region', 'other-region'],
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false
+    );
+
+    assert.deepStrictEqual(deployments, [
+      { region: 'my-region', service: { uri: 'https://my-region-uri' } },
+      { region: 'other-region', error: 'quota exceeded' },
+    ]);
+  });
+
+  it('should create the service account once for all regions', async () => {
+    const context = createContext(null);
+    const notFound = new Error('not found');
+    notFound.response = { status: 404 };
+    context.authClient = {
+      request: mock.fn(async ({ url, method }) => {
+        if (url.endsWith(':testIamPermissions')) {
+          return { data: { permissions: ['iam.serviceAccounts.actAs'] } };
+        }
+        if (method === 'GET') {
+          throw notFound;
+        }
+        return {
+          data: { email: 'my-service-sa@my-project.iam.gserviceaccount.com' },
+        };
+      }),
+    };
+    const { deployToRegions } = await loadDeployer();
+
+    const deployments = await deployToRegions(
+      context,
+      'my-project',
+      ['my-region', 'other-region'],
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false,
+      { createServiceAccount: true }
+    );
+
+    assert.strictEqual(deployments.filter((d) => d.error).length, 0);
+    const requests = context.authClient.request.mock.calls.map(
+      (call) => call.arguments[0]
+    );
+    assert.strictEqual(requests.filter((r) => r.method === 'GET').length, 1);
+    assert.strictEqual(
+      requests.filter((r) => r.url.endsWith('/serviceAccounts')).length,
+      1
+    );
+    for (const call of context.runClient.createService.mock.calls) {
+      assert.strictEqual(
+        call.arguments[0].service.template.serviceAccount,
+        'my-service-sa@my-project.iam.gserviceaccount.com'
+      );
+    }
+  });
+
+  it('should store the secret values and grant access once for all regions', async () => {
+    const context = createContext(null);
+    context.secretManagerClient = {
+      getSecret: mock.fn(() => Promise.resolve([{}])),
+      addSecretVersion: mock.fn(() =>
+        Promise.resolve([{ name: 'projects/my-project/secrets/db-pass/1' }])
+      ),
+      getIamPolicy: mock.fn(() => Promise.resolve([{ bindings: [] }])),
+      setIamPolicy: mock.fn(() => Promise.resolve([{}])),
+    };
+    const ensureProjectIamBinding = mock.fn(() => Promise.resolve());
+    const { deployToRegions } = await loadDeployer(ensureProjectIamBinding);
+
+    const deployments = await deployToRegions(
+      context,
+      'my-project',
+      ['my-region', 'other-region'],
+      'my-service',
+      'gcr.io/my-project/my-image',
+      undefined,
+      false,
+      {
+        secretValues: { 'db-pass': 'value' },
+        secrets: { DB_PASSWORD: 'db-pass:latest' },
+        cloudSqlInstances: ['my-project:my-region:my-db'],
+      }
+    );
+
+    assert.strictEqual(deployments.filter((d) => d.error).length, 0);
+    assert.strictEqual(
+      context.secretManagerClient.addSecretVersion.mock.callCount(),
+      1
+    );
+    assert.strictEqual(
+      context.secretManagerClient.setIamPolicy.mock.callCount(),
+      1
+    );
+    assert.strictEqual(ensureProjectIamBinding.mock.callCount(), 1);
+  });
+});
+
+describe('deleteDeployment', () => {
+  async function loadWithMocks(
+    service,
+    deleteArtifactRegistryPackage,
+    { services = {}, jobs = {} } = {}
+  ) {
+    const deleteService = mock.fn(() => Promise.resolve(service));
+    const { deleteDeployment } = await esmock(
+      '../../../lib/deployment/deployer.js',
+      {},
+      {
+        '../../../lib/util/helpers.js': {
+          logAndProgress: () => Promise.resolve(),
+        },
+        '../../../lib/cloud-api/run.js': {
+          getService: () => Promise.resolve(service),
+          listRevisions: () =>
+            Promise.resolve([
+              {
+                name: 'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00002',
+              },
+              {
+                name: 'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00001',
+              },
+            ]),
+          deleteService,
+          listServices: () => Promise.resolve(services),
+          listJobs: () => Promise.resolve(jobs),
+        },
+        '../../../lib/cloud-api/registry.js': {
+          deleteArtifactRegistryPackage,
+        },
+      }
+    );
+    return { deleteDeployment, deleteService };
+  }
+
+  it('should delete the service and report its revisions', async () => {
+    const deleteArtifactRegistryPackage = mock.fn();
+    const { deleteDeployment, deleteService } = await loadWithMocks(
+      { uri: 'https://my-service.run.app' },
+      deleteArtifactRegistryPackage
+    );
+
+    const result = await deleteDeployment({
+      projectId: 'my-project',
+      serviceName: 'my-service',
+      region: 'my-region',
+    });
+
+    assert.deepStrictEqual(deleteService.mock.calls[0].arguments, [
+      'my-project',
+      'my-region',
+      'my-service',
+    ]);
+    assert.deepStrictEqual(result.revisions, [
+      'my-service-00002',
+      'my-service-00001',
+    ]);
+    assert.strictEqual(result.imageDeleted, false);
+    assert.strictEqual(deleteArtifactRegistryPackage.mock.callCount(), 0);
+  });
+
+  it('should delete the image from the deployments repository', async () => {
+    const deleteArtifactRegistryPackage = mock.fn(() => Promise.resolve(true));
+    const { deleteDeployment } = await loadWithMocks(
+      { uri: 'https://my-service.run.app' },
+      deleteArtifactRegistryPackage
+    );
+
+    const result = await deleteDeployment({
+      projectId: 'my-project',
+      serviceName: 'my-service',
+      region: 'my-region',
+      deleteImage: true,
+    });
+
+    assert.deepStrictEqual(
+      deleteArtifactRegistryPackage.mock.calls[0].arguments.slice(1, 5),
+      ['my-project', 'my-region', 'mcp-cloud-run-deployments', 'my-service']
+    );
+    assert.strictEqual(result.imageDeleted, true);
+  });
+
+  it('should delete the image from the region where it was built', async () => {
+    const deleteArtifactRegistryPackage = mock.fn(() => Promise.resolve(true));
+    const { deleteDeployment } = await loadWithMocks(
+      {
+        name: 'projects/my-project/locations/my-region/services/my-service',
+        template: {
+          containers: [
+            {
+              image:
+                'build-region-docker.pkg.dev/my-project/mcp-cloud-run-deployments/my-service@sha256:abc',
+            },
+          ],
+        },
+      },
+      deleteArtifactRegistryPackage,
+      {
+        services: {
+          'my-region': [
+            {
+              name: 'projects/my-project/locations/my-region/services/my-service',
+              template: {
+                containers: [
+                  {
+                    image:
+                      'build-region-docker.pkg.dev/my-project/mcp-cloud-run-deployments/my-service@sha256:abc',
+                  },
+                ],
+              },
+            },
+          ],
+        },
+        jobs: {
+          'my-region': [
+            {
+              name: 'projects/my-project/locations/my-region/jobs/my-service',
+              template: {
+                template: {
+                  containers: [
+                    {
+                      image:
+                        'my-region-docker.pkg.dev/my-project/mcp-cloud-run-deployments/jobs/my-service:latest',
+                    },
+                  ],
+                },
+              },
+            },
+          ],
+        },
+      }
+    );
+
+    const result = await deleteDeployment({
+      projectId: 'my-project',
+      serviceName: 'my-service',
+      region: 'my-region',
+      deleteImage: true,
+    });
+
+    assert.deepStrictEqual(
+      deleteArtifactRegistryPackage.mock.calls[0].arguments.slice(1, 5),
+      ['my-project', 'build-region', 'mcp-cloud-run-deployments', 'my-service']
+    );
+    assert.strictEqual(result.imageDeleted, true);
+  });
+
+  it('should keep an image that another service or job still uses', async () => {
+    const image =
+      'my-region-docker.pkg.dev/my-project/mcp-cloud-run-deployments/my-service:latest';
+    const deleteArtifactRegistryPackage = mock.fn();
+    const { deleteDeployment, deleteService } = await loadWithMocks(
+      {
+        name: 'projects/my-project/locations/my-region/services/my-service',
+        template: { containers: [{ image }] },
+      },
+      deleteArtifactRegistryPackage,
+      {
+        services: {
+          'other-region': [
+            {
+              name: 'projects/my-project/locations/other-region/services/my-service',
+              template: { containers: [{ image }] },
+            },
+          ],
+        },
+        jobs: {
+          'my-region': [
+            {
+              name: 'projects/my-project/locations/my-region/jobs/backfill',
+              template: { template: { containers: [{ image }] } },
+            },
+          ],
+        },
+      }
+    );
+
+    const result = await deleteDeployment({
+      projectId: 'my-project',
+      serviceName: 'my-service',
+      region: 'my-region',
+      deleteImage: true,
+    });
+
+    assert.strictEqual(deleteService.mock.callCount(), 1);
+    assert.strictEqual(deleteArtifactRegistryPackage.mock.callCount(), 0);
+    assert.strictEqual(result.imageDeleted, false);
+    assert.deepStrictEqual(result.imageUsers, [
+      'service my-service (other-region)',
+      'job backfill (my-region)',
+    ]);
+  });
+
+  it('should report the deleted service when the image deletion fails', async () => {
+    const { deleteDeployment, deleteService } = await loadWithMocks(
+      { uri: 'https://my-service.run.app' },
+      mock.fn(() => Promise.reject(new Error('permission denied')))
+    );
+
+    const result = await deleteDeployment({
+      projectId: 'my-project',
+      serviceName: 'my-service',
+      region: 'my-region',
+      deleteImage: true,
+    });
+
+    assert.strictEqual(deleteService.mock.callCount(), 1);
+    assert.deepStrictEqual(result, {
+      service: { uri: 'https://my-service.run.app' },
+      revisions: ['my-service-00002', 'my-service-00001'],
+      imageDeleted: false,
+      imageUsers: undefined,
+      imageError: 'permission denied',
+    });
+  });
+
+  it('should fail if the service does not exist', async () => {
+    const { deleteDeployment, deleteService } = await loadWithMocks(
+      null,
+      mock.fn()
+    );
+
+    await assert.rejects(
+      deleteDeployment({
+        projectId: 'my-project',
+        serviceName: 'my-service',
+        region: 'my-region',
+      }),
+      /Service my-service does not exist/
+    );
+    assert.strictEqual(deleteService.mock.callCount(), 0);
+  });
+});
+
+describe('applyServiceDefinition', () => {
+  it('should replace an existing service after a dry run', async () => {
+    const context = createContext({
+      template: { containers: [{ image: 'old-image' }] },
+      labels: { 'created-by': 'cloud-run-mcp' },
+    });
+    const { applyServiceDefinition } = await loadDeployer();
+
+    const response = await applyServiceDefinition(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      {
+        labels: { team: 'web' },
+        template: { containers: [{ image: 'new-image' }] },
+      }
+    );
+
+    assert.strictEqual(response.uri, 'https://updated-uri');
+    const calls = context.runClient.updateService.mock.calls;
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].arguments[0].validateOnly, true);
+    const { service } = calls[1].arguments[0];
+    assert.strictEqual(
+      service.name,
+      'projects/my-project/locations/my-region/services/my-service'
+    );
+    assert.deepStrictEqual(service.labels, { team: 'web' });
+    assert.strictEqual(service.template.containers[0].image, 'new-image');
+    assert.match(service.template.revision, /^my-service-\d+$/);
+  });
+
+  it('should create a missing service with the revision name of the definition', async () => {
+    const context = createContext(null);
+    const { applyServiceDefinition } = await loadDeployer();
+
+    await applyServiceDefinition(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      {
+        template: {
+          revision: 'my-service-v1',
+          containers: [{ image: 'new-image' }],
+        },
+      }
+    );
+
+    const calls = context.runClient.createService.mock.calls;
+    assert.strictEqual(calls.length, 2);
+    assert.strictEqual(calls[0].arguments[0].validateOnly, true);
+    assert.strictEqual(calls[1].arguments[0].serviceId, 'my-service');
+    assert.strictEqual(
+      calls[1].arguments[0].service.template.revision,
+      'my-service-v1'
+    );
+  });
+
+  it('should not apply a definition rejected by the dry run', async () => {
+    const context = createContext(null);
+    context.runClient.createService = mock.fn(async () => {
+      const error = new Error('invalid container image');
+      error.code = 3;
+      throw error;
+    });
+    const { applyServiceDefinition } = await loadDeployer();
+
+    await assert.rejects(
+      applyServiceDefinition(context, 'my-project', 'my-region', 'my-service', {
+        template: { containers: [{ image: 'bad image' }] },
+      }),
+      /Dry run validation failed for service my-service: invalid container image/
+    );
+    assert.strictEqual(context.runClient.createService.mock.callCount(), 1);
+  });
+});
+
+describe('planDeployment', () => {
+  function addServiceUsage(context, disabledApis = []) {
+    context.serviceUsageClient = {
+      getService: mock.fn(async ({ name }) => [
+        {
+          state: disabledApis.some((api) => name.endsWith(api))
+            ? 'DISABLED'
+            : 'ENABLED',
+        },
+      ]),
+    };
+    return context;
+  }
+
+  it('should validate the planned service without changing anything', async () => {
+    const context = addServiceUsage(
+      createContext({
+        template: {
+          containers: [
+            { image: 'old-image', env: [{ name: 'A', value: '1' }] },
+          ],
+        },
+      })
+    );
+    const { planDeployment } = await loadDeployer();
+
+    const plan = await planDeployment(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'new-image',
+      undefined,
+      false,
+      { env: { B: '2' }, secrets: { API_KEY: 'api-key' } },
+      ['run.googleapis.com', 'secretmanager.googleapis.com']
+    );
+
+    const calls = context.runClient.updateService.mock.calls;
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].arguments[0].validateOnly, true);
+    assert.strictEqual(plan.exists, true);
+    assert.deepStrictEqual(plan.disabledApis, []);
+    assert.deepStrictEqual(plan.dryRun, { status: 'passed' });
+    assert.strictEqual(
+      plan.currentService.template.containers[0].image,
+      'old-image'
+    );
+    assert.strictEqual(plan.service.template.containers[0].image, 'new-image');
+    assert.deepStrictEqual(plan.actions, [
+      'Grant serviceAccount:123-compute@developer.gserviceaccount.com access to secret api-key.',
+    ]);
+  });
+
+  it('should report a failed dry run instead of throwing', async () => {
+    const context = addServiceUsage(createContext(null));
+    context.runClient.createService = mock.fn(async () => {
+      const error = new Error('memory must be at most 32Gi');
+      error.code = 3;
+      throw error;
+    });
+    const { planDeployment } = await loadDeployer();
+
+    const plan = await planDeployment(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'my-image',
+      undefined,
+      false,
+      { memory: '64Gi' }
+    );
+
+    assert.strictEqual(plan.exists, false);
+    assert.strictEqual(plan.dryRun.status, 'failed');
+    assert.match(plan.dryRun.message, /memory must be at most 32Gi/);
+  });
+
+  it('should skip the service checks while the Cloud Run API is disabled', async () => {
+    const context = addServiceUsage(createContext(null), [
+      'run.googleapis.com',
+    ]);
+    const { planDeployment } = await loadDeployer();
+
+    const plan = await planDeployment(
+      context,
+      'my-project',
+      'my-region',
+      'my-service',
+      'my-image'
+    );
+
+    assert.deepStrictEqual(plan.disabledApis, ['run.googleapis.com']);
+    assert.strictEqual(plan.dryRun.status, 'skipped');
+    assert.strictEqual(context.runClient.getService.mock.callCount(), 0);
+    assert.strictEqual(context.runClient.createService.mock.callCount(), 0);
+  });
+});
+
+describe('detectDockerfile', () => {
+  it('should find a Dockerfile in file contents and file paths', async () => {
+    const { detectDockerfile } = await loadDeployer();
+
+    assert.strictEqual(
+      await detectDockerfile([
+        { filename: 'index.js', content: '' },
+        { filename: 'app/dockerfile', content: 'FROM node:20' },
+      ]),
+      true
+    );
+    assert.strictEqual(
+      await detectDockerfile([
+        '/home/user/app/index.js',
+        '/home/user/app/Procfile',
+      ]),
+      false
+    );
+  });
+});
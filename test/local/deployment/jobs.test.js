@@ -0,0 +1,196 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+/**
+ * Creates a context with a fake Cloud Run JobsClient.
+ * @param {object|null} existingJob - The job returned by getJob, or null if it does not exist.
+ */
+function createContext(existingJob) {
+  return {
+    jobsClient: {
+      locationPath: (project, location) =>
+        `projects/${project}/locations/${location}`,
+      jobPath: (project, location, job) =>
+        `projects/${project}/locations/${location}/jobs/${job}`,
+      getJob: mock.fn(async () => {
+        if (!existingJob) {
+          const error = new Error('not found');
+          error.code = 5;
+          throw error;
+        }
+        return [existingJob];
+      }),
+      createJob: mock.fn(async ({ job }) => [{ promise: async () => [job] }]),
+      updateJob: mock.fn(async ({ job }) => [{ promise: async () => [job] }]),
+    },
+  };
+}
+
+async function loadJobs() {
+  return esmock(
+    '../../../lib/deployment/jobs.js',
+    {},
+    {
+      '../../../lib/cloud-api/helpers.js': {
+        callWithRetry: (fn) => fn(),
+        ensureApisEnabled: () => Promise.resolve(),
+      },
+      '../../../lib/util/helpers.js': {
+        logAndProgress: () => Promise.resolve(),
+      },
+    }
+  );
+}
+
+describe('deployJobToCloudRun', () => {
+  it('should create a new job with the given settings', async () => {
+    const context = createContext(null);
+    const { deployJobToCloudRun } = await loadJobs();
+
+    await deployJobToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'nightly-report',
+      'gcr.io/my-project/report',
+      {
+        taskCount: 10,
+        parallelism: 3,
+        maxRetries: 1,
+        taskTimeoutSeconds: 3600,
+        env: { REPORT_DATE: 'yesterday' },
+        args: ['--format', 'pdf'],
+      }
+    );
+
+    const request = context.jobsClient.createJob.mock.calls[0].arguments[0];
+    assert.strictEqual(
+      request.parent,
+      'projects/my-project/locations/my-region'
+    );
+    assert.strictEqual(request.jobId, 'nightly-report');
+    assert.deepStrictEqual(request.job, {
+      labels: { 'created-by': 'cloud-run-mcp' },
+      template: {
+        taskCount: 10,
+        parallelism: 3,
+        template: {
+          containers: [
+            {
+              image: 'gcr.io/my-project/report',
+              env: [{ name: 'REPORT_DATE', value: 'yesterday' }],
+              args: ['--format', 'pdf'],
+            },
+          ],
+          maxRetries: 1,
+          timeout: { seconds: 3600 },
+        },
+      },
+    });
+    assert.strictEqual(context.jobsClient.updateJob.mock.callCount(), 0);
+  });
+
+  it('should update an existing job and keep its other settings', async () => {
+    const context = createContext({
+      name: 'projects/my-project/locations/my-region/jobs/etl',
+      uid: 'job-uid',
+      executionCount: 12,
+      labels: { team: 'data' },
+      template: {
+        taskCount: 4,
+        template: {
+          containers: [
+            {
+              image: 'gcr.io/my-project/etl:old',
+              env: [
+                { name: 'SOURCE', value: 'bigquery' },
+                { name: 'DEBUG', value: 'true' },
+              ],
+              args: ['--full'],
+            },
+          ],
+          maxRetries: 3,
+        },
+      },
+    });
+    const { deployJobToCloudRun } = await loadJobs();
+
+    const response = await deployJobToCloudRun(
+      context,
+      'my-project',
+      'my-region',
+      'etl',
+      'gcr.io/my-project/etl:new',
+      { maxRetries: 0, env: { DEBUG: 'false' } }
+    );
+
+    assert.strictEqual(context.jobsClient.createJob.mock.callCount(), 0);
+    const { job } = context.jobsClient.updateJob.mock.calls[0].arguments[0];
+    assert.strictEqual(job, response);
+    assert.strictEqual(
+      job.name,
+      'projects/my-project/locations/my-region/jobs/etl'
+    );
+    assert.strictEqual(job.uid, undefined);
+    assert.strictEqual(job.executionCount, undefined);
+    assert.deepStrictEqual(job.labels, { team: 'data' });
+    assert.strictEqual(job.template.taskCount, 4);
+    assert.deepStrictEqual(job.template.template, {
+      containers: [
+        {
+          image: 'gcr.io/my-project/etl:new',
+          env: [
+            { name: 'SOURCE', value: 'bigquery' },
+            { name: 'DEBUG', value: 'false' },
+          ],
+          args: ['--full'],
+        },
+      ],
+      maxRetries: 0,
+    });
+  });
+
+  it('should report errors other than a missing job', async () => {
+    const context = createContext(null);
+    context.jobsClient.getJob = async () => {
+      throw new Error('permission denied');
+    };
+    const { deployJobToCloudRun } = await loadJobs();
+
+    await assert.rejects(
+      deployJobToCloudRun(
+        context,
+        'my-project',
+        'my-region',
+        'etl',
+        'gcr.io/my-project/etl',
+        {}
+      ),
+      /permission denied/
+    );
+    assert.strictEqual(context.jobsClient.createJob.mock.callCount(), 0);
+  });
+});
+
+describe('getJobImageUrl', () => {
+  it('should not share the image of a service with the same name', async () => {
+    const { getJobImageUrl } = await loadJobs();
+
+    assert.strictEqual(
+      getJobImageUrl('my-project', 'my-region', 'etl'),
+      'my-region-docker.pkg.dev/my-project/mcp-cloud-run-deployments/jobs/etl:latest'
+    );
+  });
+});
+
+describe('deployJob', () => {
+  it('should require files or an image', async () => {
+    const { deployJob } = await loadJobs();
+
+    await assert.rejects(
+      deployJob({ projectId: 'my-project', jobName: 'etl', region: 'r' }),
+      /files or imageUrl is required/
+    );
+  });
+});
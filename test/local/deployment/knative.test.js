@@ -0,0 +1,340 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  fromKnativeService,
+  serviceFromYaml,
+  serviceToYaml,
+  toKnativeService,
+} from '../../../lib/deployment/knative.js';
+
+/**
+ * A service as returned by the Cloud Run API, with output-only fields and empty default values.
+ */
+function apiService() {
+  return {
+    name: 'projects/my-project/locations/my-region/services/my-service',
+    uid: '1234',
+    generation: '3',
+    uri: 'https://my-service.run.app',
+    description: '',
+    labels: { team: 'web', 'cloud.googleapis.com/location': 'my-region' },
+    annotations: { 'run.googleapis.com/operation-id': 'abc' },
+    ingress: 'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER',
+    invokerIamDisabled: true,
+    latestReadyRevision:
+      'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00003',
+    template: {
+      revision: 'my-service-00003',
+      labels: {},
+      annotations: {},
+      serviceAccount: 'sa@my-project.iam.gserviceaccount.com',
+      timeout: { seconds: '600', nanos: 0 },
+      maxInstanceRequestConcurrency: 40,
+      executionEnvironment: 'EXECUTION_ENVIRONMENT_GEN2',
+      sessionAffinity: false,
+      scaling: { minInstanceCount: 1, maxInstanceCount: 10 },
+      vpcAccess: {
+        connector: '',
+        egress: 'PRIVATE_RANGES_ONLY',
+        networkInterfaces: [
+          { network: 'default', subnetwork: 'my-subnet', tags: [] },
+        ],
+      },
+      containers: [
+        {
+          name: 'app',
+          image: 'my-image',
+          command: [],
+          args: ['--verbose'],
+          env: [
+            { name: 'MODE', value: 'prod', valueSource: null },
+            {
+              name: 'API_KEY',
+              value: '',
+              valueSource: {
+                secretKeyRef: { secret: 'api-key', version: '2' },
+              },
+            },
+          ],
+          ports: [{ name: 'http1', containerPort: 8080 }],
+          resources: {
+            limits: { cpu: '1', memory: '512Mi' },
+            cpuIdle: false,
+            startupCpuBoost: true,
+          },
+          volumeMounts: [
+            { name: 'cloudsql', mountPath: '/cloudsql' },
+            { name: 'data', mountPath: '/data' },
+          ],
+          startupProbe: {
+            initialDelaySeconds: 0,
+            timeoutSeconds: 240,
+            periodSeconds: 240,
+            failureThreshold: 1,
+            httpGet: null,
+            tcpSocket: { port: 8080 },
+            grpc: null,
+          },
+          dependsOn: ['proxy'],
+        },
+        { name: 'proxy', image: 'proxy-image', ports: [] },
+      ],
+      volumes: [
+        {
+          name: 'cloudsql',
+          cloudSqlInstance: { instances: ['my-project:my-region:db'] },
+        },
+        { name: 'data', gcs: { bucket: 'my-bucket', readOnly: true } },
+      ],
+    },
+    traffic: [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST',
+        revision: '',
+        percent: 90,
+        tag: '',
+      },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 'my-service-00002',
+        percent: 10,
+        tag: 'stable',
+      },
+    ],
+  };
+}
+
+describe('toKnativeService', () => {
+  it('should convert a service to the Knative format', () => {
+    const definition = toKnativeService(apiService());
+
+    assert.deepStrictEqual(definition, {
+      apiVersion: 'serving.knative.dev/v1',
+      kind: 'Service',
+      metadata: {
+        name: 'my-service',
+        labels: { team: 'web' },
+        annotations: {
+          'run.googleapis.com/ingress': 'internal-and-cloud-load-balancing',
+          'run.googleapis.com/invoker-iam-disabled': 'true',
+        },
+      },
+      spec: {
+        template: {
+          metadata: {
+            annotations: {
+              'autoscaling.knative.dev/minScale': '1',
+              'autoscaling.knative.dev/maxScale': '10',
+              'run.googleapis.com/execution-environment': 'gen2',
+              'run.googleapis.com/cpu-throttling': 'false',
+              'run.googleapis.com/startup-cpu-boost': 'true',
+              'run.googleapis.com/vpc-access-egress': 'private-ranges-only',
+              'run.googleapis.com/network-interfaces':
+                '[{"network":"default","subnetwork":"my-subnet"}]',
+              'run.googleapis.com/cloudsql-instances':
+                'my-project:my-region:db',
+              'run.googleapis.com/container-dependencies': '{"app":["proxy"]}',
+            },
+          },
+          spec: {
+            containerConcurrency: 40,
+            timeoutSeconds: 600,
+            serviceAccountName: 'sa@my-project.iam.gserviceaccount.com',
+            containers: [
+              {
+                name: 'app',
+                image: 'my-image',
+                args: ['--verbose'],
+                env: [
+                  { name: 'MODE', value: 'prod' },
+                  {
+                    name: 'API_KEY',
+                    valueFrom: { secretKeyRef: { name: 'api-key', key: '2' } },
+                  },
+                ],
+                ports: [{ name: 'http1', containerPort: 8080 }],
+                resources: { limits: { cpu: '1', memory: '512Mi' } },
+                volumeMounts: [{ name: 'data', mountPath: '/data' }],
+                startupProbe: {
+                  tcpSocket: { port: 8080 },
+                  periodSeconds: 240,
+                  timeoutSeconds: 240,
+                  failureThreshold: 1,
+                },
+              },
+              { name: 'proxy', image: 'proxy-image' },
+            ],
+            volumes: [
+              {
+                name: 'data',
+                csi: {
+                  driver: 'gcsfuse.run.googleapis.com',
+                  readOnly: true,
+                  volumeAttributes: { bucketName: 'my-bucket' },
+                },
+              },
+            ],
+          },
+        },
+        traffic: [
+          { percent: 90, latestRevision: true },
+          { revisionName: 'my-service-00002', percent: 10, tag: 'stable' },
+        ],
+      },
+    });
+  });
+
+  it('should produce YAML that converts back to the same service', () => {
+    const { serviceId, service } = serviceFromYaml(serviceToYaml(apiService()));
+
+    assert.strictEqual(serviceId, 'my-service');
+    assert.strictEqual(service.uri, undefined);
+    assert.strictEqual(service.template.revision, undefined);
+    assert.deepStrictEqual(service.labels, { team: 'web' });
+    assert.strictEqual(
+      service.ingress,
+      'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER'
+    );
+    assert.strictEqual(service.invokerIamDisabled, true);
+    assert.deepStrictEqual(service.template.timeout, { seconds: 600 });
+    assert.deepStrictEqual(service.template.scaling, {
+      minInstanceCount: 1,
+      maxInstanceCount: 10,
+    });
+    assert.deepStrictEqual(service.template.vpcAccess, {
+      egress: 'PRIVATE_RANGES_ONLY',
+      networkInterfaces: [{ network: 'default', subnetwork: 'my-subnet' }],
+    });
+
+    const [app, proxy] = service.template.containers;
+    assert.deepStrictEqual(app.env[1], {
+      name: 'API_KEY',
+      valueSource: { secretKeyRef: { secret: 'api-key', version: '2' } },
+    });
+    assert.deepStrictEqual(app.resources, {
+      limits: { cpu: '1', memory: '512Mi' },
+      cpuIdle: false,
+      startupCpuBoost: true,
+    });
+    assert.deepStrictEqual(app.dependsOn, ['proxy']);
+    assert.deepStrictEqual(app.volumeMounts, [
+      { name: 'data', mountPath: '/data' },
+      { name: 'cloudsql', mountPath: '/cloudsql' },
+    ]);
+    assert.deepStrictEqual(proxy, { name: 'proxy', image: 'proxy-image' });
+    assert.deepStrictEqual(service.template.volumes, [
+      { name: 'data', gcs: { bucket: 'my-bucket', readOnly: true } },
+      {
+        name: 'cloudsql',
+        cloudSqlInstance: { instances: ['my-project:my-region:db'] },
+      },
+    ]);
+    assert.deepStrictEqual(service.traffic, [
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 90 },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 'my-service-00002',
+        percent: 10,
+        tag: 'stable',
+      },
+    ]);
+  });
+});
+
+describe('fromKnativeService', () => {
+  it('should ignore system annotations and keep the revision name', () => {
+    const { service } = fromKnativeService({
+      apiVersion: 'serving.knative.dev/v1',
+      kind: 'Service',
+      metadata: {
+        name: 'my-service',
+        annotations: {
+          'run.googleapis.com/launch-stage': 'BETA',
+          'serving.knative.dev/creator': 'someone@example.com',
+          owner: 'web-team',
+        },
+      },
+      spec: {
+        template: {
+          metadata: {
+            name: 'my-service-v2',
+            annotations: { 'run.googleapis.com/sessionAffinity': 'true' },
+          },
+          spec: {
+            containers: [
+              {
+                image: 'my-image',
+                env: [{ name: 'PORT_OFFSET', value: 1 }],
+              },
+            ],
+            volumes: [
+              { name: 'tmp', emptyDir: { medium: 'Memory', sizeLimit: '1Gi' } },
+            ],
+          },
+        },
+      },
+    });
+
+    assert.deepStrictEqual(service, {
+      annotations: { owner: 'web-team' },
+      invokerIamDisabled: false,
+      template: {
+        revision: 'my-service-v2',
+        sessionAffinity: true,
+        containers: [
+          { image: 'my-image', env: [{ name: 'PORT_OFFSET', value: '1' }] },
+        ],
+        volumes: [
+          { name: 'tmp', emptyDir: { medium: 'MEMORY', sizeLimit: '1Gi' } },
+        ],
+      },
+    });
+  });
+
+  it('should reject definitions that are not Knative services', () => {
+    assert.throws(
+      () =>
+        fromKnativeService({
+          apiVersion: 'apps/v1',
+          kind: 'Deployment',
+          metadata: { name: 'my-service' },
+        }),
+      /Expected a service definition with apiVersion "serving.knative.dev\/v1"/
+    );
+  });
+
+  it('should reject definitions without containers', () => {
+    assert.throws(
+      () =>
+        fromKnativeService({
+          apiVersion: 'serving.knative.dev/v1',
+          kind: 'Service',
+          metadata: { name: 'my-service' },
+          spec: { template: { spec: {} } },
+        }),
+      /no containers/
+    );
+  });
+
+  it('should reject invalid annotation values', () => {
+    assert.throws(
+      () =>
+        fromKnativeService({
+          apiVersion: 'serving.knative.dev/v1',
+          kind: 'Service',
+          metadata: {
+            name: 'my-service',
+            annotations: { 'run.googleapis.com/ingress': 'public' },
+          },
+          spec: { template: { spec: { containers: [{ image: 'my-image' }] } } },
+        }),
+      /Invalid value "public" for annotation run.googleapis.com\/ingress/
+    );
+  });
+});
+
+describe('serviceFromYaml', () => {
+  it('should report invalid YAML', () => {
+    assert.throws(() => serviceFromYaml('metadata: [unclosed'), /Invalid YAML/);
+  });
+});
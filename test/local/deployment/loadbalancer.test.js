@@ -0,0 +1,168 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+
+/**
+ * Loads the load balancer module with fake Compute Engine helpers.
+ * @param {Object<string, object|null>} services - The Cloud Run service of each region, or null if it is not deployed there.
+ * @param {string[]} [certificateDomains] - The domains of the existing certificate, if any.
+ */
+async function loadLoadBalancer(services, certificateDomains) {
+  const ensureServerlessNeg = mock.fn(
+    async (context, projectId, region, name) => ({ selfLink: `${name}-link` })
+  );
+  const ensureBackendService = mock.fn(
+    async (context, projectId, name, negSelfLinks, enableCdn) => ({
+      selfLink: 'backend-link',
+      enableCDN: enableCdn,
+    })
+  );
+  const ensureManagedSslCertificate = mock.fn(
+    async (context, projectId, name, domains) => ({
+      selfLink: 'cert-link',
+      managed: {
+        domains: certificateDomains || domains,
+        status: 'PROVISIONING',
+      },
+    })
+  );
+  const ensureGlobalForwardingRule = mock.fn(async () => ({}));
+  const module = await esmock('../../../lib/deployment/loadbalancer.js', {
+    '../../../lib/cloud-api/run.js': {
+      fetchCloudRunService: async (context, projectId, region) =>
+        services[region],
+    },
+    '../../../lib/cloud-api/compute.js': {
+      ensureServerlessNeg,
+      ensureBackendService,
+      ensureUrlMap: async () => ({ selfLink: 'url-map-link' }),
+      ensureManagedSslCertificate,
+      ensureTargetHttpsProxy: async () => ({ selfLink: 'proxy-link' }),
+      ensureGlobalAddress: async () => ({ address: '203.0.113.10' }),
+      ensureGlobalForwardingRule,
+    },
+    '../../../lib/util/helpers.js': {
+      logAndProgress: () => {},
+    },
+  });
+  return {
+    ...module,
+    ensureServerlessNeg,
+    ensureBackendService,
+    ensureGlobalForwardingRule,
+  };
+}
+
+describe('getLoadBalancerResourceName', () => {
+  it('should keep names within 63 characters', async () => {
+    const { getLoadBalancerResourceName } = await loadLoadBalancer({});
+
+    assert.strictEqual(
+      getLoadBalancerResourceName('my-service', 'url-map'),
+      'my-service-url-map'
+    );
+    const name = getLoadBalancerResourceName(
+      'a-very-long-service-name-that-is-almost-fifty-chars',
+      'neg-northamerica-northeast1'
+    );
+    assert.strictEqual(name.length <= 63, true);
+    assert.strictEqual(
+      name,
+      'a-very-long-service-name-that-is-al-neg-northamerica-northeast1'
+    );
+  });
+});
+
+describe('setUpLoadBalancer', () => {
+  it('should wire the regional deployments into the load balancer', async () => {
+    const {
+      setUpLoadBalancer,
+      ensureServerlessNeg,
+      ensureBackendService,
+      ensureGlobalForwardingRule,
+    } = await loadLoadBalancer({
+      'region-a': { ingress: 'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER' },
+      'region-b': { ingress: 'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER' },
+    });
+
+    const result = await setUpLoadBalancer(
+      {},
+      'my-project',
+      'my-service',
+      ['region-a', 'region-b'],
+      ['www.example.com'],
+      true
+    );
+
+    assert.strictEqual(ensureServerlessNeg.mock.callCount(), 2);
+    assert.deepStrictEqual(ensureBackendService.mock.calls[0].arguments[3], [
+      'my-service-neg-region-a-link',
+      'my-service-neg-region-b-link',
+    ]);
+    assert.deepStrictEqual(
+      ensureGlobalForwardingRule.mock.calls[0].arguments.slice(2, 5),
+      ['my-service-https-rule', '203.0.113.10', 'proxy-link']
+    );
+    assert.deepStrictEqual(result, {
+      ipAddress: '203.0.113.10',
+      domains: ['www.example.com'],
+      certificateStatus: 'PROVISIONING',
+      enableCdn: true,
+      resources: {
+        backendService: 'my-service-backend',
+        urlMap: 'my-service-url-map',
+        certificate: 'my-service-cert',
+        targetHttpsProxy: 'my-service-https-proxy',
+        address: 'my-service-ip',
+        forwardingRule: 'my-service-https-rule',
+      },
+      notes: [],
+    });
+  });
+
+  it('should fail before creating anything if a region has no deployment', async () => {
+    const { setUpLoadBalancer, ensureServerlessNeg } = await loadLoadBalancer({
+      'region-a': { ingress: 'INGRESS_TRAFFIC_ALL' },
+      'region-b': null,
+    });
+
+    await assert.rejects(
+      setUpLoadBalancer(
+        {},
+        'my-project',
+        'my-service',
+        ['region-a', 'region-b'],
+        ['www.example.com'],
+        false
+      ),
+      /Service my-service does not exist in project my-project \(region region-b\)/
+    );
+    assert.strictEqual(ensureServerlessNeg.mock.callCount(), 0);
+  });
+
+  it('should warn about public ingress and domains missing from the certificate', async () => {
+    const { setUpLoadBalancer } = await loadLoadBalancer(
+      { 'region-a': { ingress: 'INGRESS_TRAFFIC_ALL' } },
+      ['www.example.com']
+    );
+
+    const result = await setUpLoadBalancer(
+      {},
+      'my-project',
+      'my-service',
+      ['region-a'],
+      ['www.example.com', 'api.example.com'],
+      true
+    );
+
+    assert.strictEqual(result.notes.length, 2);
+    assert.match(
+      result.notes[0],
+      /still reachable on its run.app URL in region-a, bypassing the load balancer and Cloud CDN/
+    );
+    assert.match(
+      result.notes[1],
+      /Certificate my-service-cert already existed and does not cover api.example.com/
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  diffServices,
+  formatDeploymentPlan,
+} from '../../../lib/deployment/plan.js';
+
+function currentService() {
+  return {
+    ingress: 'INGRESS_TRAFFIC_ALL',
+    invokerIamDisabled: false,
+    template: {
+      serviceAccount: '',
+      timeout: { seconds: '300', nanos: 0 },
+      maxInstanceRequestConcurrency: 80,
+      scaling: { minInstanceCount: 0, maxInstanceCount: 100 },
+      containers: [
+        {
+          image: 'old-image',
+          env: [
+            { name: 'MODE', value: 'staging' },
+            { name: 'DEBUG', value: 'true' },
+          ],
+          resources: { limits: { cpu: '1000m', memory: '512Mi' } },
+        },
+      ],
+    },
+    traffic: [{ type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 }],
+  };
+}
+
+describe('diffServices', () => {
+  it('should list the changed image, env, scaling, IAM and traffic settings', () => {
+    const planned = currentService();
+    planned.invokerIamDisabled = true;
+    planned.template.scaling.maxInstanceCount = 5;
+    planned.template.containers[0].image = 'new-image';
+    planned.template.containers[0].env = [
+      { name: 'MODE', value: 'production' },
+      {
+        name: 'API_KEY',
+        valueSource: { secretKeyRef: { secret: 'api-key', version: '2' } },
+      },
+    ];
+    planned.traffic = [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 'my-service-00001',
+        percent: 100,
+      },
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', tag: 'pr-1' },
+    ];
+
+    assert.deepStrictEqual(diffServices(currentService(), planned), {
+      Image: ['~ image: old-image -> new-image'],
+      Env: [
+        '~ MODE: "staging" -> "production"',
+        '- DEBUG: "true"',
+        '+ API_KEY: secret api-key:2',
+      ],
+      Scaling: ['~ maxInstances: 100 -> 5'],
+      IAM: [
+        '~ publicAccess: invoker IAM check -> allowed (invoker IAM check disabled)',
+      ],
+      Traffic: [
+        '~ traffic: 100% to LATEST -> 100% to my-service-00001, 0% to LATEST (tag pr-1)',
+      ],
+    });
+  });
+
+  it('should list every setting of a new service as added', () => {
+    const diff = diffServices(null, {
+      template: { containers: [{ image: 'my-image' }] },
+    });
+
+    assert.deepStrictEqual(diff, {
+      Image: ['+ image: my-image'],
+      IAM: [
+        '+ publicAccess: invoker IAM check',
+        '+ serviceAccount: Compute Engine default service account',
+      ],
+      Traffic: ['+ traffic: 100% to LATEST'],
+    });
+  });
+
+  it('should not report unchanged services', () => {
+    assert.deepStrictEqual(
+      diffServices(currentService(), currentService()),
+      {}
+    );
+  });
+});
+
+describe('formatDeploymentPlan', () => {
+  it('should format the checks, changes and other actions', () => {
+    const service = currentService();
+    service.template.containers[0].image = 'new-image';
+
+    const text = formatDeploymentPlan({
+      projectId: 'my-project',
+      region: 'my-region',
+      serviceName: 'my-service',
+      exists: true,
+      currentService: currentService(),
+      service,
+      disabledApis: ['secretmanager.googleapis.com'],
+      actions: ['Grant serviceAccount:sa access to secret api-key.'],
+      dryRun: { status: 'passed' },
+    });
+
+    assert.strictEqual(
+      text,
+      [
+        'Plan for service my-service in project my-project (region my-region)',
+        'The service exists and would be updated.',
+        'APIs that would be enabled: secretmanager.googleapis.com',
+        'Changes:',
+        '  Image:',
+        '    ~ image: old-image -> new-image',
+        'Other actions:',
+        '  - Grant serviceAccount:sa access to secret api-key.',
+        'Dry run: passed',
+        'Nothing was built or deployed. Deploy again without plan to apply these changes.',
+      ].join('\n')
+    );
+  });
+
+  it('should report a failed dry run', () => {
+    const text = formatDeploymentPlan({
+      projectId: 'my-project',
+      region: 'my-region',
+      serviceName: 'my-service',
+      exists: true,
+      currentService: currentService(),
+      service: currentService(),
+      disabledApis: [],
+      actions: [],
+      dryRun: { status: 'failed', message: 'invalid memory' },
+    });
+
+    assert.match(text, /Changes: none/);
+    assert.match(text, /Dry run: failed: invalid memory/);
+  });
+});
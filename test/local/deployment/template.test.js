@@ -0,0 +1,507 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  mergeEnvVars,
+  applyServiceConfig,
+  prepareServiceUpdate,
+  getConfiguredBuckets,
+  getConfiguredSecrets,
+  getMainContainer,
+} from '../../../lib/deployment/template.js';
+
+function newService() {
+  return { template: { containers: [{ image: 'my-image' }] } };
+}
+
+describe('mergeEnvVars', () => {
+  it('should replace existing variables and append new ones', () => {
+    const merged = mergeEnvVars(
+      [
+        { name: 'KEEP', value: 'kept' },
+        { name: 'REPLACE', value: 'old' },
+      ],
+      { REPLACE: 'new', ADD: 'added' }
+    );
+    assert.deepStrictEqual(merged, [
+      { name: 'KEEP', value: 'kept' },
+      { name: 'REPLACE', value: 'new' },
+      { name: 'ADD', value: 'added' },
+    ]);
+  });
+});
+
+describe('applyServiceConfig', () => {
+  it('should set env vars on the container', () => {
+    const service = applyServiceConfig(newService(), {
+      env: { FOO: 'bar' },
+    });
+    assert.deepStrictEqual(service.template.containers[0].env, [
+      { name: 'FOO', value: 'bar' },
+    ]);
+  });
+
+  it('should leave the service untouched when no settings are given', () => {
+    const service = applyServiceConfig(newService());
+    assert.deepStrictEqual(service, newService());
+  });
+});
+
+describe('prepareServiceUpdate', () => {
+  it('should strip output-only fields and set the new image and revision', () => {
+    const service = prepareServiceUpdate(
+      {
+        name: 'projects/p/locations/r/services/s',
+        uri: 'https://s.run.app',
+        etag: 'etag',
+        trafficStatuses: [{ percent: 100 }],
+        template: {
+          revision: 's-old',
+          containers: [
+            { name: 'sidecar', image: 'sidecar-image' },
+            { name: 'app', image: 'old', ports: [{ containerPort: 8080 }] },
+          ],
+        },
+      },
+      'new',
+      's-new'
+    );
+    assert.deepStrictEqual(service, {
+      name: 'projects/p/locations/r/services/s',
+      etag: 'etag',
+      template: {
+        revision: 's-new',
+        containers: [
+          { name: 'sidecar', image: 'sidecar-image' },
+          { name: 'app', image: 'new', ports: [{ containerPort: 8080 }] },
+        ],
+      },
+    });
+  });
+});
+
+describe('applyServiceConfig resources and scaling', () => {
+  it('should set resources and scaling settings', () => {
+    const service = applyServiceConfig(newService(), {
+      cpu: '2',
+      memory: '1Gi',
+      concurrency: 40,
+      minInstances: 0,
+      maxInstances: 5,
+      cpuThrottling: false,
+      startupCpuBoost: true,
+    });
+    assert.deepStrictEqual(service.template, {
+      containers: [
+        {
+          image: 'my-image',
+          resources: {
+            limits: { cpu: '2', memory: '1Gi' },
+            cpuIdle: false,
+            startupCpuBoost: true,
+          },
+        },
+      ],
+      maxInstanceRequestConcurrency: 40,
+      scaling: { minInstanceCount: 0, maxInstanceCount: 5 },
+    });
+  });
+
+  it('should keep existing limits that are not overridden', () => {
+    const service = newService();
+    service.template.containers[0].resources = {
+      limits: { cpu: '1', memory: '512Mi' },
+    };
+    service.template.scaling = { minInstanceCount: 1, maxInstanceCount: 3 };
+    applyServiceConfig(service, { memory: '2Gi', maxInstances: 10 });
+    assert.deepStrictEqual(service.template.containers[0].resources, {
+      limits: { cpu: '1', memory: '2Gi' },
+    });
+    assert.deepStrictEqual(service.template.scaling, {
+      minInstanceCount: 1,
+      maxInstanceCount: 10,
+    });
+  });
+});
+
+describe('applyServiceConfig secrets', () => {
+  it('should add secret env vars and secret volumes', () => {
+    const service = applyServiceConfig(newService(), {
+      env: { PLAIN: 'value' },
+      secrets: { DB_PASSWORD: 'projects/x/secrets/db-pass:latest' },
+      secretVolumes: { '/secrets/key.json': 'service-key:3' },
+    });
+    assert.deepStrictEqual(service.template, {
+      containers: [
+        {
+          image: 'my-image',
+          env: [
+            { name: 'PLAIN', value: 'value' },
+            {
+              name: 'DB_PASSWORD',
+              valueSource: {
+                secretKeyRef: {
+                  secret: 'projects/x/secrets/db-pass',
+                  version: 'latest',
+                },
+              },
+            },
+          ],
+          volumeMounts: [{ name: 'secret-secrets', mountPath: '/secrets' }],
+        },
+      ],
+      volumes: [
+        {
+          name: 'secret-secrets',
+          secret: {
+            secret: 'service-key',
+            items: [{ path: 'key.json', version: '3' }],
+          },
+        },
+      ],
+    });
+  });
+
+  it('should mount the secret files of a directory with one volume', () => {
+    const service = newService();
+    service.template.containers[0].volumeMounts = [
+      { name: 'secret-secrets-key-json', mountPath: '/secrets' },
+    ];
+    applyServiceConfig(service, {
+      secretVolumes: {
+        '/secrets/key.json': 'service-key:3',
+        '/secrets/key.pem': 'service-key:latest',
+        '/etc/app/token': 'api-token',
+      },
+    });
+    assert.deepStrictEqual(service.template.volumes, [
+      {
+        name: 'secret-secrets',
+        secret: {
+          secret: 'service-key',
+          items: [
+            { path: 'key.json', version: '3' },
+            { path: 'key.pem', version: 'latest' },
+          ],
+        },
+      },
+      {
+        name: 'secret-etc-app',
+        secret: {
+          secret: 'api-token',
+          items: [{ path: 'token', version: 'latest' }],
+        },
+      },
+    ]);
+    assert.deepStrictEqual(service.template.containers[0].volumeMounts, [
+      { name: 'secret-secrets', mountPath: '/secrets' },
+      { name: 'secret-etc-app', mountPath: '/etc/app' },
+    ]);
+  });
+
+  it('should reject files of different secrets in the same directory', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          secretVolumes: {
+            '/secrets/key.json': 'service-key',
+            '/secrets/token': 'api-token',
+          },
+        }),
+      /Secret files in directory "\/secrets" come from different secrets/
+    );
+  });
+
+  it('should reject relative secret file paths', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          secretVolumes: { 'key.json': 'service-key' },
+        }),
+      /Invalid secret file path/
+    );
+  });
+
+  it('should list the configured secrets', () => {
+    assert.deepStrictEqual(
+      getConfiguredSecrets({
+        secrets: { A: 'shared:1', B: 'projects/x/secrets/other' },
+        secretVolumes: { '/secrets/a': 'shared:2' },
+      }),
+      ['shared', 'projects/x/secrets/other']
+    );
+  });
+});
+
+describe('applyServiceConfig VPC access', () => {
+  it('should set Direct VPC egress settings', () => {
+    const service = newService();
+    service.template.vpcAccess = { connector: 'old-connector' };
+    applyServiceConfig(service, {
+      network: 'my-network',
+      subnet: 'my-subnet',
+      vpcEgress: 'all-traffic',
+    });
+    assert.deepStrictEqual(service.template.vpcAccess, {
+      networkInterfaces: [{ network: 'my-network', subnetwork: 'my-subnet' }],
+      egress: 'ALL_TRAFFIC',
+    });
+  });
+
+  it('should set a VPC connector', () => {
+    const service = applyServiceConfig(newService(), {
+      vpcConnector: 'my-connector',
+      vpcEgress: 'private-ranges-only',
+    });
+    assert.deepStrictEqual(service.template.vpcAccess, {
+      connector: 'my-connector',
+      egress: 'PRIVATE_RANGES_ONLY',
+    });
+  });
+
+  it('should reject a connector combined with Direct VPC egress', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          vpcConnector: 'my-connector',
+          network: 'my-network',
+        }),
+      /cannot be combined/
+    );
+  });
+});
+
+describe('applyServiceConfig Cloud SQL', () => {
+  it('should mount the Cloud SQL volume', () => {
+    const service = applyServiceConfig(newService(), {
+      cloudSqlInstances: ['p:europe-west1:db'],
+    });
+    assert.deepStrictEqual(service.template.volumes, [
+      {
+        name: 'cloudsql',
+        cloudSqlInstance: { instances: ['p:europe-west1:db'] },
+      },
+    ]);
+    assert.deepStrictEqual(service.template.containers[0].volumeMounts, [
+      { name: 'cloudsql', mountPath: '/cloudsql' },
+    ]);
+  });
+
+  it('should reject invalid connection names', () => {
+    assert.throws(
+      () => applyServiceConfig(newService(), { cloudSqlInstances: ['db'] }),
+      /Invalid Cloud SQL instance "db"/
+    );
+  });
+});
+
+describe('applyServiceConfig access settings', () => {
+  it('should set ingress and unauthenticated access', () => {
+    const service = applyServiceConfig(newService(), {
+      ingress: 'internal-and-cloud-load-balancing',
+      allowUnauthenticated: false,
+    });
+    assert.strictEqual(
+      service.ingress,
+      'INGRESS_TRAFFIC_INTERNAL_LOAD_BALANCER'
+    );
+    assert.strictEqual(service.invokerIamDisabled, false);
+  });
+
+  it('should reject unknown ingress values', () => {
+    assert.throws(
+      () => applyServiceConfig(newService(), { ingress: 'public' }),
+      /Invalid ingress "public"/
+    );
+  });
+});
+
+describe('applyServiceConfig probes', () => {
+  it('should set startup and liveness probes', () => {
+    const service = applyServiceConfig(newService(), {
+      startupProbe: {
+        type: 'tcp',
+        port: 8080,
+        periodSeconds: 10,
+        failureThreshold: 30,
+      },
+      livenessProbe: {
+        type: 'http',
+        path: '/healthz',
+        initialDelaySeconds: 5,
+      },
+    });
+    const [container] = service.template.containers;
+    assert.deepStrictEqual(container.startupProbe, {
+      tcpSocket: { port: 8080 },
+      periodSeconds: 10,
+      failureThreshold: 30,
+    });
+    assert.deepStrictEqual(container.livenessProbe, {
+      httpGet: { path: '/healthz' },
+      initialDelaySeconds: 5,
+    });
+  });
+
+  it('should set gRPC probes', () => {
+    const service = applyServiceConfig(newService(), {
+      livenessProbe: { type: 'grpc', service: 'health' },
+    });
+    assert.deepStrictEqual(service.template.containers[0].livenessProbe, {
+      grpc: { service: 'health' },
+    });
+  });
+
+  it('should reject TCP liveness probes', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), { livenessProbe: { type: 'tcp' } }),
+      /Liveness probes do not support the "tcp" type/
+    );
+  });
+});
+
+describe('applyServiceConfig container settings', () => {
+  it('should set the container port, command and args', () => {
+    const service = newService();
+    service.template.containers[0].ports = [
+      { name: 'http1', containerPort: 8080 },
+    ];
+    applyServiceConfig(service, {
+      containerPort: 3000,
+      command: ['node'],
+      args: ['server.js', '--verbose'],
+    });
+    const [container] = service.template.containers;
+    assert.deepStrictEqual(container.ports, [
+      { name: 'http1', containerPort: 3000 },
+    ]);
+    assert.deepStrictEqual(container.command, ['node']);
+    assert.deepStrictEqual(container.args, ['server.js', '--verbose']);
+  });
+});
+
+describe('applyServiceConfig sidecars', () => {
+  it('should add sidecars and shared in-memory volumes', () => {
+    const service = applyServiceConfig(newService(), {
+      dependsOn: ['otel-collector'],
+      volumes: [{ name: 'shared', type: 'in-memory', sizeLimit: '64Mi' }],
+      volumeMounts: { shared: '/var/shared' },
+      sidecars: [
+        {
+          name: 'otel-collector',
+          image: 'otel/opentelemetry-collector:latest',
+          env: { LOG_LEVEL: 'info' },
+          memory: '256Mi',
+          volumeMounts: { shared: '/shared' },
+        },
+      ],
+    });
+    assert.deepStrictEqual(service.template.volumes, [
+      { name: 'shared', emptyDir: { medium: 'MEMORY', sizeLimit: '64Mi' } },
+    ]);
+    assert.deepStrictEqual(service.template.containers, [
+      {
+        name: 'app',
+        image: 'my-image',
+        volumeMounts: [{ name: 'shared', mountPath: '/var/shared' }],
+        dependsOn: ['otel-collector'],
+      },
+      {
+        name: 'otel-collector',
+        image: 'otel/opentelemetry-collector:latest',
+        env: [{ name: 'LOG_LEVEL', value: 'info' }],
+        resources: { limits: { memory: '256Mi' } },
+        volumeMounts: [{ name: 'shared', mountPath: '/shared' }],
+      },
+    ]);
+    assert.strictEqual(
+      service.annotations['cloud-run-mcp/main-container'],
+      'app'
+    );
+  });
+
+  it('should keep deploying to the main container when a sidecar receives requests', () => {
+    const service = applyServiceConfig(newService(), {
+      sidecars: [{ name: 'proxy', image: 'nginx:1.27', port: 8080 }],
+    });
+    const update = prepareServiceUpdate(service, 'gcr.io/p/new', 's-new');
+    assert.strictEqual(getMainContainer(update).name, 'app');
+    assert.strictEqual(update.template.containers[0].image, 'gcr.io/p/new');
+    assert.strictEqual(update.template.containers[1].image, 'nginx:1.27');
+  });
+
+  it('should reject sidecars mounting unknown volumes', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          sidecars: [
+            { name: 'proxy', image: 'nginx', volumeMounts: { cache: '/c' } },
+          ],
+        }),
+      /Container "proxy" mounts unknown volume "cache"/
+    );
+  });
+});
+
+describe('applyServiceConfig volumes', () => {
+  it('should mount Cloud Storage buckets in the main container', () => {
+    const config = {
+      volumes: [
+        { name: 'models', type: 'gcs', bucket: 'my-models', readOnly: true },
+        { name: 'scratch', type: 'in-memory' },
+      ],
+      volumeMounts: { models: '/mnt/models', scratch: '/tmp/scratch' },
+    };
+    const service = applyServiceConfig(newService(), config);
+    assert.deepStrictEqual(service.template.volumes, [
+      { name: 'models', gcs: { bucket: 'my-models', readOnly: true } },
+      { name: 'scratch', emptyDir: { medium: 'MEMORY' } },
+    ]);
+    assert.deepStrictEqual(service.template.containers[0].volumeMounts, [
+      { name: 'models', mountPath: '/mnt/models' },
+      { name: 'scratch', mountPath: '/tmp/scratch' },
+    ]);
+    assert.deepStrictEqual(getConfiguredBuckets(config), [
+      { bucket: 'my-models', readOnly: true },
+    ]);
+  });
+
+  it('should reject Cloud Storage volumes without a bucket', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          volumes: [{ name: 'models', type: 'gcs' }],
+        }),
+      /Volume "models" requires a bucket/
+    );
+  });
+});
+
+describe('applyServiceConfig request settings', () => {
+  it('should set the timeout, session affinity and execution environment', () => {
+    const service = applyServiceConfig(newService(), {
+      timeoutSeconds: 3600,
+      sessionAffinity: true,
+      executionEnvironment: 'gen2',
+      maxInstanceRequestConcurrency: 250,
+    });
+    assert.deepStrictEqual(service.template.timeout, { seconds: 3600 });
+    assert.strictEqual(service.template.sessionAffinity, true);
+    assert.strictEqual(
+      service.template.executionEnvironment,
+      'EXECUTION_ENVIRONMENT_GEN2'
+    );
+    assert.strictEqual(service.template.maxInstanceRequestConcurrency, 250);
+  });
+
+  it('should reject conflicting concurrency settings', () => {
+    assert.throws(
+      () =>
+        applyServiceConfig(newService(), {
+          concurrency: 10,
+          maxInstanceRequestConcurrency: 20,
+        }),
+      /Only set one of them/
+    );
+  });
+});
@@ -0,0 +1,404 @@
+import assert from 'node:assert/strict';
+import { describe, it, mock } from 'node:test';
+import esmock from 'esmock';
+import {
+  applyTrafficChanges,
+  findRollbackRevision,
+  getCanaryTraffic,
+  getTagUrls,
+  preparePreviewTraffic,
+} from '../../../lib/deployment/traffic.js';
+
+function newService() {
+  return {
+    template: { containers: [{ image: 'my-image' }] },
+    traffic: [
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        tag: 'stable',
+      },
+    ],
+  };
+}
+
+describe('applyTrafficChanges', () => {
+  it('should replace the traffic split and keep existing tags', () => {
+    const service = applyTrafficChanges(newService(), {
+      traffic: [
+        { revision: 'LATEST', percent: 90 },
+        { revision: 's-00001', percent: 10 },
+      ],
+    });
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        tag: 'stable',
+        percent: 10,
+      },
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 90 },
+    ]);
+  });
+
+  it('should assign, move and remove tags', () => {
+    const service = applyTrafficChanges(newService(), {
+      tags: { stable: 's-00002', candidate: 'LATEST' },
+    });
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST',
+        percent: 100,
+        tag: 'candidate',
+      },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00002',
+        percent: 0,
+        tag: 'stable',
+      },
+    ]);
+
+    applyTrafficChanges(service, { removeTags: ['stable'] });
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST',
+        percent: 100,
+        tag: 'candidate',
+      },
+    ]);
+  });
+
+  it('should reject splits that do not add up to 100', () => {
+    assert.throws(
+      () =>
+        applyTrafficChanges(newService(), {
+          traffic: [{ revision: 'LATEST', percent: 90 }],
+        }),
+      /must add up to 100, got 90/
+    );
+  });
+});
+
+describe('getTagUrls', () => {
+  it('should return the URL of each tag', () => {
+    assert.deepStrictEqual(
+      getTagUrls({
+        trafficStatuses: [
+          { percent: 100 },
+          { tag: 'stable', uri: 'https://stable---s-abc.a.run.app' },
+        ],
+      }),
+      { stable: 'https://stable---s-abc.a.run.app' }
+    );
+  });
+});
+
+describe('setTraffic', () => {
+  it('should send the new traffic without output-only fields', async () => {
+    const updateService = mock.fn(async (project, location, id, service) => ({
+      ...service,
+      uri: 'https://s.run.app',
+    }));
+    const { setTraffic } = await esmock('../../../lib/deployment/traffic.js', {
+      '../../../lib/cloud-api/run.js': {
+        getService: async () => ({
+          ...newService(),
+          uri: 'https://s.run.app',
+          latestReadyRevision:
+            'projects/p/locations/r/services/s/revisions/s-00002',
+        }),
+        updateService,
+      },
+    });
+
+    await setTraffic('p', 'r', 's', {
+      traffic: [{ revision: 's-00001', percent: 100 }],
+    });
+
+    const service = updateService.mock.calls[0].arguments[3];
+    assert.strictEqual(service.uri, undefined);
+    assert.strictEqual(service.latestReadyRevision, undefined);
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        tag: 'stable',
+        percent: 100,
+      },
+    ]);
+  });
+});
+
+function revision(name, ready = true) {
+  return {
+    name: `projects/p/locations/r/services/s/revisions/${name}`,
+    conditions: [
+      {
+        type: 'Ready',
+        state: ready ? 'CONDITION_SUCCEEDED' : 'CONDITION_FAILED',
+      },
+    ],
+  };
+}
+
+describe('findRollbackRevision', () => {
+  const revisions = [
+    revision('s-00004', false),
+    revision('s-00003'),
+    revision('s-00002', false),
+    revision('s-00001'),
+  ];
+
+  it('should find the previous ready revision', () => {
+    assert.strictEqual(
+      findRollbackRevision(revisions, { 's-00003': 100 }).name,
+      'projects/p/locations/r/services/s/revisions/s-00001'
+    );
+  });
+
+  it('should skip revisions that never served traffic', () => {
+    assert.strictEqual(
+      findRollbackRevision(
+        [revision('s-00004'), revision('s-00003'), revision('s-00002')],
+        { 's-00004': 100 },
+        ['s-00003']
+      ).name,
+      'projects/p/locations/r/services/s/revisions/s-00002'
+    );
+  });
+
+  it('should return undefined when there is no older ready revision', () => {
+    assert.strictEqual(
+      findRollbackRevision(revisions, { 's-00001': 100 }),
+      undefined
+    );
+  });
+});
+
+describe('rollbackService', () => {
+  it('should send all traffic to an explicit ready revision', async () => {
+    const updateService = mock.fn(async (project, location, id, service) => ({
+      ...service,
+    }));
+    const { rollbackService } = await esmock(
+      '../../../lib/deployment/traffic.js',
+      {
+        '../../../lib/cloud-api/run.js': {
+          getService: async () => newService(),
+          getRevision: async () => revision('s-00001'),
+          updateService,
+        },
+      }
+    );
+
+    const result = await rollbackService('p', 'r', 's', 's-00001');
+
+    assert.strictEqual(result.revision, 's-00001');
+    assert.deepStrictEqual(
+      updateService.mock.calls[0].arguments[3].traffic.map((t) => t.percent),
+      [100]
+    );
+  });
+
+  it('should roll back to a promoted preview that kept its tag', async () => {
+    let current = {
+      latestReadyRevision:
+        'projects/p/locations/r/services/s/revisions/s-00002',
+      annotations: { 'cloud-run-mcp/unserved-revisions': 's-00002' },
+      traffic: [
+        {
+          type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+          revision: 's-00001',
+          percent: 100,
+        },
+        {
+          type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+          revision: 's-00002',
+          tag: 'pr-123',
+        },
+      ],
+    };
+    const { promotePreview, rollbackService } = await esmock(
+      '../../../lib/deployment/traffic.js',
+      {
+        '../../../lib/cloud-api/run.js': {
+          getService: async () => JSON.parse(JSON.stringify(current)),
+          listRevisions: async () => [
+            revision('s-00003'),
+            revision('s-00002'),
+            revision('s-00001'),
+          ],
+          updateService: async (project, location, id, service) => {
+            current = { ...current, ...service };
+            return current;
+          },
+        },
+      }
+    );
+
+    await promotePreview('p', 'r', 's', 'pr-123', true);
+    // A new deployment sends the traffic to its revision, the promoted revision keeps its tag.
+    current.latestReadyRevision =
+      'projects/p/locations/r/services/s/revisions/s-00003';
+    current.trafficStatuses = [
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00002',
+        tag: 'pr-123',
+      },
+    ];
+    const result = await rollbackService('p', 'r', 's');
+
+    assert.strictEqual(result.revision, 's-00002');
+  });
+
+  it('should skip preview revisions that were never promoted', async () => {
+    const { rollbackService } = await esmock(
+      '../../../lib/deployment/traffic.js',
+      {
+        '../../../lib/cloud-api/run.js': {
+          getService: async () => ({
+            annotations: {
+              'cloud-run-mcp/unserved-revisions': 's-00002',
+            },
+            trafficStatuses: [
+              {
+                type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+                revision: 's-00003',
+                percent: 100,
+              },
+            ],
+          }),
+          listRevisions: async () => [
+            revision('s-00003'),
+            revision('s-00002'),
+            revision('s-00001'),
+          ],
+          updateService: async (project, location, id, service) => service,
+        },
+      }
+    );
+
+    const result = await rollbackService('p', 'r', 's');
+
+    assert.strictEqual(result.revision, 's-00001');
+  });
+
+  it('should refuse to roll back to a revision that is not ready', async () => {
+    const { rollbackService } = await esmock(
+      '../../../lib/deployment/traffic.js',
+      {
+        '../../../lib/cloud-api/run.js': {
+          getService: async () => newService(),
+          getRevision: async () => revision('s-00002', false),
+        },
+      }
+    );
+
+    await assert.rejects(
+      rollbackService('p', 'r', 's', 's-00002'),
+      /Revision s-00002 is not ready to serve traffic/
+    );
+  });
+});
+
+describe('preparePreviewTraffic', () => {
+  it('should pin the current traffic and tag the new revision', () => {
+    const service = preparePreviewTraffic(
+      newService(),
+      'projects/p/locations/r/services/s/revisions/s-00002',
+      's-00003',
+      'pr-123'
+    );
+    assert.deepStrictEqual(service.annotations, {
+      'cloud-run-mcp/unserved-revisions': 's-00003',
+    });
+    assert.deepStrictEqual(service.traffic, [
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00002',
+        percent: 100,
+      },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00001',
+        tag: 'stable',
+      },
+      {
+        type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+        revision: 's-00003',
+        percent: 0,
+        tag: 'pr-123',
+      },
+    ]);
+  });
+});
+
+describe('promotePreview', () => {
+  it('should send the traffic to LATEST when the preview is the latest revision', async () => {
+    const updateService = mock.fn(async (project, location, id, service) => ({
+      ...service,
+    }));
+    const { promotePreview } = await esmock(
+      '../../../lib/deployment/traffic.js',
+      {
+        '../../../lib/cloud-api/run.js': {
+          getService: async () => ({
+            latestReadyRevision:
+              'projects/p/locations/r/services/s/revisions/s-00003',
+            annotations: {
+              'cloud-run-mcp/unserved-revisions': 's-00001,s-00003',
+            },
+            traffic: [
+              {
+                type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+                revision: 's-00002',
+                percent: 100,
+              },
+              {
+                type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+                revision: 's-00003',
+                tag: 'pr-123',
+              },
+            ],
+          }),
+          updateService,
+        },
+      }
+    );
+
+    const result = await promotePreview('p', 'r', 's', 'pr-123');
+
+    assert.strictEqual(result.revision, 's-00003');
+    assert.deepStrictEqual(updateService.mock.calls[0].arguments[3].traffic, [
+      { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+    ]);
+    assert.deepStrictEqual(
+      updateService.mock.calls[0].arguments[3].annotations,
+      { 'cloud-run-mcp/unserved-revisions': 's-00001' }
+    );
+  });
+});
+
+describe('getCanaryTraffic', () => {
+  it('should scale the current split to make room for the canary', () => {
+    assert.deepStrictEqual(
+      getCanaryTraffic(
+        [
+          { revision: 's-00001', percent: 50 },
+          { revision: 's-00002', percent: 50 },
+        ],
+        's-00003',
+        25
+      ),
+      [
+        { revision: 's-00001', percent: 38 },
+        { revision: 's-00002', percent: 37 },
+        { revision: 's-00003', percent: 25 },
+      ]
+    );
+  });
+});
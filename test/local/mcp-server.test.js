@@ -32,15 +32,33 @@ describe('MCP Server in stdio mode', () => {
     assert.deepStrictEqual(
       toolNames.sort(),
       [
+        'apply_service',
+        'canary_deploy',
+        'create_domain_mapping',
+        'create_load_balancer',
         'create_project',
         'create_workspace',
+        'delete_domain_mapping',
+        'delete_service',
         'deploy_container_image',
         'deploy_file_contents',
         'deploy_local_folder',
+        'deploy_job_container_image',
+        'deploy_job_file_contents',
+        'deploy_job_local_folder',
+        'export_service',
+        'get_revision',
         'get_service',
+        'get_service_iam_policy',
         'get_service_log',
+        'list_domain_mappings',
         'list_projects',
+        'list_revisions',
         'list_services',
+        'promote_preview',
+        'rollback_service',
+        'set_service_access',
+        'set_traffic',
       ].sort()
     );
   });
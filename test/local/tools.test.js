@@ -12,22 +12,40 @@ describe('registerTools', () => {
 
     registerTools(server);
 
-    assert.strictEqual(server.registerTool.mock.callCount(), 9);
+    assert.strictEqual(server.registerTool.mock.callCount(), 27);
     const toolNames = server.registerTool.mock.calls.map(
       (call) => call.arguments[0]
     );
     assert.deepStrictEqual(
       toolNames.sort(),
       [
+        'apply_service',
+        'canary_deploy',
+        'create_domain_mapping',
+        'create_load_balancer',
         'create_project',
         'create_workspace',
+        'delete_domain_mapping',
+        'delete_service',
         'deploy_container_image',
         'deploy_file_contents',
         'deploy_local_folder',
+        'deploy_job_container_image',
+        'deploy_job_file_contents',
+        'deploy_job_local_folder',
+        'export_service',
+        'get_revision',
         'get_service',
+        'get_service_iam_policy',
         'get_service_log',
+        'list_domain_mappings',
         'list_projects',
+        'list_revisions',
         'list_services',
+        'promote_preview',
+        'rollback_service',
+        'set_service_access',
+        'set_traffic',
       ].sort()
     );
   });
@@ -364,6 +382,1041 @@ describe('registerTools', () => {
     });
   });
 
+  describe('get_service_iam_policy', () => {
+    it('should get the IAM policy of a service', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': {
+            getService: () => Promise.resolve({ invokerIamDisabled: false }),
+            getServiceIamPolicy: () =>
+              Promise.resolve({
+                bindings: [
+                  {
+                    role: 'roles/run.invoker',
+                    members: [
+                      'user:jane@example.com',
+                      'group:team@example.com',
+                    ],
+                  },
+                ],
+              }),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'get_service_iam_policy'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.deepStrictEqual(result, {
+        content: [
+          {
+            type: 'text',
+            text: 'IAM policy of service my-service in project my-project (region my-region):\n- roles/run.invoker: user:jane@example.com, group:team@example.com\nInvoker IAM check: enabled',
+          },
+        ],
+      });
+    });
+  });
+
+  describe('set_service_access', () => {
+    it('should add and remove invokers', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const updateServiceInvokers = mock.fn(() =>
+        Promise.resolve({
+          bindings: [
+            {
+              role: 'roles/run.invoker',
+              members: [
+                'user:jane@example.com',
+                'serviceAccount:sa@my-project.iam.gserviceaccount.com',
+              ],
+            },
+          ],
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': {
+            updateServiceInvokers,
+            getService: () => Promise.resolve({ invokerIamDisabled: true }),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'set_service_access'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        addMembers: [
+          'jane@example.com',
+          'sa@my-project.iam.gserviceaccount.com',
+        ],
+        removeMembers: ['group:old-team@example.com'],
+      });
+
+      assert.deepStrictEqual(updateServiceInvokers.mock.calls[0].arguments, [
+        'my-project',
+        'my-region',
+        'my-service',
+        {
+          add: [
+            'user:jane@example.com',
+            'serviceAccount:sa@my-project.iam.gserviceaccount.com',
+          ],
+          remove: ['group:old-team@example.com'],
+        },
+      ]);
+      assert.match(
+        result.content[0].text,
+        /Members that can invoke the service: user:jane@example.com, serviceAccount:sa@my-project.iam.gserviceaccount.com/
+      );
+      assert.match(result.content[0].text, /invoker IAM check is disabled/);
+    });
+
+    it('should require at least one member', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock('../../tools/tools.js', {});
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'set_service_access'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.match(result.content[0].text, /At least one member/);
+    });
+
+    it('should require a project ID', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const updateServiceInvokers = mock.fn();
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': { updateServiceInvokers },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'set_service_access'
+      ).arguments[2];
+      const result = await handler({
+        region: 'my-region',
+        service: 'my-service',
+        addMembers: ['jane@example.com'],
+      });
+
+      assert.deepStrictEqual(result, {
+        content: [
+          { type: 'text', text: 'Error: Project ID must be provided.' },
+        ],
+      });
+      assert.strictEqual(updateServiceInvokers.mock.callCount(), 0);
+    });
+  });
+
+  describe('list_revisions', () => {
+    it('should list revisions with their traffic', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': {
+            getService: () =>
+              Promise.resolve({
+                latestReadyRevision:
+                  'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00002',
+                trafficStatuses: [
+                  {
+                    type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST',
+                    percent: 90,
+                  },
+                  {
+                    type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+                    revision: 'my-service-00001',
+                    percent: 10,
+                  },
+                ],
+              }),
+            listRevisions: () =>
+              Promise.resolve([
+                {
+                  name: 'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00002',
+                  createTime: { seconds: 1760000000 },
+                  creator: 'jane@example.com',
+                  containers: [{ image: 'gcr.io/p/app@sha256:abc' }],
+                  conditions: [{ type: 'Ready', state: 'CONDITION_SUCCEEDED' }],
+                },
+                {
+                  name: 'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00001',
+                  createTime: { seconds: 1750000000 },
+                  containers: [{ image: 'gcr.io/p/app:v1' }],
+                },
+              ]),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'list_revisions'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'Revisions of service my-service in project my-project (region my-region):\n' +
+          '- my-service-00002: created 2025-10-09T08:53:20.000Z by jane@example.com, traffic 90%, ready: CONDITION_SUCCEEDED\n' +
+          '  image: gcr.io/p/app@sha256:abc (digest: sha256:abc)\n' +
+          '- my-service-00001: created 2025-06-15T15:06:40.000Z by unknown, traffic 10%, ready: unknown\n' +
+          '  image: gcr.io/p/app:v1 (digest: unknown)'
+      );
+    });
+  });
+
+  describe('get_revision', () => {
+    it('should return a message when the revision does not exist', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': {
+            getRevision: () => Promise.resolve(null),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'get_revision'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        revision: 'my-service-00003',
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'Revision my-service-00003 of service my-service not found in project my-project (region my-region).'
+      );
+    });
+  });
+
+  describe('set_traffic', () => {
+    it('should report the traffic split and tag URLs', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const setTraffic = mock.fn(() =>
+        Promise.resolve({
+          latestReadyRevision:
+            'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00002',
+          trafficStatuses: [
+            { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 90 },
+            {
+              type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+              revision: 'my-service-00001',
+              percent: 10,
+              tag: 'stable',
+              uri: 'https://stable---my-service-abc.a.run.app',
+            },
+          ],
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/traffic.js': {
+            setTraffic,
+            getTagUrls: (service) => ({
+              stable: service.trafficStatuses[1].uri,
+            }),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'set_traffic'
+      ).arguments[2];
+      const traffic = [
+        { revision: 'LATEST', percent: 90 },
+        { revision: 'my-service-00001', percent: 10 },
+      ];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        traffic,
+        tags: { stable: 'my-service-00001' },
+      });
+
+      assert.deepStrictEqual(setTraffic.mock.calls[0].arguments, [
+        'my-project',
+        'my-region',
+        'my-service',
+        {
+          traffic,
+          tags: { stable: 'my-service-00001' },
+          removeTags: undefined,
+        },
+      ]);
+      assert.strictEqual(
+        result.content[0].text,
+        'Updated traffic of service my-service in project my-project (region my-region):\n' +
+          '- 90% to LATEST (my-service-00002)\n' +
+          '- 10% to my-service-00001\n' +
+          'Tag URLs:\n' +
+          '- stable: https://stable---my-service-abc.a.run.app'
+      );
+    });
+  });
+
+  describe('rollback_service', () => {
+    it('should report the revision the service was rolled back to', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const rollbackService = mock.fn(() =>
+        Promise.resolve({
+          revision: 'my-service-00001',
+          previousTraffic: { 'my-service-00002': 100 },
+          service: {
+            trafficStatuses: [
+              {
+                type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_REVISION',
+                revision: 'my-service-00001',
+                percent: 100,
+              },
+            ],
+          },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/traffic.js': { rollbackService },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'rollback_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.deepStrictEqual(rollbackService.mock.calls[0].arguments, [
+        'my-project',
+        'my-region',
+        'my-service',
+        undefined,
+      ]);
+      assert.match(
+        result.content[0].text,
+        /Rolled back service my-service in project my-project \(region my-region\) to revision my-service-00001\.\nTraffic before the rollback:\n- 100% to my-service-00002\nTraffic now:\n- 100% to my-service-00001/
+      );
+    });
+  });
+
+  describe('promote_preview', () => {
+    it('should promote the tagged revision', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const promotePreview = mock.fn(() =>
+        Promise.resolve({
+          revision: 'my-service-00003',
+          service: {
+            uri: 'https://my-service.run.app',
+            latestReadyRevision:
+              'projects/my-project/locations/my-region/services/my-service/revisions/my-service-00003',
+            trafficStatuses: [
+              { type: 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST', percent: 100 },
+            ],
+          },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/traffic.js': { promotePreview },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'promote_preview'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        tag: 'pr-123',
+        keepTag: false,
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'Promoted preview pr-123 (revision my-service-00003) of service my-service in project my-project (region my-region).\n' +
+          'Traffic now:\n' +
+          '- 100% to LATEST (my-service-00003)\n' +
+          'Service URL: https://my-service.run.app'
+      );
+    });
+  });
+
+  describe('delete_service', () => {
+    it('should not delete anything if the confirmation does not match', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deleteDeployment = mock.fn();
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deleteDeployment },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'delete_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        confirmServiceName: 'other-service',
+        deleteImage: false,
+      });
+
+      assert.strictEqual(deleteDeployment.mock.callCount(), 0);
+      assert.match(result.content[0].text, /does not match service/);
+    });
+
+    it('should report the deleted URL, revisions and image', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deleteDeployment = mock.fn(() =>
+        Promise.resolve({
+          service: { uri: 'https://my-service.run.app' },
+          revisions: ['my-service-00002', 'my-service-00001'],
+          imageDeleted: true,
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deleteDeployment },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'delete_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        confirmServiceName: 'my-service',
+        deleteImage: true,
+      });
+
+      assert.deepStrictEqual(deleteDeployment.mock.calls[0].arguments[0], {
+        projectId: 'my-project',
+        serviceName: 'my-service',
+        region: 'my-region',
+        deleteImage: true,
+      });
+      assert.strictEqual(
+        result.content[0].text,
+        'Deleted service my-service in project my-project (region my-region).\n' +
+          'URL no longer served: https://my-service.run.app\n' +
+          'Deleted revisions:\n' +
+          '- my-service-00002\n' +
+          '- my-service-00001\n' +
+          'Deleted image my-service from the mcp-cloud-run-deployments repository.'
+      );
+    });
+
+    it('should report the services and jobs that keep the image', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deleteDeployment = mock.fn(() =>
+        Promise.resolve({
+          service: { uri: 'https://my-service.run.app' },
+          revisions: ['my-service-00001'],
+          imageDeleted: false,
+          imageUsers: ['service my-service (other-region)'],
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deleteDeployment },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'delete_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        confirmServiceName: 'my-service',
+        deleteImage: true,
+      });
+
+      assert.match(
+        result.content[0].text,
+        /Kept image my-service in the mcp-cloud-run-deployments repository, it is still used by: service my-service \(other-region\)\.$/
+      );
+    });
+
+    it('should report the deleted service when the image could not be deleted', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deleteDeployment = mock.fn(() =>
+        Promise.resolve({
+          service: {
+            uri: 'https://my-service-abc.a.run.app',
+            urls: [
+              'https://my-service-123.my-region.run.app',
+              'https://my-service-abc.a.run.app',
+            ],
+          },
+          revisions: ['my-service-00001'],
+          imageDeleted: false,
+          imageError: 'permission denied',
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deleteDeployment },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'delete_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        confirmServiceName: 'my-service',
+        deleteImage: true,
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'Deleted service my-service in project my-project (region my-region).\n' +
+          'URLs no longer served: https://my-service-123.my-region.run.app, https://my-service-abc.a.run.app\n' +
+          'Deleted revisions:\n' +
+          '- my-service-00001\n' +
+          'Could not delete image my-service from the mcp-cloud-run-deployments repository: permission denied'
+      );
+    });
+  });
+
+  describe('create_domain_mapping', () => {
+    it('should return the DNS records and certificate status', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const createDomainMapping = mock.fn(() =>
+        Promise.resolve({
+          metadata: { name: 'www.example.com' },
+          spec: { routeName: 'my-service' },
+          status: {
+            conditions: [
+              { type: 'Ready', status: 'Unknown' },
+              {
+                type: 'CertificateProvisioned',
+                status: 'Unknown',
+                message: 'Waiting for DNS',
+              },
+            ],
+            resourceRecords: [
+              { name: 'www', type: 'CNAME', rrdata: 'ghs.googlehosted.com.' },
+            ],
+          },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/domains.js': { createDomainMapping },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'create_domain_mapping'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        domain: 'www.example.com',
+      });
+
+      assert.deepStrictEqual(createDomainMapping.mock.calls[0].arguments, [
+        'my-project',
+        'my-region',
+        'www.example.com',
+        'my-service',
+      ]);
+      const text = result.content[0].text;
+      assert.match(text, /certificate: pending \(Waiting for DNS\)/);
+      assert.match(text, /- CNAME www ghs\.googlehosted\.com\./);
+    });
+  });
+
+  describe('list_domain_mappings', () => {
+    it('should report when no domains are mapped', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/domains.js': {
+            listDomainMappings: () => Promise.resolve([]),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'list_domain_mappings'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'No domain mappings for service my-service in project my-project (region my-region).'
+      );
+    });
+  });
+
+  describe('delete_domain_mapping', () => {
+    it('should report the service the domain was mapped to', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deleteDomainMapping = mock.fn(() =>
+        Promise.resolve({
+          metadata: { name: 'www.example.com' },
+          spec: { routeName: 'my-service' },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/domains.js': { deleteDomainMapping },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'delete_domain_mapping'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        domain: 'www.example.com',
+      });
+
+      assert.match(
+        result.content[0].text,
+        /^Deleted the mapping of domain www\.example\.com to service my-service/
+      );
+    });
+  });
+
+  describe('create_load_balancer', () => {
+    it('should report the IP address and the DNS records', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const createLoadBalancer = mock.fn(() =>
+        Promise.resolve({
+          ipAddress: '203.0.113.10',
+          domains: ['www.example.com'],
+          certificateStatus: 'PROVISIONING',
+          enableCdn: true,
+          resources: { certificate: 'my-service-cert' },
+          notes: [],
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/loadbalancer.js': { createLoadBalancer },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'create_load_balancer'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          service: 'my-service',
+          regions: ['region-a', 'region-b'],
+          domains: ['www.example.com'],
+          enableCdn: true,
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      assert.strictEqual(
+        createLoadBalancer.mock.calls[0].arguments[0].serviceName,
+        'my-service'
+      );
+      const text = result.content[0].text;
+      assert.match(text, /IP address: 203\.0\.113\.10/);
+      assert.match(text, /Cloud CDN: enabled/);
+      assert.match(text, /Certificate my-service-cert: PROVISIONING/);
+      assert.match(text, /- A www\.example\.com 203\.0\.113\.10/);
+    });
+  });
+
+  describe('deploy_job_container_image', () => {
+    it('should deploy the job with its task settings', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deployJob = mock.fn(() =>
+        Promise.resolve({
+          template: {
+            template: { containers: [{ image: 'gcr.io/my-project/etl' }] },
+          },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/jobs.js': { deployJob },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'deploy_job_container_image'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          job: 'nightly-report',
+          imageUrl: 'gcr.io/my-project/etl',
+          taskCount: 5,
+          parallelism: 2,
+          args: ['--date', 'yesterday'],
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      const config = deployJob.mock.calls[0].arguments[0];
+      assert.strictEqual(config.jobName, 'nightly-report');
+      assert.strictEqual(config.imageUrl, 'gcr.io/my-project/etl');
+      assert.strictEqual(config.taskCount, 5);
+      assert.strictEqual(config.parallelism, 2);
+      assert.deepStrictEqual(config.args, ['--date', 'yesterday']);
+      const text = result.content[0].text;
+      assert.match(text, /^Cloud Run job nightly-report deployed/);
+      assert.match(text, /Image: gcr\.io\/my-project\/etl/);
+      assert.match(
+        text,
+        /gcloud run jobs execute nightly-report --region my-region --project my-project/
+      );
+    });
+  });
+
+  describe('deploy_job_local_folder', () => {
+    it('should build the folder and report errors', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deployJob = mock.fn(() =>
+        Promise.reject(new Error('Build failed'))
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/jobs.js': { deployJob },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'deploy_job_local_folder'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          job: 'etl',
+          folderPath: '/home/user/etl',
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      assert.deepStrictEqual(deployJob.mock.calls[0].arguments[0].files, [
+        '/home/user/etl',
+      ]);
+      assert.strictEqual(
+        result.content[0].text,
+        'Error deploying folder to Cloud Run job: Build failed'
+      );
+    });
+  });
+
+  describe('export_service', () => {
+    it('should return the YAML definition of the service', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/cloud-api/run.js': {
+            getService: () =>
+              Promise.resolve({
+                name: 'projects/my-project/locations/my-region/services/my-service',
+                uri: 'https://my-service.run.app',
+                template: { containers: [{ image: 'my-image' }] },
+              }),
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'export_service'
+      ).arguments[2];
+      const result = await handler({
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+      });
+
+      assert.strictEqual(
+        result.content[0].text,
+        'Definition of service my-service in project my-project (region my-region):\n' +
+          'apiVersion: serving.knative.dev/v1\n' +
+          'kind: Service\n' +
+          'metadata:\n' +
+          '  name: my-service\n' +
+          'spec:\n' +
+          '  template:\n' +
+          '    spec:\n' +
+          '      containers:\n' +
+          '        - image: my-image\n'
+      );
+    });
+  });
+
+  describe('apply_service', () => {
+    it('should apply the service named in the YAML definition', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const applyService = mock.fn(() =>
+        Promise.resolve({ uri: 'https://my-service.run.app' })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { applyService },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'apply_service'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          yaml: [
+            'apiVersion: serving.knative.dev/v1',
+            'kind: Service',
+            'metadata:',
+            '  name: my-service',
+            'spec:',
+            '  template:',
+            '    spec:',
+            '      containers:',
+            '        - image: my-image',
+          ].join('\n'),
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      const { projectId, serviceName, region, service } =
+        applyService.mock.calls[0].arguments[0];
+      assert.strictEqual(projectId, 'my-project');
+      assert.strictEqual(serviceName, 'my-service');
+      assert.strictEqual(region, 'my-region');
+      assert.deepStrictEqual(service.template.containers, [
+        { image: 'my-image' },
+      ]);
+      assert.match(
+        result.content[0].text,
+        /Service URL: https:\/\/my-service\.run\.app/
+      );
+    });
+
+    it('should require either yaml or filePath', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const applyService = mock.fn();
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { applyService },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'apply_service'
+      ).arguments[2];
+      const result = await handler(
+        { project: 'my-project', region: 'my-region' },
+        { sendNotification: mock.fn() }
+      );
+
+      assert.strictEqual(applyService.mock.callCount(), 0);
+      assert.strictEqual(
+        result.content[0].text,
+        'Error: Set either yaml or filePath.'
+      );
+    });
+  });
+
   describe('deploy_local_folder', () => {
     it('should deploy local folder', async () => {
       const server = {
@@ -404,6 +1457,45 @@ describe('registerTools', () => {
         ],
       });
     });
+
+    it('should pass env settings to the deployer', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deploy = mock.fn(() => Promise.resolve({ uri: 'my-uri' }));
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': {
+            deploy,
+          },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'deploy_local_folder'
+      ).arguments[2];
+      await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          service: 'my-service',
+          folderPath: '/my/folder',
+          env: { FOO: 'bar' },
+          useEnvFile: true,
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      const config = deploy.mock.calls[0].arguments[0];
+      assert.deepStrictEqual(config.env, { FOO: 'bar' });
+      assert.strictEqual(config.useEnvFile, true);
+      assert.deepStrictEqual(config.files, ['/my/folder']);
+    });
   });
 
   describe('deploy_file_contents', () => {
@@ -488,6 +1580,109 @@ describe('registerTools', () => {
         ],
       });
     });
+
+    it('should return the plan without deploying when plan is set', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deployImage = mock.fn(() =>
+        Promise.resolve({
+          projectId: 'my-project',
+          serviceName: 'my-service',
+          region: 'my-region',
+          exists: true,
+          disabledApis: [],
+          currentService: {
+            template: { containers: [{ image: 'old-image' }] },
+          },
+          service: { template: { containers: [{ image: 'new-image' }] } },
+          actions: [],
+          dryRun: { status: 'passed' },
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deployImage },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'deploy_container_image'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          service: 'my-service',
+          imageUrl: 'new-image',
+          plan: true,
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      assert.strictEqual(deployImage.mock.calls[0].arguments[0].plan, true);
+      const text = result.content[0].text;
+      assert.match(text, /The service exists and would be updated\./);
+      assert.match(text, /~ image: old-image -> new-image/);
+      assert.match(text, /Dry run: passed/);
+    });
+
+    it('should report the result of each region when regions are set', async () => {
+      const server = {
+        registerTool: mock.fn(),
+      };
+      const deployImage = mock.fn(() =>
+        Promise.resolve({
+          imageUrl: 'gcr.io/my-project/my-image',
+          deployments: [
+            { region: 'region-a', service: { uri: 'https://a-uri' } },
+            { region: 'region-b', error: 'quota exceeded' },
+          ],
+        })
+      );
+
+      const { registerTools } = await esmock(
+        '../../tools/tools.js',
+        {},
+        {
+          '../../lib/deployment/deployer.js': { deployImage },
+        }
+      );
+
+      registerTools(server, { gcpCredentialsAvailable: true });
+
+      const handler = server.registerTool.mock.calls.find(
+        (call) => call.arguments[0] === 'deploy_container_image'
+      ).arguments[2];
+      const result = await handler(
+        {
+          project: 'my-project',
+          region: 'my-region',
+          service: 'my-service',
+          imageUrl: 'gcr.io/my-project/my-image',
+          regions: ['region-a', 'region-b'],
+        },
+        { sendNotification: mock.fn() }
+      );
+
+      assert.deepStrictEqual(deployImage.mock.calls[0].arguments[0].regions, [
+        'region-a',
+        'region-b',
+      ]);
+      assert.strictEqual(
+        result.content[0].text,
+        'Cloud Run service my-service deployed in project my-project to 1 of 2 regions\n' +
+          'Image: gcr.io/my-project/my-image\n' +
+          '- region-a: https://a-uri\n' +
+          '  Cloud Console: https://console.cloud.google.com/run/detail/region-a/my-service?project=my-project\n' +
+          '- region-b: failed: quota exceeded'
+      );
+    });
   });
 
   describe('when gcp credentials are not available', () => {
@@ -521,3 +1716,81 @@ describe('registerTools', () => {
     });
   });
 });
+
+describe('registerToolsRemote', () => {
+  it('should not register tools reading the local filesystem', async () => {
+    const server = {
+      registerTool: mock.fn(),
+    };
+
+    const { registerToolsRemote } = await esmock('../../tools/tools.js', {});
+
+    registerToolsRemote(server);
+
+    const toolNames = server.registerTool.mock.calls.map(
+      (call) => call.arguments[0]
+    );
+    assert.strictEqual(toolNames.includes('deploy_local_folder'), false);
+    assert.strictEqual(toolNames.includes('deploy_job_local_folder'), false);
+    assert.strictEqual(toolNames.includes('export_service'), false);
+    assert.strictEqual(toolNames.includes('apply_service'), false);
+    const canarySchema = server.registerTool.mock.calls.find(
+      (call) => call.arguments[0] === 'canary_deploy'
+    ).arguments[1].inputSchema;
+    assert.strictEqual('folderPath' in canarySchema, false);
+    assert.strictEqual('useEnvFile' in canarySchema, false);
+    assert.strictEqual('files' in canarySchema, true);
+    assert.strictEqual(
+      canarySchema.stepDurationSeconds.safeParse(0).success,
+      false
+    );
+    assert.strictEqual(
+      canarySchema.stepDurationSeconds.safeParse(10).success,
+      true
+    );
+  });
+
+  it('should deploy a canary from file contents', async () => {
+    const server = {
+      registerTool: mock.fn(),
+    };
+    const canaryDeploy = mock.fn(() =>
+      Promise.resolve({
+        promoted: true,
+        revision: 'my-service-00002',
+        steps: [],
+        service: { traffic: [], uri: 'https://my-service.run.app' },
+      })
+    );
+
+    const { registerToolsRemote } = await esmock(
+      '../../tools/tools.js',
+      {},
+      {
+        '../../lib/deployment/canary.js': { canaryDeploy },
+      }
+    );
+
+    registerToolsRemote(server, { gcpCredentialsAvailable: true });
+
+    const handler = server.registerTool.mock.calls.find(
+      (call) => call.arguments[0] === 'canary_deploy'
+    ).arguments[2];
+    const files = [{ filename: 'index.js', content: 'console.log(1)' }];
+    await handler(
+      {
+        project: 'my-project',
+        region: 'my-region',
+        service: 'my-service',
+        files,
+        folderPath: '/etc',
+        useEnvFile: true,
+      },
+      { sendNotification: mock.fn() }
+    );
+
+    const config = canaryDeploy.mock.calls[0].arguments[0];
+    assert.deepStrictEqual(config.files, files);
+    assert.strictEqual(config.useEnvFile, undefined);
+  });
+});
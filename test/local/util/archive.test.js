@@ -0,0 +1,51 @@
+import assert from 'node:assert/strict';
+import { describe, it, before, after } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { zipFiles } from '../../../lib/util/archive.js';
+
+describe('zipFiles', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-test-'));
+    fs.writeFileSync(path.join(tmpDir, 'server.js'), 'console.log(1);');
+    fs.writeFileSync(path.join(tmpDir, '.env'), 'SECRET=value');
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  // Entry names are stored uncompressed in the zip headers.
+  const hasEntry = (zipBuffer, name) => zipBuffer.includes(Buffer.from(name));
+
+  it('should zip folders, file paths and file contents', async () => {
+    const zipBuffer = await zipFiles([
+      tmpDir,
+      { filename: 'index.js', content: 'console.log(2);' },
+    ]);
+    assert.ok(hasEntry(zipBuffer, 'server.js'));
+    assert.ok(hasEntry(zipBuffer, '.env'));
+    assert.ok(hasEntry(zipBuffer, 'index.js'));
+  });
+
+  it('should leave out the excluded files', async () => {
+    const folderZip = await zipFiles([tmpDir], undefined, ['.env']);
+    assert.ok(hasEntry(folderZip, 'server.js'));
+    assert.ok(!hasEntry(folderZip, '.env'));
+
+    const filesZip = await zipFiles(
+      [
+        path.join(tmpDir, '.env'),
+        { filename: '.env', content: 'SECRET=value' },
+        { filename: 'index.js', content: 'console.log(2);' },
+      ],
+      undefined,
+      ['.env']
+    );
+    assert.ok(hasEntry(filesZip, 'index.js'));
+    assert.ok(!hasEntry(filesZip, '.env'));
+  });
+});
@@ -0,0 +1,68 @@
+import assert from 'node:assert/strict';
+import { describe, it, before, after } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  findExposedPort,
+  parseExposedPort,
+} from '../../../lib/util/dockerfile.js';
+
+describe('parseExposedPort', () => {
+  it('should return the port of the last EXPOSE instruction', () => {
+    const content = [
+      'FROM node:20 AS build',
+      'EXPOSE 9229',
+      'FROM node:20-slim',
+      'expose 3000/tcp 3001',
+      'CMD ["node", "server.js"]',
+    ].join('\n');
+    assert.strictEqual(parseExposedPort(content), 3000);
+  });
+
+  it('should ignore ports set through variables', () => {
+    assert.strictEqual(parseExposedPort('FROM node:20\nEXPOSE $PORT'), null);
+  });
+});
+
+describe('findExposedPort', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dockerfile-test-'));
+    fs.writeFileSync(
+      path.join(tmpDir, 'Dockerfile'),
+      'FROM python:3.12\nEXPOSE 5000\n'
+    );
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should read the Dockerfile at the root of a deployed folder', async () => {
+    assert.strictEqual(await findExposedPort([tmpDir]), 5000);
+  });
+
+  it('should read a Dockerfile passed as a file path', async () => {
+    assert.strictEqual(
+      await findExposedPort([path.join(tmpDir, 'Dockerfile')]),
+      5000
+    );
+  });
+
+  it('should read a Dockerfile passed as file contents', async () => {
+    const port = await findExposedPort([
+      { filename: 'index.js', content: 'console.log(1);' },
+      { filename: 'Dockerfile', content: 'FROM node:20\nEXPOSE 3000' },
+    ]);
+    assert.strictEqual(port, 3000);
+  });
+
+  it('should return null when no Dockerfile is found', async () => {
+    const port = await findExposedPort([
+      { filename: 'index.js', content: 'console.log(1);' },
+    ]);
+    assert.strictEqual(port, null);
+  });
+});
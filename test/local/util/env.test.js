@@ -0,0 +1,48 @@
+import assert from 'node:assert/strict';
+import { describe, it, before, after } from 'node:test';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { loadEnvFile } from '../../../lib/util/env.js';
+
+describe('loadEnvFile', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'env-test-'));
+    fs.writeFileSync(
+      path.join(tmpDir, '.env'),
+      'FOO=bar\n# comment\nQUOTED="hello world"\n'
+    );
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should load the .env file at the root of a deployed folder', async () => {
+    const env = await loadEnvFile([tmpDir]);
+    assert.deepStrictEqual(env, { FOO: 'bar', QUOTED: 'hello world' });
+  });
+
+  it('should load a .env file passed as a file path', async () => {
+    const env = await loadEnvFile([path.join(tmpDir, '.env')]);
+    assert.deepStrictEqual(env, { FOO: 'bar', QUOTED: 'hello world' });
+  });
+
+  it('should load a .env file passed as file contents', async () => {
+    const env = await loadEnvFile([
+      { filename: 'index.js', content: 'console.log(1);' },
+      { filename: '.env', content: 'A=1\nB=2' },
+    ]);
+    assert.deepStrictEqual(env, { A: '1', B: '2' });
+  });
+
+  it('should return null when no .env file is found', async () => {
+    const env = await loadEnvFile([
+      { filename: 'index.js', content: 'console.log(1);' },
+      '/does/not/exist/index.js',
+    ]);
+    assert.strictEqual(env, null);
+  });
+});
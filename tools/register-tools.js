@@ -23,9 +23,36 @@ import {
   listServices,
   getService,
   getServiceLogs,
+  getServiceIamPolicy,
+  updateServiceInvokers,
+  listRevisions,
+  getRevision,
+  getTrafficByRevision,
 } from '../lib/cloud-api/run.js';
-import { deploy, deployImage } from '../lib/deployment/deployer.js';
+import {
+  applyService,
+  deleteDeployment,
+  deploy,
+  deployImage,
+} from '../lib/deployment/deployer.js';
+import { serviceFromYaml, serviceToYaml } from '../lib/deployment/knative.js';
+import { formatDeploymentPlan } from '../lib/deployment/plan.js';
+import { canaryDeploy } from '../lib/deployment/canary.js';
+import {
+  getTagUrls,
+  promotePreview,
+  rollbackService,
+  setTraffic,
+} from '../lib/deployment/traffic.js';
 import { createWorkspace } from '../lib/cloud-api/workspace.js';
+import { createLoadBalancer } from '../lib/deployment/loadbalancer.js';
+import { deployJob } from '../lib/deployment/jobs.js';
+import {
+  createDomainMapping,
+  deleteDomainMapping,
+  describeDomainMapping,
+  listDomainMappings,
+} from '../lib/cloud-api/domains.js';
 
 function createProgressCallback(sendNotification) {
   return (progress) => {
@@ -36,6 +63,472 @@ function createProgressCallback(sendNotification) {
   };
 }
 
+// Container running next to the main container of a service.
+const sidecarSchema = z.object({
+  name: z
+    .string()
+    .describe('Name of the sidecar container (e.g. "otel-collector")'),
+  image: z
+    .string()
+    .describe(
+      'Container image of the sidecar (e.g. "nginx:1.27" or "otel/opentelemetry-collector:latest")'
+    ),
+  port: z
+    .number()
+    .int()
+    .min(1)
+    .max(65535)
+    .optional()
+    .describe(
+      'Optional. Port the sidecar listens on. Only one container of a service can receive requests, so setting it makes the sidecar the ingress container (e.g. a front proxy) and the main container must not set "containerPort".'
+    ),
+  env: z
+    .record(z.string())
+    .optional()
+    .describe('Optional. Environment variables of the sidecar'),
+  command: z
+    .array(z.string())
+    .optional()
+    .describe('Optional. Entrypoint of the sidecar'),
+  args: z
+    .array(z.string())
+    .optional()
+    .describe('Optional. Arguments passed to the entrypoint of the sidecar'),
+  dependsOn: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Names of the containers that must be started before this sidecar'
+    ),
+  cpu: z.string().optional().describe('Optional. CPU limit of the sidecar'),
+  memory: z
+    .string()
+    .optional()
+    .describe('Optional. Memory limit of the sidecar'),
+  volumeMounts: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Volumes mounted in the sidecar, as a map of volume names to mount paths (e.g. {"shared": "/var/shared"}). Declare the volumes in "volumes".'
+    ),
+});
+
+// Startup or liveness probe of the main container.
+const probeSchema = z.object({
+  type: z
+    .enum(['http', 'tcp', 'grpc'])
+    .describe('How the container is probed: "http", "tcp" or "grpc"'),
+  path: z
+    .string()
+    .optional()
+    .describe(
+      'Optional. Path of the HTTP probe (e.g. "/healthz"). Defaults to "/".'
+    ),
+  port: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe('Optional. Port to probe. Defaults to the container port.'),
+  service: z
+    .string()
+    .optional()
+    .describe('Optional. Service name of the gRPC health check'),
+  initialDelaySeconds: z
+    .number()
+    .int()
+    .nonnegative()
+    .optional()
+    .describe(
+      'Optional. Seconds to wait after the container started before probing'
+    ),
+  periodSeconds: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe('Optional. Seconds between two probes'),
+  timeoutSeconds: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe('Optional. Seconds after which a probe times out'),
+  failureThreshold: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      'Optional. Number of consecutive failures after which the probe fails'
+    ),
+});
+
+// Optional service settings shared by all deploy tools. They are passed through to the deployer as is.
+const serviceConfigSchema = {
+  env: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Environment variables to set on the service, as a map of variable names to values (e.g. {"NODE_ENV": "production"})'
+    ),
+  containerPort: z
+    .number()
+    .int()
+    .min(1)
+    .max(65535)
+    .optional()
+    .describe(
+      'Optional. Port the container listens on (e.g. 3000). Requests are sent to this port and it is passed in the PORT environment variable. Defaults to 8080 for new services.'
+    ),
+  command: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Entrypoint of the container, overriding the ENTRYPOINT of the image (e.g. ["node"])'
+    ),
+  args: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Arguments passed to the entrypoint, overriding the CMD of the image (e.g. ["server.js", "--verbose"])'
+    ),
+  ingress: z
+    .enum(['all', 'internal', 'internal-and-cloud-load-balancing'])
+    .optional()
+    .describe(
+      'Optional. Which network sources can reach the service: "all" (internet), "internal" (VPC and Google Cloud only) or "internal-and-cloud-load-balancing"'
+    ),
+  allowUnauthenticated: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. If true, anyone can invoke the service without authentication. If false, callers need the Cloud Run Invoker role, see the set_service_access tool. Defaults to the existing setting, or the server configuration for new services.'
+    ),
+  serviceAccount: z
+    .string()
+    .optional()
+    .describe(
+      'Optional. Email of the service account the service runs as (e.g. "my-service-sa@my-project.iam.gserviceaccount.com"). Defaults to the existing setting, or the Compute Engine default service account for new services.'
+    ),
+  createServiceAccount: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. If true, create the service account if it does not exist. When "serviceAccount" is not set, a dedicated "<service>-sa" service account is used.'
+    ),
+  network: z
+    .string()
+    .optional()
+    .describe(
+      'Optional. VPC network to send traffic to with Direct VPC egress (e.g. "default" or "projects/my-project/global/networks/my-network")'
+    ),
+  subnet: z
+    .string()
+    .optional()
+    .describe(
+      'Optional. VPC subnetwork to use with Direct VPC egress (e.g. "my-subnet"). Must be in the same region as the service.'
+    ),
+  vpcConnector: z
+    .string()
+    .optional()
+    .describe(
+      'Optional. Serverless VPC Access connector to use (e.g. "projects/my-project/locations/europe-west1/connectors/my-connector"). Cannot be combined with "network" or "subnet".'
+    ),
+  vpcEgress: z
+    .enum(['all-traffic', 'private-ranges-only'])
+    .optional()
+    .describe(
+      'Optional. Which outbound traffic goes through the VPC: "all-traffic" or "private-ranges-only"'
+    ),
+  cloudSqlInstances: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Cloud SQL instance connection names to connect to (e.g. ["my-project:europe-west1:my-instance"]). The Unix sockets are available under /cloudsql/<connection name>. The runtime service account is granted the Cloud SQL Client role.'
+    ),
+  secrets: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Environment variables backed by Secret Manager secrets, as a map of variable names to secret references (e.g. {"DB_PASSWORD": "projects/my-project/secrets/db-pass:latest"} or {"API_KEY": "api-key:2"}). The runtime service account is granted access to the secrets.'
+    ),
+  secretVolumes: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Secret Manager secrets mounted as files, as a map of absolute file paths to secret references (e.g. {"/secrets/key.json": "service-key:latest"}). Files in the same directory must come from the same secret. The runtime service account is granted access to the secrets.'
+    ),
+  secretValues: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Secrets to create or update in Secret Manager before deploying, as a map of secret IDs to values. Reference them in "secrets" or "secretVolumes" to use them. Values are never echoed back.'
+    ),
+  cpu: z
+    .string()
+    .optional()
+    .describe('Optional. CPU limit of the container (e.g. "1", "2", "4")'),
+  memory: z
+    .string()
+    .optional()
+    .describe('Optional. Memory limit of the container (e.g. "512Mi", "2Gi")'),
+  concurrency: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      'Optional. Maximum number of concurrent requests sent to each instance'
+    ),
+  maxInstanceRequestConcurrency: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe(
+      'Optional. Same as "concurrency", named after the Cloud Run API field. Only set one of them.'
+    ),
+  timeoutSeconds: z
+    .number()
+    .int()
+    .min(1)
+    .max(3600)
+    .optional()
+    .describe(
+      'Optional. Maximum time in seconds a request can take, up to 3600. Also limits the duration of WebSocket connections. Defaults to 300 for new services.'
+    ),
+  sessionAffinity: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. If true, requests from the same client are sent to the same instance when possible (e.g. for WebSocket apps)'
+    ),
+  executionEnvironment: z
+    .enum(['gen1', 'gen2'])
+    .optional()
+    .describe(
+      'Optional. Execution environment of the instances: "gen1" (faster cold starts) or "gen2" (full Linux compatibility, faster CPU and network)'
+    ),
+  minInstances: z
+    .number()
+    .int()
+    .nonnegative()
+    .optional()
+    .describe('Optional. Minimum number of instances kept running'),
+  maxInstances: z
+    .number()
+    .int()
+    .positive()
+    .optional()
+    .describe('Optional. Maximum number of instances the service scales to'),
+  cpuThrottling: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. If true, CPU is only allocated during request processing. If false, CPU is always allocated.'
+    ),
+  startupCpuBoost: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. If true, extra CPU is allocated while instances start up'
+    ),
+  sidecars: z
+    .array(sidecarSchema)
+    .optional()
+    .describe(
+      'Optional. Containers deployed from images next to the main container (e.g. an OpenTelemetry collector or an nginx front proxy). Sidecars with the same name are replaced, other existing sidecars are kept.'
+    ),
+  dependsOn: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Names of the sidecars that must be started before the main container'
+    ),
+  volumes: z
+    .array(
+      z.object({
+        name: z.string().describe('Name of the volume'),
+        type: z
+          .enum(['gcs', 'in-memory'])
+          .describe(
+            'Type of volume: "gcs" mounts a Cloud Storage bucket, "in-memory" is an empty volume stored in memory'
+          ),
+        bucket: z
+          .string()
+          .optional()
+          .describe(
+            'Cloud Storage bucket to mount, required for "gcs" volumes'
+          ),
+        readOnly: z
+          .boolean()
+          .optional()
+          .describe('Optional. If true, a "gcs" volume is mounted read-only'),
+        sizeLimit: z
+          .string()
+          .optional()
+          .describe(
+            'Optional. Size limit of an "in-memory" volume (e.g. "256Mi"). Counts towards the memory limit of the instance.'
+          ),
+      })
+    )
+    .optional()
+    .describe(
+      'Optional. Volumes of the service. Mount them in the main container with "volumeMounts" and in sidecars with their own "volumeMounts". The runtime service account is granted access to mounted buckets.'
+    ),
+  volumeMounts: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Volumes mounted in the main container, as a map of volume names to mount paths (e.g. {"models": "/mnt/models"})'
+    ),
+  previewTag: z
+    .string()
+    .regex(/^[a-z][a-z0-9-]*$/)
+    .optional()
+    .describe(
+      'Optional. Deploy a preview of an existing service: the new revision gets this tag (e.g. "pr-123") and its own URL, but receives no traffic. Promote it later with promote_preview.'
+    ),
+  startupProbe: probeSchema
+    .optional()
+    .describe(
+      'Optional. Probe checking that the container has started. Increase "failureThreshold" or "periodSeconds" for apps that take long to boot.'
+    ),
+  livenessProbe: probeSchema
+    .optional()
+    .describe(
+      'Optional. Probe checking that the container is still healthy. Instances failing it are restarted. Only "http" and "grpc" types are supported.'
+    ),
+  plan: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. Only plan the deployment: run the read-only checks (APIs, service existence, dry run) and return the changes that would be applied, without building or deploying anything. Use this to let the user review changes to production services.'
+    ),
+};
+
+// Option to load environment variables from a .env file, for deploy tools that deploy source code.
+const envFileSchema = {
+  useEnvFile: z
+    .boolean()
+    .optional()
+    .describe(
+      'Optional. Load environment variables from the .env file found in the deployed files. Values passed in "env" take precedence. The .env file is not uploaded with the source code.'
+    ),
+};
+
+// Source files given by their contents, for tools that do not read the local filesystem.
+const fileContentsSchema = z
+  .array(
+    z.object({
+      filename: z
+        .string()
+        .describe(
+          'Name and path of the file (e.g. "src/index.js" or "data/config.json")'
+        ),
+      content: z.string().optional().describe('Text content of the file'),
+    })
+  )
+  .describe('Array of file objects containing filename and content');
+
+// Option to deploy to several regions at once, for deploy tools that deploy a new image.
+const regionsSchema = {
+  regions: z
+    .array(z.string())
+    .min(1)
+    .optional()
+    .describe(
+      'Optional. Regions to deploy the service to in parallel, instead of "region" (e.g. ["us-central1", "europe-west1"]). Source code is built only once, in the first region.'
+    ),
+};
+
+// Formats the plan of a deployment, or the plan of each region of a multi-region deployment.
+function formatPlans(response) {
+  return Array.isArray(response)
+    ? response.map(formatDeploymentPlan).join('\n\n')
+    : formatDeploymentPlan(response);
+}
+
+// Formats the result of a multi-region deployment, with the URL or the error of each region.
+function formatMultiRegionDeployment(project, service, response, previewTag) {
+  const { imageUrl, deployments } = response;
+  const succeeded = deployments.filter((deployment) => !deployment.error);
+  const lines = deployments.map(({ region, service: deployed, error }) => {
+    if (error) {
+      return `- ${region}: failed: ${error}`;
+    }
+    const previewUrl = previewTag
+      ? `\n  Preview URL (tag ${previewTag}, no traffic): ${getTagUrls(deployed)[previewTag] || 'not available yet'}`
+      : '';
+    return `- ${region}: ${deployed.uri}\n  Cloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}${previewUrl}`;
+  });
+  return `Cloud Run service ${service} deployed in project ${project} to ${succeeded.length} of ${deployments.length} regions\nImage: ${imageUrl}\n${lines.join('\n')}`;
+}
+
+// Formats the URL of a preview deployment, or returns an empty string for regular deployments.
+function formatPreviewUrl(response, previewTag) {
+  if (!previewTag) {
+    return '';
+  }
+  return `\nPreview URL (tag ${previewTag}, no traffic): ${getTagUrls(response)[previewTag] || 'not available yet'}\nUse promote_preview to send traffic to this revision.`;
+}
+
+// Settings of a Cloud Run job, for the job deploy tools.
+const jobConfigSchema = {
+  taskCount: z
+    .number()
+    .int()
+    .min(1)
+    .optional()
+    .describe(
+      'Optional. Number of tasks each execution of the job runs. Each task gets its index in the CLOUD_RUN_TASK_INDEX environment variable. Defaults to 1 for new jobs.'
+    ),
+  parallelism: z
+    .number()
+    .int()
+    .min(0)
+    .optional()
+    .describe(
+      'Optional. Maximum number of tasks running at the same time. 0 runs as many tasks as possible in parallel.'
+    ),
+  maxRetries: z
+    .number()
+    .int()
+    .min(0)
+    .max(10)
+    .optional()
+    .describe(
+      'Optional. Number of times a failed task is retried. Defaults to 3 for new jobs.'
+    ),
+  taskTimeoutSeconds: z
+    .number()
+    .int()
+    .min(1)
+    .max(604800)
+    .optional()
+    .describe(
+      'Optional. Maximum duration of a task attempt, in seconds. Defaults to 600 for new jobs.'
+    ),
+  env: z
+    .record(z.string())
+    .optional()
+    .describe(
+      'Optional. Environment variables to set on the job, as a map of variable names to values (e.g. {"REPORT_DATE": "yesterday"})'
+    ),
+  args: z
+    .array(z.string())
+    .optional()
+    .describe(
+      'Optional. Arguments passed to the entrypoint, overriding the CMD of the image (e.g. ["etl.js", "--full"])'
+    ),
+};
+
+// Formats the result of a job deployment, with the command to run it.
+function formatJobDeployment(project, region, job, response) {
+  return `Cloud Run job ${job} deployed in project ${project}\nImage: ${response.template?.template?.containers?.[0]?.image}\nCloud Console: https://console.cloud.google.com/run/jobs/details/${region}/${job}?project=${project}\nThe job is not executed by this deployment. Run it with: gcloud run jobs execute ${job} --region ${region} --project ${project}`;
+}
+
 function gcpTool(gcpCredentialsAvailable, fn) {
   if (!gcpCredentialsAvailable) {
     return () => ({
@@ -410,74 +903,119 @@ function registerGetServiceLogTool(server, options) {
   );
 }
 
-// Tool to deploy to Cloud Run from local folder
-function registerDeployLocalFolderTool(server, options) {
+/**
+ * Converts a user, group or service account identifier to an IAM member.
+ * Prefixed members (e.g. 'group:team@example.com'), 'allUsers' and 'allAuthenticatedUsers' are kept as is,
+ * service account emails get the 'serviceAccount:' prefix and other emails the 'user:' prefix.
+ * @param {string} member - The identifier to convert.
+ * @returns {string} The IAM member.
+ */
+function toIamMember(member) {
+  if (
+    member.includes(':') ||
+    member === 'allUsers' ||
+    member === 'allAuthenticatedUsers'
+  ) {
+    return member;
+  }
+  if (member.endsWith('.gserviceaccount.com')) {
+    return `serviceAccount:${member}`;
+  }
+  if (member.includes('@')) {
+    return `user:${member}`;
+  }
+  throw new Error(
+    `Invalid member "${member}". Use an email address or a prefixed member such as "group:team@example.com".`
+  );
+}
+
+// Formats a protobuf Timestamp as an ISO 8601 string.
+function formatTimestamp(timestamp) {
+  if (!timestamp?.seconds) {
+    return 'unknown';
+  }
+  return new Date(Number(timestamp.seconds) * 1000).toISOString();
+}
+
+// Returns the state of the Ready condition of a revision (e.g. "CONDITION_SUCCEEDED").
+function getReadyState(revision) {
+  const ready = (revision.conditions || []).find((c) => c.type === 'Ready');
+  return ready?.state || 'unknown';
+}
+
+// Returns the image of the main container of a revision, and its digest when the image is pinned to one.
+function getRevisionImage(revision) {
+  const containers = revision.containers || [];
+  const image =
+    (containers.find((c) => c.ports?.length > 0) || containers[0])?.image ||
+    'unknown';
+  const digest = image.includes('@') ? image.split('@').pop() : 'unknown';
+  return { image, digest };
+}
+
+// Tool to list the revisions of a service
+function registerListRevisionsTool(server, options) {
   server.registerTool(
-    'deploy_local_folder',
+    'list_revisions',
     {
       description:
-        'Deploy a local folder to Cloud Run. Takes an absolute folder path from the local filesystem that will be deployed. Use this tool if the entire folder content needs to be deployed.',
+        'Lists the revisions of a Cloud Run service, newest first, with their creation time, creator, image, traffic percentage and readiness.',
       inputSchema: {
         project: z
           .string()
-          .describe(
-            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
-          )
+          .describe('Google Cloud project ID containing the service')
           .default(options.defaultProjectId),
         region: z
           .string()
-          .optional()
-          .default(options.defaultRegion)
-          .describe('Region to deploy the service to'),
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
         service: z
           .string()
-          .optional()
-          .default(options.defaultServiceName)
-          .describe('Name of the Cloud Run service to deploy to'),
-        folderPath: z
-          .string()
-          .describe(
-            'Absolute path to the folder to deploy (e.g. "/home/user/project/src")'
-          ),
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
       },
     },
     gcpTool(
       options.gcpCredentialsAvailable,
-      async (
-        { project, region, service, folderPath },
-        { sendNotification }
-      ) => {
+      async ({ project, region, service }) => {
         if (typeof project !== 'string') {
-          throw new Error(
-            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
-          );
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
         }
-        if (typeof folderPath !== 'string' || folderPath.trim() === '') {
-          throw new Error(
-            'Folder path must be specified and be a non-empty string.'
-          );
+        if (typeof service !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Service name must be provided.' },
+            ],
+          };
         }
-
-        const progressCallback = createProgressCallback(sendNotification);
-
-        // Deploy to Cloud Run
         try {
-          await progressCallback({
-            data: `Starting deployment of local folder for service ${service} in project ${project}...`,
-          });
-          const response = await deploy({
-            projectId: project,
-            serviceName: service,
-            region: region,
-            files: [folderPath],
-            skipIamCheck: options.skipIamCheck, // Pass the new flag
-            progressCallback,
+          const serviceDetails = await getService(project, region, service);
+          if (!serviceDetails) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Service ${service} not found in project ${project} (region ${region}).`,
+                },
+              ],
+            };
+          }
+          const traffic = getTrafficByRevision(serviceDetails);
+          const revisions = await listRevisions(project, region, service);
+          const lines = revisions.map((revision) => {
+            const name = revision.name.split('/').pop();
+            const { image, digest } = getRevisionImage(revision);
+            return `- ${name}: created ${formatTimestamp(revision.createTime)} by ${revision.creator || 'unknown'}, traffic ${traffic[name] || 0}%, ready: ${getReadyState(revision)}\n  image: ${image} (digest: ${digest})`;
           });
           return {
             content: [
               {
                 type: 'text',
-                text: `Cloud Run service ${service} deployed from folder ${folderPath} in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}`,
+                text: `Revisions of service ${service} in project ${project} (region ${region}):\n${lines.join('\n')}`,
               },
             ],
           };
@@ -486,7 +1024,7 @@ function registerDeployLocalFolderTool(server, options) {
             content: [
               {
                 type: 'text',
-                text: `Error deploying folder to Cloud Run: ${error.message || error}`,
+                text: `Error listing revisions of service ${service} in project ${project} (region ${region}): ${error.message}`,
               },
             ],
           };
@@ -496,98 +1034,97 @@ function registerDeployLocalFolderTool(server, options) {
   );
 }
 
-// Tool to deploy to Cloud Run from file contents
-function registerDeployFileContentsTool(server, options) {
+// Tool to get the details of a revision
+function registerGetRevisionTool(server, options) {
   server.registerTool(
-    'deploy_file_contents',
+    'get_revision',
     {
       description:
-        'Deploy files to Cloud Run by providing their contents directly. Takes an array of file objects containing filename and content. Use this tool if the files only exist in the current chat context.',
+        'Gets details for a specific revision of a Cloud Run service: creation time, creator, image digest, traffic percentage, conditions and scaling settings.',
       inputSchema: {
         project: z
           .string()
-          .describe(
-            'Google Cloud project ID. Leave unset for the app to be deployed in a new project. If provided, make sure the user confirms the project ID they want to deploy to.'
-          )
+          .describe('Google Cloud project ID containing the service')
           .default(options.defaultProjectId),
         region: z
           .string()
-          .optional()
-          .default(options.defaultRegion)
-          .describe('Region to deploy the service to'),
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
         service: z
           .string()
-          .optional()
-          .default(options.defaultServiceName)
-          .describe('Name of the Cloud Run service to deploy to'),
-        files: z
-          .array(
-            z.object({
-              filename: z
-                .string()
-                .describe(
-                  'Name and path of the file (e.g. "src/index.js" or "data/config.json")'
-                ),
-              content: z
-                .string()
-                .optional()
-                .describe('Text content of the file'),
-            })
-          )
-          .describe('Array of file objects containing filename and content'),
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        revision: z
+          .string()
+          .describe(
+            'Name of the revision (e.g. "my-service-00001-abc"), as returned by list_revisions'
+          ),
       },
     },
     gcpTool(
       options.gcpCredentialsAvailable,
-      async ({ project, region, service, files }, { sendNotification }) => {
+      async ({ project, region, service, revision }) => {
         if (typeof project !== 'string') {
-          throw new Error(
-            'Project must specified, please prompt the user for a valid existing Google Cloud project ID.'
-          );
-        }
-        if (typeof files !== 'object' || !Array.isArray(files)) {
-          throw new Error('Files must be specified');
-        }
-        if (files.length === 0) {
-          throw new Error('No files specified for deployment');
-        }
-
-        // Validate that each file has either content
-        for (const file of files) {
-          if (!file.content) {
-            throw new Error(`File ${file.filename} must have content`);
-          }
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
         }
-
-        const progressCallback = createProgressCallback(sendNotification);
-
-        // Deploy to Cloud Run
-        try {
-          await progressCallback({
-            data: `Starting deployment of file contents for service ${service} in project ${project}...`,
-          });
-          const response = await deploy({
-            projectId: project,
-            serviceName: service,
-            region: region,
-            files: files,
-            skipIamCheck: options.skipIamCheck, // Pass the new flag
-            progressCallback,
-          });
+        if (typeof revision !== 'string') {
           return {
             content: [
-              {
-                type: 'text',
-                text: `Cloud Run service ${service} deployed in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}`,
-              },
+              { type: 'text', text: 'Error: Revision name must be provided.' },
             ],
           };
+        }
+        try {
+          const revisionDetails = await getRevision(
+            project,
+            region,
+            service,
+            revision
+          );
+          if (!revisionDetails) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Revision ${revision} of service ${service} not found in project ${project} (region ${region}).`,
+                },
+              ],
+            };
+          }
+          const serviceDetails = await getService(project, region, service);
+          const traffic = getTrafficByRevision(serviceDetails);
+          const { image, digest } = getRevisionImage(revisionDetails);
+          const scaling = revisionDetails.scaling || {};
+          const conditions = (revisionDetails.conditions || []).map(
+            (c) =>
+              `- ${c.type}: ${c.state}${c.message ? ` (${c.message})` : ''}`
+          );
+          const text = [
+            `Revision: ${revision}`,
+            `Service: ${service}`,
+            `Region: ${region}`,
+            `Project: ${project}`,
+            `Created: ${formatTimestamp(revisionDetails.createTime)}`,
+            `Creator: ${revisionDetails.creator || 'unknown'}`,
+            `Image: ${image}`,
+            `Image digest: ${digest}`,
+            `Traffic: ${traffic[revision] || 0}%`,
+            `Scaling: min ${scaling.minInstanceCount || 0} instances, max ${scaling.maxInstanceCount || 'default'} instances`,
+            `Concurrency: ${revisionDetails.maxInstanceRequestConcurrency || 'default'}`,
+            `Service account: ${revisionDetails.serviceAccount || 'default'}`,
+            `Conditions:\n${conditions.join('\n') || '- none'}`,
+          ].join('\n');
+          return { content: [{ type: 'text', text }] };
         } catch (error) {
           return {
             content: [
               {
                 type: 'text',
-                text: `Error deploying to Cloud Run: ${error.message || error}`,
+                text: `Error getting revision ${revision} of service ${service} in project ${project} (region ${region}): ${error.message}`,
               },
             ],
           };
@@ -597,68 +1134,1483 @@ function registerDeployFileContentsTool(server, options) {
   );
 }
 
-// Tool to deploy to Cloud Run from container image
-function registerDeployContainerImageTool(server, options) {
+// Formats the traffic split of a service, one line per traffic target.
+function formatTrafficStatuses(service) {
+  return (service.trafficStatuses || [])
+    .filter((status) => status.percent)
+    .map((status) => {
+      const revision =
+        status.type === 'TRAFFIC_TARGET_ALLOCATION_TYPE_LATEST'
+          ? `LATEST (${service.latestReadyRevision?.split('/').pop() || 'no ready revision'})`
+          : status.revision;
+      return `- ${status.percent}% to ${revision}`;
+    })
+    .join('\n');
+}
+
+// Tool to split traffic between revisions and manage revision tags
+function registerSetTrafficTool(server, options) {
   server.registerTool(
-    'deploy_container_image',
+    'set_traffic',
     {
       description:
-        'Deploys a container image to Cloud Run. Use this tool if the user provides a container image URL.',
+        'Splits the traffic of a Cloud Run service between revisions, and assigns or removes revision tags. Each tag gets its own URL that reaches the tagged revision directly, even without traffic. Use list_revisions to find revision names.',
       inputSchema: {
         project: z
           .string()
-          .describe(
-            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
-          )
+          .describe('Google Cloud project ID containing the service')
           .default(options.defaultProjectId),
         region: z
           .string()
-          .optional()
-          .default(options.defaultRegion)
-          .describe('Region to deploy the service to'),
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
         service: z
           .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        traffic: z
+          .array(
+            z.object({
+              revision: z
+                .string()
+                .describe(
+                  'Name of the revision, or "LATEST" for the latest ready revision'
+                ),
+              percent: z
+                .number()
+                .int()
+                .min(0)
+                .max(100)
+                .describe('Percentage of traffic sent to the revision'),
+            })
+          )
           .optional()
-          .default(options.defaultServiceName)
-          .describe('Name of the Cloud Run service to deploy to'),
-        imageUrl: z
-          .string()
           .describe(
-            'The URL of the container image to deploy (e.g. "gcr.io/cloudrun/hello")'
+            'Optional. New traffic split, replacing the current one. Percentages must add up to 100 (e.g. [{"revision": "LATEST", "percent": 90}, {"revision": "my-service-00001-abc", "percent": 10}]).'
           ),
+        tags: z
+          .record(z.string())
+          .optional()
+          .describe(
+            'Optional. Tags to assign, as a map of tag names to revision names or "LATEST" (e.g. {"blue": "my-service-00001-abc"}). A tag is moved if it was already assigned.'
+          ),
+        removeTags: z
+          .array(z.string())
+          .optional()
+          .describe('Optional. Tags to remove'),
       },
     },
     gcpTool(
       options.gcpCredentialsAvailable,
-      async ({ project, region, service, imageUrl }, { sendNotification }) => {
+      async ({ project, region, service, traffic, tags, removeTags }) => {
         if (typeof project !== 'string') {
-          throw new Error(
-            'Project must specified, please prompt the user for a valid existing Google Cloud project ID.'
-          );
-        }
-        if (typeof imageUrl !== 'string' || imageUrl.trim() === '') {
-          throw new Error(
-            'Container image URL must be specified and be a non-empty string.'
-          );
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
         }
-
-        const progressCallback = createProgressCallback(sendNotification);
-
-        // Deploy to Cloud Run
-        try {
-          const response = await deployImage({
-            projectId: project,
+        if (
+          !traffic &&
+          Object.keys(tags || {}).length === 0 &&
+          (removeTags || []).length === 0
+        ) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: 'Error: At least one of traffic, tags or removeTags must be provided.',
+              },
+            ],
+          };
+        }
+        try {
+          const updatedService = await setTraffic(project, region, service, {
+            traffic,
+            tags,
+            removeTags,
+          });
+          const tagUrls = Object.entries(getTagUrls(updatedService)).map(
+            ([tag, url]) => `- ${tag}: ${url}`
+          );
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Updated traffic of service ${service} in project ${project} (region ${region}):\n${formatTrafficStatuses(updatedService)}\nTag URLs:\n${tagUrls.join('\n') || '- none'}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error updating traffic of service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to roll back a service to a previous revision
+function registerRollbackServiceTool(server, options) {
+  server.registerTool(
+    'rollback_service',
+    {
+      description:
+        'Rolls back a Cloud Run service by sending 100% of its traffic to a previous revision. By default, the newest ready revision older than the one currently serving traffic, that served traffic itself, is used. Previews that were never promoted are skipped.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        revision: z
+          .string()
+          .optional()
+          .describe(
+            'Optional. Name of the revision to roll back to (e.g. "my-service-00001-abc"). Defaults to the previous ready revision.'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, revision }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const result = await rollbackService(
+            project,
+            region,
+            service,
+            revision
+          );
+          const previousTraffic = Object.entries(result.previousTraffic)
+            .map(([name, percent]) => `- ${percent}% to ${name}`)
+            .join('\n');
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Rolled back service ${service} in project ${project} (region ${region}) to revision ${result.revision}.\nTraffic before the rollback:\n${previousTraffic || '- none'}\nTraffic now:\n${formatTrafficStatuses(result.service)}\nThe next deployment without previewTag sends 100% of the traffic to the new revision again.`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error rolling back service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to promote a preview deployment
+function registerPromotePreviewTool(server, options) {
+  server.registerTool(
+    'promote_preview',
+    {
+      description:
+        'Promotes a preview deployment by sending 100% of the traffic of a Cloud Run service to the revision with the given tag.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        tag: z.string().describe('Tag of the preview (e.g. "pr-123")'),
+        keepTag: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe(
+            'Optional. If true, the tag and its URL are kept after the promotion'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, tag, keepTag }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const result = await promotePreview(
+            project,
+            region,
+            service,
+            tag,
+            keepTag
+          );
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Promoted preview ${tag} (revision ${result.revision}) of service ${service} in project ${project} (region ${region}).\nTraffic now:\n${formatTrafficStatuses(result.service)}\nService URL: ${result.service.uri}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error promoting preview ${tag} of service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to delete a service
+function registerDeleteServiceTool(server, options) {
+  server.registerTool(
+    'delete_service',
+    {
+      description:
+        'Deletes a Cloud Run service and all of its revisions. This cannot be undone. The service name must be repeated in confirmServiceName. Optionally also deletes the image pushed for the service to the mcp-cloud-run-deployments Artifact Registry repository, unless another Cloud Run service or job still uses it.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z.string().describe('Name of the Cloud Run service to delete'),
+        confirmServiceName: z
+          .string()
+          .describe(
+            'The name of the service to delete, repeated to confirm the deletion'
+          ),
+        deleteImage: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe(
+            'Optional. If true, the image of the service is also deleted from the mcp-cloud-run-deployments Artifact Registry repository'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, confirmServiceName, deleteImage }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        if (confirmServiceName !== service) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error: confirmServiceName "${confirmServiceName}" does not match service "${service}". Nothing was deleted.`,
+              },
+            ],
+          };
+        }
+        try {
+          const result = await deleteDeployment({
+            projectId: project,
+            serviceName: service,
+            region,
+            deleteImage,
+          });
+          const revisions = result.revisions
+            .map((revision) => `- ${revision}`)
+            .join('\n');
+          const urls = result.service.urls?.length
+            ? result.service.urls
+            : [result.service.uri];
+          let text = `Deleted service ${service} in project ${project} (region ${region}).\n${urls.length > 1 ? 'URLs' : 'URL'} no longer served: ${urls.join(', ')}\nDeleted revisions:\n${revisions || '- none'}`;
+          if (result.imageUsers) {
+            text += `\nKept image ${service} in the mcp-cloud-run-deployments repository, it is still used by: ${result.imageUsers.join(', ')}.`;
+          } else if (result.imageError) {
+            text += `\nCould not delete image ${service} from the mcp-cloud-run-deployments repository: ${result.imageError}`;
+          } else if (deleteImage) {
+            text += result.imageDeleted
+              ? `\nDeleted image ${service} from the mcp-cloud-run-deployments repository.`
+              : `\nNo image ${service} found in the mcp-cloud-run-deployments repository.`;
+          }
+          return { content: [{ type: 'text', text }] };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deleting service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+/**
+ * Formats a domain mapping with its status and the DNS records to create.
+ * @param {object} mapping - The domain mapping.
+ * @returns {string} - The formatted domain mapping.
+ */
+function formatDomainMapping(mapping) {
+  const { domain, service, status, certificate, dnsRecords } =
+    describeDomainMapping(mapping);
+  const records = dnsRecords.length
+    ? dnsRecords
+        .map((record) => `  - ${record.type} ${record.name} ${record.value}`)
+        .join('\n')
+    : '  - not available yet, check again with list_domain_mappings in a few minutes';
+  return `- ${domain} -> service ${service}\n  status: ${status}\n  certificate: ${certificate}\n  DNS records to create at the DNS provider of the domain:\n${records}`;
+}
+
+// Tool to map a custom domain to a service
+function registerCreateDomainMappingTool(server, options) {
+  server.registerTool(
+    'create_domain_mapping',
+    {
+      description:
+        'Maps a custom domain (e.g. www.example.com) to a Cloud Run service with a Google-managed certificate. Returns the DNS records the user must create at their DNS provider and the certificate provisioning status. The domain must be verified by the user in Google Search Console first. Domain mappings are not available in all regions.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        domain: z
+          .string()
+          .describe('The custom domain to map (e.g. "www.example.com")'),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, domain }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const mapping = await createDomainMapping(
+            project,
+            region,
+            domain,
+            service
+          );
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Mapped domain ${domain} to service ${service} in project ${project} (region ${region}).\n${formatDomainMapping(mapping)}\nThe certificate is provisioned once the DNS records are in place, which can take up to 24 hours. Check the status with list_domain_mappings.`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error mapping domain ${domain} to service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to list the custom domains mapped to services
+function registerListDomainMappingsTool(server, options) {
+  server.registerTool(
+    'list_domain_mappings',
+    {
+      description:
+        'Lists the custom domains mapped to Cloud Run services in a region, with their status, certificate provisioning status and the DNS records to create.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the services')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the services are located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .optional()
+          .describe(
+            'Optional. Only list the domains mapped to this Cloud Run service'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const mappings = await listDomainMappings(project, region, service);
+          const scope = service ? ` for service ${service}` : '';
+          if (mappings.length === 0) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `No domain mappings${scope} in project ${project} (region ${region}).`,
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Domain mappings${scope} in project ${project} (region ${region}):\n${mappings.map(formatDomainMapping).join('\n')}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error listing domain mappings in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to delete a domain mapping
+function registerDeleteDomainMappingTool(server, options) {
+  server.registerTool(
+    'delete_domain_mapping',
+    {
+      description:
+        'Deletes the mapping of a custom domain to a Cloud Run service. The domain stops serving the service, which stays reachable on its run.app URL. The DNS records of the domain are not changed.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        domain: z
+          .string()
+          .describe('The custom domain to unmap (e.g. "www.example.com")'),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, domain }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const mapping = await deleteDomainMapping(project, region, domain);
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Deleted the mapping of domain ${domain} to service ${mapping.spec?.routeName} in project ${project} (region ${region}). Remove its DNS records at the DNS provider if they are no longer needed.`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deleting the mapping of domain ${domain} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to put a global load balancer in front of a service
+function registerCreateLoadBalancerTool(server, options) {
+  server.registerTool(
+    'create_load_balancer',
+    {
+      description:
+        'Creates a global external Application Load Balancer in front of a Cloud Run service deployed in one or more regions, giving it a single anycast IP address. Creates a serverless network endpoint group per region, a backend service with optional Cloud CDN, a Google-managed certificate for the given domains and an HTTPS forwarding rule. Returns the IP address and the DNS records the user must create. Existing resources are reused, so it can be run again to add regions.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        regions: z
+          .array(z.string())
+          .min(1)
+          .describe(
+            'Regions where the service is deployed (e.g. ["us-central1", "europe-west1"]). Requests are routed to the closest region.'
+          ),
+        domains: z
+          .array(z.string())
+          .min(1)
+          .describe(
+            'Domains served by the load balancer and covered by its managed certificate (e.g. ["www.example.com"])'
+          ),
+        enableCdn: z
+          .boolean()
+          .optional()
+          .default(false)
+          .describe(
+            'Optional. If true, cacheable responses are served by Cloud CDN'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, service, regions, domains, enableCdn },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          const result = await createLoadBalancer({
+            projectId: project,
+            serviceName: service,
+            regions,
+            domains,
+            enableCdn,
+            progressCallback,
+          });
+          const records = result.domains
+            .map((domain) => `  - A ${domain} ${result.ipAddress}`)
+            .join('\n');
+          const notes = result.notes.map((note) => `\nNote: ${note}`).join('');
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Global external Application Load Balancer created for service ${service} in project ${project}.\nIP address: ${result.ipAddress}\nRegions: ${regions.join(', ')}\nCloud CDN: ${result.enableCdn ? 'enabled' : 'disabled'}\nCertificate ${result.resources.certificate}: ${result.certificateStatus || 'unknown'}\nDNS records to create at the DNS provider of the domains:\n${records}\nThe managed certificate is provisioned once these records point to the load balancer, which can take up to 60 minutes. HTTPS requests fail until then.${notes}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error creating the load balancer of service ${service} in project ${project}: ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to export a service definition as YAML
+function registerExportServiceTool(server, options) {
+  server.registerTool(
+    'export_service',
+    {
+      description:
+        'Exports the definition of a Cloud Run service as Knative-compatible YAML, without output-only fields. The YAML can be kept in version control and applied with apply_service.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        filePath: z
+          .string()
+          .optional()
+          .describe(
+            'Optional. Absolute path of a local file to write the YAML to (e.g. "/home/user/project/service.yaml")'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, filePath }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const serviceDetails = await getService(project, region, service);
+          if (!serviceDetails) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Service ${service} not found in project ${project} (region ${region}).`,
+                },
+              ],
+            };
+          }
+          const yaml = serviceToYaml(serviceDetails);
+          let text = `Definition of service ${service} in project ${project} (region ${region}):\n${yaml}`;
+          if (filePath) {
+            const fs = await import('fs');
+            await fs.promises.writeFile(filePath, yaml);
+            text = `Wrote the definition of service ${service} to ${filePath}.\n${yaml}`;
+          }
+          return { content: [{ type: 'text', text }] };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error exporting service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to create or update a service from a YAML definition
+function registerApplyServiceTool(server, options) {
+  server.registerTool(
+    'apply_service',
+    {
+      description:
+        'Creates or updates a Cloud Run service from a Knative-compatible YAML definition, such as one written by export_service. The definition replaces the configuration of an existing service. It is validated with a dry run before it is applied.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region to deploy the service to')
+          .default(options.defaultRegion),
+        yaml: z
+          .string()
+          .optional()
+          .describe(
+            'YAML definition of the service. The service name is read from metadata.name. Set either yaml or filePath.'
+          ),
+        filePath: z
+          .string()
+          .optional()
+          .describe(
+            'Absolute path of a local file containing the YAML definition. Set either yaml or filePath.'
+          ),
+        plan: serviceConfigSchema.plan,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, yaml, filePath, plan },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (Boolean(yaml) === Boolean(filePath)) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: 'Error: Set either yaml or filePath.',
+              },
+            ],
+          };
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          let definition = yaml;
+          if (filePath) {
+            const fs = await import('fs');
+            definition = await fs.promises.readFile(filePath, 'utf8');
+          }
+          const { serviceId, service } = serviceFromYaml(definition);
+          const response = await applyService({
+            projectId: project,
+            serviceName: serviceId,
+            region,
+            service,
+            progressCallback,
+            plan,
+          });
+          if (plan) {
+            return {
+              content: [{ type: 'text', text: formatDeploymentPlan(response) }],
+            };
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Applied the definition of service ${serviceId} in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${serviceId}?project=${project}\nService URL: ${response.uri}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error applying service definition: ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to get the IAM policy of a service
+function registerGetServiceIamPolicyTool(server, options) {
+  server.registerTool(
+    'get_service_iam_policy',
+    {
+      description:
+        'Gets the IAM policy of a Cloud Run service, including who can invoke it.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe('Google Cloud project ID containing the service')
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        try {
+          const serviceDetails = await getService(project, region, service);
+          if (!serviceDetails) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: `Service ${service} not found in project ${project} (region ${region}).`,
+                },
+              ],
+            };
+          }
+          const policy = await getServiceIamPolicy(project, region, service);
+          const bindings = policy.bindings || [];
+          const bindingsText =
+            bindings.length > 0
+              ? bindings
+                  .map((b) => `- ${b.role}: ${b.members.join(', ')}`)
+                  .join('\n')
+              : 'No IAM bindings.';
+          const invokerCheckText = serviceDetails.invokerIamDisabled
+            ? 'disabled (the service is publicly accessible)'
+            : 'enabled';
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `IAM policy of service ${service} in project ${project} (region ${region}):\n${bindingsText}\nInvoker IAM check: ${invokerCheckText}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error getting IAM policy of service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to grant or revoke invoker access to a service
+function registerSetServiceAccessTool(server, options) {
+  server.registerTool(
+    'set_service_access',
+    {
+      description:
+        'Grants or revokes the permission to invoke a Cloud Run service (roles/run.invoker) for specific users, groups or service accounts.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .describe('Region where the service is located')
+          .default(options.defaultRegion),
+        service: z
+          .string()
+          .describe('Name of the Cloud Run service')
+          .default(options.defaultServiceName),
+        addMembers: z
+          .array(z.string())
+          .optional()
+          .describe(
+            'Optional. Members to grant invoker access to: emails of users or service accounts, or prefixed members (e.g. "user:jane@example.com", "group:team@example.com", "serviceAccount:sa@my-project.iam.gserviceaccount.com", "domain:example.com")'
+          ),
+        removeMembers: z
+          .array(z.string())
+          .optional()
+          .describe(
+            'Optional. Members to revoke invoker access from, in the same format as "addMembers"'
+          ),
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async ({ project, region, service, addMembers, removeMembers }) => {
+        if (typeof project !== 'string') {
+          return {
+            content: [
+              { type: 'text', text: 'Error: Project ID must be provided.' },
+            ],
+          };
+        }
+        if (!addMembers?.length && !removeMembers?.length) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: 'Error: At least one member must be provided in addMembers or removeMembers.',
+              },
+            ],
+          };
+        }
+        try {
+          const policy = await updateServiceInvokers(project, region, service, {
+            add: (addMembers || []).map(toIamMember),
+            remove: (removeMembers || []).map(toIamMember),
+          });
+          const invokers =
+            (policy.bindings || []).find((b) => b.role === 'roles/run.invoker')
+              ?.members || [];
+          let text = `Updated access to service ${service} in project ${project} (region ${region}).\nMembers that can invoke the service: ${invokers.length > 0 ? invokers.join(', ') : 'none'}`;
+          const serviceDetails = await getService(project, region, service);
+          if (serviceDetails?.invokerIamDisabled) {
+            text +=
+              '\nNote: the invoker IAM check is disabled on this service, so it is publicly accessible regardless of these bindings. Redeploy with allowUnauthenticated set to false to enforce them.';
+          }
+          return { content: [{ type: 'text', text }] };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error updating access to service ${service} in project ${project} (region ${region}): ${error.message}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy to Cloud Run from local folder
+function registerDeployLocalFolderTool(server, options) {
+  server.registerTool(
+    'deploy_local_folder',
+    {
+      description:
+        'Deploy a local folder to Cloud Run. Takes an absolute folder path from the local filesystem that will be deployed. Use this tool if the entire folder content needs to be deployed.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the service to'),
+        service: z
+          .string()
+          .optional()
+          .default(options.defaultServiceName)
+          .describe('Name of the Cloud Run service to deploy to'),
+        folderPath: z
+          .string()
+          .describe(
+            'Absolute path to the folder to deploy (e.g. "/home/user/project/src")'
+          ),
+        ...envFileSchema,
+        ...regionsSchema,
+        ...serviceConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, service, folderPath, ...serviceConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (typeof folderPath !== 'string' || folderPath.trim() === '') {
+          throw new Error(
+            'Folder path must be specified and be a non-empty string.'
+          );
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        // Deploy to Cloud Run
+        try {
+          await progressCallback({
+            data: `Starting deployment of local folder for service ${service} in project ${project}...`,
+          });
+          const response = await deploy({
+            projectId: project,
+            serviceName: service,
+            region: region,
+            files: [folderPath],
+            skipIamCheck: options.skipIamCheck, // Pass the new flag
+            progressCallback,
+            ...serviceConfig,
+          });
+          if (serviceConfig.plan) {
+            return {
+              content: [{ type: 'text', text: formatPlans(response) }],
+            };
+          }
+          if (serviceConfig.regions) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: formatMultiRegionDeployment(
+                    project,
+                    service,
+                    response,
+                    serviceConfig.previewTag
+                  ),
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Cloud Run service ${service} deployed from folder ${folderPath} in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}${formatPreviewUrl(response, serviceConfig.previewTag)}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying folder to Cloud Run: ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy to Cloud Run from file contents
+function registerDeployFileContentsTool(server, options) {
+  server.registerTool(
+    'deploy_file_contents',
+    {
+      description:
+        'Deploy files to Cloud Run by providing their contents directly. Takes an array of file objects containing filename and content. Use this tool if the files only exist in the current chat context.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Leave unset for the app to be deployed in a new project. If provided, make sure the user confirms the project ID they want to deploy to.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the service to'),
+        service: z
+          .string()
+          .optional()
+          .default(options.defaultServiceName)
+          .describe('Name of the Cloud Run service to deploy to'),
+        files: fileContentsSchema,
+        ...envFileSchema,
+        ...regionsSchema,
+        ...serviceConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, service, files, ...serviceConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (typeof files !== 'object' || !Array.isArray(files)) {
+          throw new Error('Files must be specified');
+        }
+        if (files.length === 0) {
+          throw new Error('No files specified for deployment');
+        }
+
+        // Validate that each file has either content
+        for (const file of files) {
+          if (!file.content) {
+            throw new Error(`File ${file.filename} must have content`);
+          }
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        // Deploy to Cloud Run
+        try {
+          await progressCallback({
+            data: `Starting deployment of file contents for service ${service} in project ${project}...`,
+          });
+          const response = await deploy({
+            projectId: project,
+            serviceName: service,
+            region: region,
+            files: files,
+            skipIamCheck: options.skipIamCheck, // Pass the new flag
+            progressCallback,
+            ...serviceConfig,
+          });
+          if (serviceConfig.plan) {
+            return {
+              content: [{ type: 'text', text: formatPlans(response) }],
+            };
+          }
+          if (serviceConfig.regions) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: formatMultiRegionDeployment(
+                    project,
+                    service,
+                    response,
+                    serviceConfig.previewTag
+                  ),
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Cloud Run service ${service} deployed in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}${formatPreviewUrl(response, serviceConfig.previewTag)}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying to Cloud Run: ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy to Cloud Run from container image
+function registerDeployContainerImageTool(server, options) {
+  server.registerTool(
+    'deploy_container_image',
+    {
+      description:
+        'Deploys a container image to Cloud Run. Use this tool if the user provides a container image URL.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the service to'),
+        service: z
+          .string()
+          .optional()
+          .default(options.defaultServiceName)
+          .describe('Name of the Cloud Run service to deploy to'),
+        imageUrl: z
+          .string()
+          .describe(
+            'The URL of the container image to deploy (e.g. "gcr.io/cloudrun/hello")'
+          ),
+        ...regionsSchema,
+        ...serviceConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, service, imageUrl, ...serviceConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (typeof imageUrl !== 'string' || imageUrl.trim() === '') {
+          throw new Error(
+            'Container image URL must be specified and be a non-empty string.'
+          );
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        // Deploy to Cloud Run
+        try {
+          const response = await deployImage({
+            projectId: project,
+            serviceName: service,
+            region: region,
+            imageUrl: imageUrl,
+            skipIamCheck: options.skipIamCheck,
+            progressCallback,
+            ...serviceConfig,
+          });
+          if (serviceConfig.plan) {
+            return {
+              content: [{ type: 'text', text: formatPlans(response) }],
+            };
+          }
+          if (serviceConfig.regions) {
+            return {
+              content: [
+                {
+                  type: 'text',
+                  text: formatMultiRegionDeployment(
+                    project,
+                    service,
+                    response,
+                    serviceConfig.previewTag
+                  ),
+                },
+              ],
+            };
+          }
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Cloud Run service ${service} deployed in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}${formatPreviewUrl(response, serviceConfig.previewTag)}`,
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying to Cloud Run: ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy a new revision as a canary
+function registerCanaryDeployTool(server, options) {
+  // The canary revision is deployed as a preview with its own tag.
+  const { previewTag, ...canaryServiceConfigSchema } = serviceConfigSchema;
+  // Remote servers only build source code given by its contents, never files from their own filesystem.
+  const sourceOption = options.remote ? 'files' : 'folderPath';
+  const sourceSchema = options.remote
+    ? {
+        files: fileContentsSchema
+          .optional()
+          .describe(
+            'Array of file objects containing filename and content, to build and deploy. Either imageUrl or files must be provided.'
+          ),
+      }
+    : {
+        folderPath: z
+          .string()
+          .optional()
+          .describe(
+            'Absolute path to a local folder to build and deploy. Either imageUrl or folderPath must be provided.'
+          ),
+        ...envFileSchema,
+      };
+  server.registerTool(
+    'canary_deploy',
+    {
+      description:
+        'Deploys a new revision of an existing Cloud Run service as a canary. The revision receives an increasing share of the traffic in steps. After each step, its 5xx responses and error logs are checked: if a threshold is crossed or the revision received no requests, the previous traffic split is restored, otherwise the revision is promoted to 100% of the traffic.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region of the service'),
+        service: z
+          .string()
+          .optional()
+          .default(options.defaultServiceName)
+          .describe('Name of the existing Cloud Run service'),
+        imageUrl: z
+          .string()
+          .optional()
+          .describe(
+            `The URL of the container image to deploy. Either imageUrl or ${sourceOption} must be provided.`
+          ),
+        ...sourceSchema,
+        steps: z
+          .array(z.number().int().min(1).max(99))
+          .optional()
+          .default([10, 50])
+          .describe(
+            'Optional. Increasing percentages of traffic sent to the canary revision, one per step. Defaults to [10, 50].'
+          ),
+        stepDurationSeconds: z
+          .number()
+          .int()
+          .min(10)
+          .max(1800)
+          .optional()
+          .default(60)
+          .describe(
+            'Optional. How long each step is watched before moving on, in seconds. Between 10 and 1800, defaults to 60. Shorter steps may receive no requests, which rejects the canary.'
+          ),
+        maxErrors: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .default(0)
+          .describe(
+            'Optional. Maximum number of error logs written by the canary revision at each step. Defaults to 0.'
+          ),
+        maxServerErrorPercent: z
+          .number()
+          .min(0)
+          .max(100)
+          .optional()
+          .default(1)
+          .describe(
+            'Optional. Maximum share of 5xx responses of the canary revision at each step, in percent. Defaults to 1.'
+          ),
+        ...canaryServiceConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        {
+          project,
+          region,
+          service,
+          imageUrl,
+          folderPath,
+          files,
+          useEnvFile,
+          ...canaryConfig
+        },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        const sourceFiles = options.remote ? files : folderPath && [folderPath];
+        if (!imageUrl === !sourceFiles?.length) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error: Exactly one of imageUrl or ${sourceOption} must be provided.`,
+              },
+            ],
+          };
+        }
+        for (const file of files || []) {
+          if (!file.content) {
+            throw new Error(`File ${file.filename} must have content`);
+          }
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          const result = await canaryDeploy({
+            projectId: project,
             serviceName: service,
             region: region,
-            imageUrl: imageUrl,
+            imageUrl,
+            files: imageUrl ? undefined : sourceFiles,
+            useEnvFile: options.remote ? undefined : useEnvFile,
             skipIamCheck: options.skipIamCheck,
             progressCallback,
+            ...canaryConfig,
           });
+          if (canaryConfig.plan) {
+            return {
+              content: [{ type: 'text', text: formatDeploymentPlan(result) }],
+            };
+          }
+          const steps = result.steps
+            .map(
+              (step) =>
+                `- ${step.percent}%: ${step.requests} requests, ${step.serverErrors} 5xx responses, ${step.errors} error logs`
+            )
+            .join('\n');
+          const outcome = result.promoted
+            ? `Canary revision ${result.revision} was promoted to 100% of traffic.`
+            : `Canary revision ${result.revision} was rejected (${result.reason}), the previous traffic split was restored.`;
           return {
             content: [
               {
                 type: 'text',
-                text: `Cloud Run service ${service} deployed in project ${project}\nCloud Console: https://console.cloud.google.com/run/detail/${region}/${service}?project=${project}\nService URL: ${response.uri}`,
+                text: `${outcome}\nSteps:\n${steps}\nTraffic now:\n${formatTrafficStatuses(result.service)}\nService URL: ${result.service.uri}`,
               },
             ],
           };
@@ -667,7 +2619,252 @@ function registerDeployContainerImageTool(server, options) {
             content: [
               {
                 type: 'text',
-                text: `Error deploying to Cloud Run: ${error.message || error}`,
+                text: `Error during canary deployment of service ${service} in project ${project} (region ${region}): ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy a Cloud Run job from a local folder
+function registerDeployJobLocalFolderTool(server, options) {
+  server.registerTool(
+    'deploy_job_local_folder',
+    {
+      description:
+        'Deploy a local folder as a Cloud Run job, which runs tasks to completion instead of serving requests (e.g. batch processing or scheduled scripts). The folder is built into a container image, and the job is created or updated without being executed.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the job to'),
+        job: z.string().describe('Name of the Cloud Run job to deploy to'),
+        folderPath: z
+          .string()
+          .describe(
+            'Absolute path to the folder to deploy (e.g. "/home/user/project/etl")'
+          ),
+        ...jobConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, job, folderPath, ...jobConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (typeof folderPath !== 'string' || folderPath.trim() === '') {
+          throw new Error(
+            'Folder path must be specified and be a non-empty string.'
+          );
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          await progressCallback({
+            data: `Starting deployment of local folder for job ${job} in project ${project}...`,
+          });
+          const response = await deployJob({
+            projectId: project,
+            jobName: job,
+            region: region,
+            files: [folderPath],
+            progressCallback,
+            ...jobConfig,
+          });
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobDeployment(project, region, job, response),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying folder to Cloud Run job: ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy a Cloud Run job from file contents
+function registerDeployJobFileContentsTool(server, options) {
+  server.registerTool(
+    'deploy_job_file_contents',
+    {
+      description:
+        'Deploy files as a Cloud Run job by providing their contents directly, for code that runs tasks to completion instead of serving requests (e.g. batch processing or scheduled scripts). The files are built into a container image, and the job is created or updated without being executed.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the job to'),
+        job: z.string().describe('Name of the Cloud Run job to deploy to'),
+        files: fileContentsSchema,
+        ...jobConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, job, files, ...jobConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (!Array.isArray(files) || files.length === 0) {
+          throw new Error('No files specified for deployment');
+        }
+        for (const file of files) {
+          if (!file.content) {
+            throw new Error(`File ${file.filename} must have content`);
+          }
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          await progressCallback({
+            data: `Starting deployment of file contents for job ${job} in project ${project}...`,
+          });
+          const response = await deployJob({
+            projectId: project,
+            jobName: job,
+            region: region,
+            files,
+            progressCallback,
+            ...jobConfig,
+          });
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobDeployment(project, region, job, response),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying to Cloud Run job: ${error.message || error}`,
+              },
+            ],
+          };
+        }
+      }
+    )
+  );
+}
+
+// Tool to deploy a Cloud Run job from a container image
+function registerDeployJobContainerImageTool(server, options) {
+  server.registerTool(
+    'deploy_job_container_image',
+    {
+      description:
+        'Deploys a container image as a Cloud Run job, which runs tasks to completion instead of serving requests (e.g. batch processing or scheduled scripts). The job is created or updated without being executed.',
+      inputSchema: {
+        project: z
+          .string()
+          .describe(
+            'Google Cloud project ID. Do not select it yourself, make sure the user provides or confirms the project ID.'
+          )
+          .default(options.defaultProjectId),
+        region: z
+          .string()
+          .optional()
+          .default(options.defaultRegion)
+          .describe('Region to deploy the job to'),
+        job: z.string().describe('Name of the Cloud Run job to deploy to'),
+        imageUrl: z
+          .string()
+          .describe(
+            'The URL of the container image to run (e.g. "us-docker.pkg.dev/cloudrun/container/job")'
+          ),
+        ...jobConfigSchema,
+      },
+    },
+    gcpTool(
+      options.gcpCredentialsAvailable,
+      async (
+        { project, region, job, imageUrl, ...jobConfig },
+        { sendNotification }
+      ) => {
+        if (typeof project !== 'string') {
+          throw new Error(
+            'Project must be specified, please prompt the user for a valid existing Google Cloud project ID.'
+          );
+        }
+        if (typeof imageUrl !== 'string' || imageUrl.trim() === '') {
+          throw new Error(
+            'Container image URL must be specified and be a non-empty string.'
+          );
+        }
+
+        const progressCallback = createProgressCallback(sendNotification);
+
+        try {
+          await progressCallback({
+            data: `Starting deployment of image ${imageUrl} for job ${job} in project ${project}...`,
+          });
+          const response = await deployJob({
+            projectId: project,
+            jobName: job,
+            region: region,
+            imageUrl,
+            progressCallback,
+            ...jobConfig,
+          });
+          return {
+            content: [
+              {
+                type: 'text',
+                text: formatJobDeployment(project, region, job, response),
+              },
+            ],
+          };
+        } catch (error) {
+          return {
+            content: [
+              {
+                type: 'text',
+                text: `Error deploying to Cloud Run job: ${error.message || error}`,
               },
             ],
           };
@@ -684,7 +2881,25 @@ export {
   registerListServicesTool,
   registerGetServiceTool,
   registerGetServiceLogTool,
+  registerGetServiceIamPolicyTool,
+  registerSetServiceAccessTool,
+  registerListRevisionsTool,
+  registerGetRevisionTool,
+  registerSetTrafficTool,
+  registerRollbackServiceTool,
+  registerPromotePreviewTool,
+  registerDeleteServiceTool,
+  registerCreateDomainMappingTool,
+  registerListDomainMappingsTool,
+  registerDeleteDomainMappingTool,
+  registerCreateLoadBalancerTool,
+  registerExportServiceTool,
+  registerApplyServiceTool,
   registerDeployLocalFolderTool,
   registerDeployFileContentsTool,
   registerDeployContainerImageTool,
+  registerCanaryDeployTool,
+  registerDeployJobLocalFolderTool,
+  registerDeployJobFileContentsTool,
+  registerDeployJobContainerImageTool,
 };
@@ -23,9 +23,27 @@ import {
   registerListServicesTool,
   registerGetServiceTool,
   registerGetServiceLogTool,
+  registerGetServiceIamPolicyTool,
+  registerSetServiceAccessTool,
+  registerListRevisionsTool,
+  registerGetRevisionTool,
+  registerSetTrafficTool,
+  registerRollbackServiceTool,
+  registerPromotePreviewTool,
+  registerDeleteServiceTool,
+  registerCreateDomainMappingTool,
+  registerListDomainMappingsTool,
+  registerDeleteDomainMappingTool,
+  registerCreateLoadBalancerTool,
+  registerExportServiceTool,
+  registerApplyServiceTool,
   registerDeployLocalFolderTool,
   registerDeployFileContentsTool,
   registerDeployContainerImageTool,
+  registerCanaryDeployTool,
+  registerDeployJobLocalFolderTool,
+  registerDeployJobFileContentsTool,
+  registerDeployJobContainerImageTool,
 } from './register-tools.js';
 
 export const registerTools = (server, options = {}) => {
@@ -35,9 +53,27 @@ export const registerTools = (server, options = {}) => {
   registerListServicesTool(server, options);
   registerGetServiceTool(server, options);
   registerGetServiceLogTool(server, options);
+  registerGetServiceIamPolicyTool(server, options);
+  registerSetServiceAccessTool(server, options);
+  registerListRevisionsTool(server, options);
+  registerGetRevisionTool(server, options);
+  registerSetTrafficTool(server, options);
+  registerRollbackServiceTool(server, options);
+  registerPromotePreviewTool(server, options);
+  registerDeleteServiceTool(server, options);
+  registerCreateDomainMappingTool(server, options);
+  registerListDomainMappingsTool(server, options);
+  registerDeleteDomainMappingTool(server, options);
+  registerCreateLoadBalancerTool(server, options);
+  registerExportServiceTool(server, options);
+  registerApplyServiceTool(server, options);
   registerDeployLocalFolderTool(server, options);
   registerDeployFileContentsTool(server, options);
   registerDeployContainerImageTool(server, options);
+  registerCanaryDeployTool(server, options);
+  registerDeployJobLocalFolderTool(server, options);
+  registerDeployJobFileContentsTool(server, options);
+  registerDeployJobContainerImageTool(server, options);
 };
 
 export const registerToolsRemote = (server, options = {}) => {
@@ -45,6 +81,21 @@ export const registerToolsRemote = (server, options = {}) => {
   registerListServicesTool(server, options);
   registerGetServiceTool(server, options);
   registerGetServiceLogTool(server, options);
+  registerGetServiceIamPolicyTool(server, options);
+  registerSetServiceAccessTool(server, options);
+  registerListRevisionsTool(server, options);
+  registerGetRevisionTool(server, options);
+  registerSetTrafficTool(server, options);
+  registerRollbackServiceTool(server, options);
+  registerPromotePreviewTool(server, options);
+  registerDeleteServiceTool(server, options);
+  registerCreateDomainMappingTool(server, options);
+  registerListDomainMappingsTool(server, options);
+  registerDeleteDomainMappingTool(server, options);
+  registerCreateLoadBalancerTool(server, options);
   registerDeployFileContentsTool(server, options);
   registerDeployContainerImageTool(server, options);
+  registerCanaryDeployTool(server, { ...options, remote: true });
+  registerDeployJobFileContentsTool(server, options);
+  registerDeployJobContainerImageTool(server, options);
 };